@@ -0,0 +1,224 @@
+// aboutHttpExtractor.js
+// About-page extraction over plain HTTP, for hosts where Chromium cannot run.
+// Reads ytInitialData from the page HTML and, when the About panel is only a
+// continuation token, fetches it from the same browse endpoint the page uses.
+import {
+  extractEmails,
+  extractUrls,
+  categorizeLinks,
+  mentionsBusinessInquiry,
+  unwrapRedirect
+} from "../shared/contactExtraction.js";
+
+const ABOUT_HTTP_TIMEOUT_MS = parseInt(process.env.ABOUT_HTTP_TIMEOUT_MS) || 15000;
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+// English labels keep "Joined ..." parseable; the cookies skip the EU consent interstitial
+const REQUEST_HEADERS = {
+  "User-Agent": USER_AGENT,
+  "Accept": "text/html,application/xhtml+xml,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.9",
+  "Cookie": "CONSENT=YES+1; SOCS=CAI"
+};
+
+// Used when the page's ytcfg cannot be read
+const DEFAULT_CLIENT_VERSION = "2.20240101.00.00";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function requestSignal(signal) {
+  const timeout = AbortSignal.timeout(ABOUT_HTTP_TIMEOUT_MS);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+/**
+ * The ytInitialData object embedded in a YouTube page
+ * @param {string} html
+ * @returns {Object|null}
+ */
+export function parseInitialData(html) {
+  const match = (html || "").match(/(?:var ytInitialData|window\["ytInitialData"\])\s*=\s*({.+?});\s*(?:var |<\/script>)/s);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+function readYtcfg(html) {
+  return {
+    apiKey: html.match(/"INNERTUBE_API_KEY"\s*:\s*"([^"]+)"/)?.[1] || null,
+    clientVersion: html.match(/"INNERTUBE_CLIENT_VERSION"\s*:\s*"([^"]+)"/)?.[1] || DEFAULT_CLIENT_VERSION,
+    visitorData: html.match(/"VISITOR_DATA"\s*:\s*"([^"]+)"/)?.[1] || undefined
+  };
+}
+
+// Depth-first search for the first value stored under `key`
+function findKey(node, key) {
+  if (!node || typeof node !== "object") return undefined;
+  if (Object.prototype.hasOwnProperty.call(node, key)) return node[key];
+  for (const value of Object.values(node)) {
+    const found = findKey(value, key);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Text fields come as {content}, {simpleText} or {runs: [{text}]}
+function readText(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  if (value.content) return value.content;
+  if (value.simpleText) return value.simpleText;
+  if (Array.isArray(value.runs)) return value.runs.map(run => run.text).join("");
+  return "";
+}
+
+/**
+ * "Joined Mar 5, 2012" as an ISO date
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function parseJoinedDate(text) {
+  // Only the English "Mon D, YYYY" form; Date() guesses at other locales' formats
+  const match = (text || "").match(/\b([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),\s*(\d{4})\b/);
+  const month = match ? MONTHS.indexOf(match[1].toLowerCase()) : -1;
+  if (month < 0) return null;
+  // UTC, so the date does not shift with the server's timezone
+  const date = new Date(Date.UTC(Number(match[3]), month, Number(match[2])));
+  return date.getUTCDate() === Number(match[2]) ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Links, business-email flag, country and join date from an aboutChannelViewModel
+ * @param {Object} about - aboutChannelViewModel
+ */
+export function parseAboutChannelViewModel(about) {
+  const links = (about.links || [])
+    .map(entry => entry.channelExternalLinkViewModel)
+    .filter(Boolean)
+    .map(link => {
+      // The tap target carries the full URL; the visible text is often shortened
+      const target = findKey(link.link?.commandRuns, "url");
+      if (target) return unwrapRedirect(target);
+      const text = readText(link.link);
+      return text && !/^https?:\/\//i.test(text) ? `https://${text}` : text;
+    })
+    .filter(Boolean);
+
+  const joinedDateText = readText(about.joinedDateText);
+
+  return {
+    description: about.description || readText(about.descriptionLabel),
+    links,
+    // Only channels with a business email get the "sign in to see email address" button
+    hasBusinessEmail: !!(about.signInForBusinessEmail || about.businessEmailRevealButton || about.businessEmailLabel),
+    country: about.country || null,
+    joinedDate: parseJoinedDate(joinedDateText),
+    joinedDateText: joinedDateText || null
+  };
+}
+
+// Continuation token of the About panel the /about URL opens
+function findAboutContinuation(data) {
+  for (const endpoint of data.onResponseReceivedEndpoints || []) {
+    const token = findKey(endpoint, "continuationCommand")?.token;
+    if (token) return token;
+  }
+  return null;
+}
+
+async function fetchAboutContinuation(token, ytcfg, signal) {
+  const url = `https://www.youtube.com/youtubei/v1/browse?prettyPrint=false${ytcfg.apiKey ? `&key=${ytcfg.apiKey}` : ""}`;
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { ...REQUEST_HEADERS, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      context: {
+        client: { clientName: "WEB", clientVersion: ytcfg.clientVersion, hl: "en", gl: "US", visitorData: ytcfg.visitorData }
+      },
+      continuation: token
+    }),
+    signal: requestSignal(signal)
+  });
+  if (!response.ok) throw new Error(`About continuation request failed (${response.status})`);
+  return response.json();
+}
+
+/**
+ * Scrape a channel's About page without a browser
+ * @param {string} channelId
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} Same shape as the Puppeteer scrape, plus country and join date
+ */
+export async function scrapeChannelAboutHttp(channelId, options = {}) {
+  const url = `https://www.youtube.com/channel/${channelId}/about`;
+  console.log(`Fetching over HTTP: ${url}`);
+
+  const response = await fetch(`${url}?hl=en&gl=US`, {
+    headers: REQUEST_HEADERS,
+    redirect: "follow",
+    signal: requestSignal(options.signal)
+  });
+  if (response.status === 404) throw new Error("Channel not found or About page not accessible");
+  if (!response.ok) throw new Error(`About page request failed (${response.status})`);
+
+  const html = await response.text();
+  const data = parseInitialData(html);
+  if (!data) {
+    // Consent walls and bot checks serve a page without the data blob
+    throw new Error("About page did not include ytInitialData");
+  }
+
+  let about = findKey(data, "aboutChannelViewModel");
+  if (!about) {
+    const token = findAboutContinuation(data);
+    if (token) {
+      try {
+        about = findKey(await fetchAboutContinuation(token, readYtcfg(html), options.signal), "aboutChannelViewModel");
+      } catch (err) {
+        if (options.signal?.aborted) throw err;
+        console.warn(`⚠️ About continuation failed for ${channelId}:`, err.message);
+      }
+    }
+  }
+
+  // Without the panel, the header metadata still has the description
+  const parsed = about
+    ? parseAboutChannelViewModel(about)
+    : { description: "", links: [], hasBusinessEmail: false, country: null, joinedDate: null, joinedDateText: null };
+  const description = parsed.description || data.metadata?.channelMetadataRenderer?.description || "";
+
+  const emails = extractEmails(description);
+  const { social, socialHandles, websites, linkInBio, otherLinks, totalLinksFound } =
+    categorizeLinks([...parsed.links, ...extractUrls(description)]);
+
+  console.log(`✅ HTTP scrape results for ${channelId}:`, {
+    aboutPanelFound: !!about,
+    emailsFound: emails.length,
+    websitesFound: websites.length,
+    socialLinksFound: Object.keys(social).length,
+    hasBusinessEmail: parsed.hasBusinessEmail
+  });
+
+  return {
+    channelId,
+    aboutUrl: url,
+    success: true,
+    emails,
+    social,
+    socialHandles,
+    websites,
+    linkInBio,
+    otherLinks,
+    hasBusinessInquiry: parsed.hasBusinessEmail || emails.length > 0 || mentionsBusinessInquiry(description),
+    hasBusinessEmail: parsed.hasBusinessEmail,
+    country: parsed.country,
+    joinedDate: parsed.joinedDate,
+    joinedDateText: parsed.joinedDateText,
+    totalLinksFound,
+    socialLinksFound: Object.keys(social).length
+  };
+}
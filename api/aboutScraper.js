@@ -0,0 +1,498 @@
+// aboutScraper.js
+import { extractEmails, categorizeLinks, mentionsBusinessInquiry } from "../shared/contactExtraction.js";
+import { scrapeChannelAboutHttp } from "./aboutHttpExtractor.js";
+
+// Dynamic imports for puppeteer to handle cloud deployment issues
+let puppeteer;
+let StealthPlugin;
+
+try {
+  const puppeteerExtra = await import("puppeteer-extra");
+  const stealthPlugin = await import("puppeteer-extra-plugin-stealth");
+  puppeteer = puppeteerExtra.default;
+  StealthPlugin = stealthPlugin.default;
+  puppeteer.use(StealthPlugin());
+  console.log("✅ Puppeteer loaded successfully");
+} catch (error) {
+  console.warn("⚠️ Puppeteer failed to load:", error.message);
+  // Try fallback to regular puppeteer
+  try {
+    puppeteer = await import("puppeteer");
+    puppeteer = puppeteer.default;
+    console.log("✅ Fallback to regular Puppeteer successful");
+  } catch (fallbackError) {
+    console.error("❌ All Puppeteer options failed:", fallbackError.message);
+    puppeteer = null;
+  }
+}
+
+/**
+ * Whether a Puppeteer build could be loaded in this environment
+ */
+export function isPuppeteerAvailable() {
+  return !!puppeteer;
+}
+
+// --- Enhanced scraper helper ---
+// The page only gathers raw text and links; classification runs in Node through
+// the shared contact-extraction module so it matches the description parser.
+async function extractContactInfoFromPage(page) {
+  const raw = await page.evaluate(() => {
+    const pageText = document.body ? document.body.innerText : "";
+
+    // Collect all links from various sources
+    const allLinks = [];
+
+    // Regular anchor links
+    const anchors = Array.from(document.querySelectorAll("a[href]"))
+      .map(a => a.href)
+      .filter(Boolean);
+    allLinks.push(...anchors);
+
+    // External links from YouTube's custom sections
+    const externalLinks = Array.from(document.querySelectorAll([
+      '.yt-channel-external-link-view-model-wiz__container a',
+      '[data-target-new-window="true"]',
+      '.about-stats__item a',
+      '.channel-header-links a'
+    ].join(', ')))
+      .map(a => a.href)
+      .filter(Boolean);
+    allLinks.push(...externalLinks);
+
+    // JSON-LD structured data
+    const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+      .map(s => {
+        try {
+          return JSON.parse(s.textContent);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    jsonLd.flat().forEach(obj => {
+      if (obj && obj.sameAs) allLinks.push(...(Array.isArray(obj.sameAs) ? obj.sameAs : [obj.sameAs]));
+    });
+
+    const mailtoEmails = Array.from(document.querySelectorAll('a[href^="mailto:"]'))
+      .map(a => {
+        const address = a.href.replace(/^mailto:/i, "").split("?")[0];
+        try {
+          return decodeURIComponent(address);
+        } catch {
+          return address;
+        }
+      });
+
+    // Business inquiry buttons/text
+    const hasBusinessButton = Array.from(document.querySelectorAll("button, a, tp-yt-paper-button"))
+      .some(el => {
+        const text = (el.innerText || '').toLowerCase();
+        return text.includes("business") || text.includes("inquiry") || text.includes("contact");
+      });
+
+    return { pageText, links: allLinks, mailtoEmails, hasBusinessButton };
+  });
+
+  const emails = [...new Set([
+    ...raw.mailtoEmails.map(e => e.trim().toLowerCase()).filter(Boolean),
+    ...extractEmails(raw.pageText)
+  ])];
+  const { social, socialHandles, websites, linkInBio, otherLinks, totalLinksFound } = categorizeLinks(raw.links);
+
+  return {
+    emails,
+    social,
+    socialHandles,
+    websites,
+    linkInBio,
+    otherLinks,
+    hasBusinessInquiry: mentionsBusinessInquiry(raw.pageText) || raw.mailtoEmails.length > 0 ||
+      raw.hasBusinessButton || emails.length > 0,
+    totalLinksFound,
+    socialLinksFound: Object.keys(social).length
+  };
+}
+
+// --- Browser pool configuration ---
+// "auto" uses Puppeteer when it loaded and a Chromium binary exists, plain HTTP otherwise
+export const SCRAPER_METHODS = ["auto", "puppeteer", "http"];
+const SCRAPER_METHOD = SCRAPER_METHODS.includes(process.env.SCRAPER_METHOD) ? process.env.SCRAPER_METHOD : "auto";
+const SCRAPER_CONCURRENCY = parseInt(process.env.SCRAPER_CONCURRENCY) || 3;
+const SCRAPER_MAX_QUEUE = parseInt(process.env.SCRAPER_MAX_QUEUE) || 500;
+// Pages are closed and replaced after this many scrapes to keep memory in check
+const SCRAPER_PAGE_MAX_USES = parseInt(process.env.SCRAPER_PAGE_MAX_USES) || 20;
+
+const LAUNCH_ARGS = [
+  "--no-sandbox", 
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-accelerated-2d-canvas",
+  "--no-first-run",
+  "--no-zygote",
+  "--disable-gpu",
+  "--disable-background-timer-throttling",
+  "--disable-backgrounding-occluded-windows",
+  "--disable-renderer-backgrounding",
+  "--disable-features=TranslateUI",
+  "--disable-ipc-flooding-protection"
+];
+
+// Errors that mean the page (or its renderer) is gone and must be replaced
+const PAGE_CRASH_PATTERNS = [
+  /target closed/i,
+  /session closed/i,
+  /page crashed/i,
+  /detached frame/i,
+  /frame was detached/i,
+  /protocol error/i,
+  /browser has disconnected/i
+];
+
+let browserPromise = null;
+let executablePath;
+let chromiumMissingLogged = false;
+const idlePages = [];
+const queue = [];
+let activeTasks = 0;
+
+const poolStats = {
+  completed: 0,
+  failed: 0,
+  pagesCreated: 0,
+  pagesRecycled: 0,
+  browserLaunches: 0,
+  httpScrapes: 0
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Locate a Chromium binary: newest version in the Puppeteer cache, then system installs.
+ * A found path is cached for the life of the process.
+ */
+async function findChromiumExecutable() {
+  if (executablePath !== undefined) return executablePath;
+
+  // Dynamically find Chrome in Puppeteer cache
+  const fs = await import('fs');
+  executablePath = null;
+
+  // First, try to scan the puppeteer cache directory for ANY chrome version
+  const puppeteerCachePath = '/opt/render/.cache/puppeteer/chrome';
+  try {
+    if (fs.existsSync(puppeteerCachePath)) {
+      const versions = fs.readdirSync(puppeteerCachePath);
+      console.log(`📁 Found Chrome versions in cache:`, versions);
+  
+      // Sort versions to get the latest
+      const sortedVersions = versions.sort().reverse();
+  
+      for (const version of sortedVersions) {
+        const chromePath = `${puppeteerCachePath}/${version}/chrome-linux64/chrome`;
+        if (fs.existsSync(chromePath)) {
+          executablePath = chromePath;
+          console.log(`✅ Found Chromium at: ${chromePath}`);
+          break;
+        }
+      }
+    }
+  } catch (err) {
+    console.warn('Could not scan puppeteer cache:', err.message);
+  }
+
+  // Fallback to system Chrome if not found in cache
+  if (!executablePath) {
+    const systemPaths = [
+      '/usr/bin/chromium-browser',
+      '/usr/bin/chromium',
+      '/usr/bin/google-chrome',
+      '/usr/bin/google-chrome-stable',
+      process.env.PUPPETEER_EXECUTABLE_PATH
+    ].filter(Boolean);
+
+    for (const path of systemPaths) {
+      try {
+        if (fs.existsSync(path)) {
+          executablePath = path;
+          console.log(`✅ Found system Chrome at: ${path}`);
+          break;
+        }
+      } catch (e) {
+        console.warn(`Failed to check path ${path}:`, e.message);
+      }
+    }
+  }
+
+  if (!executablePath) {
+    // Auto mode checks before every scrape; report the missing browser once
+    if (!chromiumMissingLogged) console.error('❌ No Chromium executable found anywhere');
+    chromiumMissingLogged = true;
+    // Scan again next time in case the browser is installed later
+    executablePath = undefined;
+    return null;
+  }
+  return executablePath;
+}
+
+// One long-lived browser; relaunched on the next request if it disconnects
+async function getBrowser() {
+  if (browserPromise) return browserPromise;
+
+  browserPromise = (async () => {
+    const chromePath = await findChromiumExecutable();
+    if (!chromePath) {
+      throw Object.assign(new Error('Chromium executable not found. Please ensure build command ran successfully.'), { launchFailed: true });
+    }
+
+    let browser;
+    try {
+      browser = await puppeteer.launch({
+        headless: "new",
+        args: LAUNCH_ARGS,
+        executablePath: chromePath,
+        timeout: 60000
+      });
+    } catch (err) {
+      err.launchFailed = true;
+      throw err;
+    }
+    poolStats.browserLaunches++;
+    console.log(`🌐 Scraper browser launched (concurrency ${SCRAPER_CONCURRENCY})`);
+
+    browser.on("disconnected", () => {
+      console.warn("⚠️ Scraper browser disconnected; it will be relaunched on demand");
+      browserPromise = null;
+      idlePages.length = 0;
+    });
+
+    return browser;
+  })();
+
+  browserPromise.catch(() => {
+    browserPromise = null;
+  });
+
+  return browserPromise;
+}
+
+async function createPage() {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  poolStats.pagesCreated++;
+
+  page.uses = 0;
+  page.crashed = false;
+  page.on("error", err => {
+    console.warn("⚠️ Scraper page crashed:", err.message);
+    page.crashed = true;
+  });
+
+  // Set realistic user agent and viewport
+  await page.setUserAgent(
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+  );
+  await page.setViewport({ width: 1920, height: 1080 });
+
+  return page;
+}
+
+async function checkoutPage() {
+  while (idlePages.length > 0) {
+    const page = idlePages.pop();
+    if (!page.isClosed() && !page.crashed) return page;
+  }
+  return createPage();
+}
+
+async function destroyPage(page) {
+  try {
+    if (!page.isClosed()) await page.close();
+  } catch (err) {
+    console.error("Error closing page:", err.message);
+  }
+}
+
+async function releasePage(page) {
+  page.uses++;
+  if (page.crashed || page.isClosed() || page.uses >= SCRAPER_PAGE_MAX_USES) {
+    poolStats.pagesRecycled++;
+    await destroyPage(page);
+    return;
+  }
+  idlePages.push(page);
+}
+
+function isPageCrash(err, page) {
+  return page.crashed || page.isClosed() || PAGE_CRASH_PATTERNS.some(p => p.test(err.message));
+}
+
+async function scrapeOnPage(page, channelId) {
+  const url = `https://www.youtube.com/channel/${channelId}/about`;
+  console.log(`Navigating to: ${url}`);
+  
+  // Navigate with timeout
+  await page.goto(url, { 
+    waitUntil: "networkidle2", 
+    timeout: 30000 
+  });
+
+  // Wait for dynamic content
+  await delay(2000);
+
+  // Check if page loaded correctly
+  const title = await page.title();
+  console.log(`Page title: ${title}`);
+  
+  if (title.includes('404') || title.includes('not found')) {
+    throw new Error('Channel not found or About page not accessible');
+  }
+
+  // Extract contact information
+  const contacts = await extractContactInfoFromPage(page);
+  
+  console.log(`✅ Scrape results for ${channelId}:`, {
+    emailsFound: contacts.emails.length,
+    websitesFound: contacts.websites.length,
+    socialLinksFound: contacts.socialLinksFound,
+    totalLinksFound: contacts.totalLinksFound,
+    hasBusinessInquiry: contacts.hasBusinessInquiry
+  });
+
+  return {
+    channelId,
+    aboutUrl: url,
+    success: true,
+    method: "puppeteer",
+    ...contacts
+  };
+}
+
+/**
+ * Which extraction path a scrape will take right now
+ * @returns {Promise<"puppeteer"|"http">}
+ */
+export async function resolveScraperMethod() {
+  if (SCRAPER_METHOD === "http") return "http";
+  if (SCRAPER_METHOD === "puppeteer") return "puppeteer";
+  return puppeteer && await findChromiumExecutable() ? "puppeteer" : "http";
+}
+
+async function runHttpScrape(channelId, signal) {
+  poolStats.httpScrapes++;
+  const result = await scrapeChannelAboutHttp(channelId, { signal });
+  return { ...result, method: "http" };
+}
+
+// A crashed page is replaced and the scrape retried once before giving up.
+// In auto mode a browser that fails to launch hands the scrape to the HTTP path.
+async function runScrape(channelId, signal) {
+  const method = await resolveScraperMethod();
+  console.log(`Starting ${method} scrape for channel: ${channelId}`);
+  if (method === "http") return runHttpScrape(channelId, signal);
+
+  for (let attempt = 1; ; attempt++) {
+    let page;
+    try {
+      page = await checkoutPage();
+    } catch (err) {
+      if (err.launchFailed && SCRAPER_METHOD === "auto") {
+        console.warn(`⚠️ Browser unavailable (${err.message}), falling back to HTTP for ${channelId}`);
+        return runHttpScrape(channelId, signal);
+      }
+      throw err;
+    }
+
+    try {
+      const result = await scrapeOnPage(page, channelId);
+      await releasePage(page);
+      return result;
+    } catch (err) {
+      if (isPageCrash(err, page)) {
+        page.crashed = true;
+        await releasePage(page);
+        if (attempt < 2) {
+          console.warn(`♻️ Page crashed while scraping ${channelId}, retrying on a fresh page`);
+          continue;
+        }
+      } else {
+        await releasePage(page);
+      }
+      throw err;
+    }
+  }
+}
+
+function drainQueue() {
+  while (activeTasks < SCRAPER_CONCURRENCY && queue.length > 0) {
+    const task = queue.shift();
+
+    if (task.signal?.aborted) {
+      task.reject(new Error("Scrape cancelled"));
+      continue;
+    }
+
+    activeTasks++;
+    runScrape(task.channelId, task.signal)
+      .then(result => {
+        poolStats.completed++;
+        task.resolve(result);
+      })
+      .catch(err => {
+        poolStats.failed++;
+        console.error(`❌ Error scraping channel ${task.channelId}:`, err.message);
+        task.reject(err);
+      })
+      .finally(() => {
+        activeTasks--;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Queue a channel's About page for scraping on the shared browser, or over
+ * plain HTTP when no browser is available. The result's `method` says which ran.
+ * @param {string} channelId
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Drops the task if aborted before it starts
+ */
+export function scrapeChannelAbout(channelId, options = {}) {
+  if (SCRAPER_METHOD === "puppeteer" && !puppeteer) {
+    return Promise.reject(new Error("Puppeteer not available in this environment"));
+  }
+  if (queue.length >= SCRAPER_MAX_QUEUE) {
+    return Promise.reject(new Error("Scraper queue is full, try again later"));
+  }
+
+  return new Promise((resolve, reject) => {
+    queue.push({ channelId, signal: options.signal, resolve, reject });
+    drainQueue();
+  });
+}
+
+export function getScraperPoolStatus() {
+  return {
+    method: SCRAPER_METHOD,
+    concurrency: SCRAPER_CONCURRENCY,
+    browserRunning: !!browserPromise,
+    active: activeTasks,
+    queued: queue.length,
+    idlePages: idlePages.length,
+    ...poolStats
+  };
+}
+
+export async function closeScraperPool() {
+  if (!browserPromise) return;
+  try {
+    const browser = await browserPromise;
+    await browser.close();
+  } catch (err) {
+    console.error("Error closing browser:", err.message);
+  }
+  browserPromise = null;
+}
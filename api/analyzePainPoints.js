@@ -0,0 +1,168 @@
+// analyzePainPoints.js
+import { completeJson, isLlmConfigured } from "./llm.js";
+import { decodeEntities } from "../shared/contactExtraction.js";
+
+export const PAIN_POINT_TYPES = ["question", "complaint", "request"];
+
+const MAX_COMMENTS = 120;
+const MAX_COMMENT_LENGTH = 300;
+const MAX_THEMES = 8;
+const MAX_EXAMPLES = 3;
+
+// Checked in this order: "can you make a video on..." is a request, not a question
+const TYPE_PATTERNS = [
+  { type: "request", pattern: /\b(please (make|do|cover|talk)|can you (make|do|cover|talk|show)|could you (make|do|cover|show)|would love (a|to see)|next video|video on|make a video|part 2|do a video)\b/i },
+  { type: "question", pattern: /\?|^(how|what|why|where|which|when|who|can|does|do|is|are|should|any)\b(?!')/i },
+  { type: "complaint", pattern: /\b(struggl\w*|hard|difficult|can'?t|cannot|problem|issue|frustrat\w*|confus\w*|wish|hate|stuck|fail\w*|doesn'?t work|too expensive|overwhelm\w*|tired of)\b/i }
+];
+
+const STOPWORDS = new Set([
+  "this", "that", "with", "have", "your", "from", "what", "when", "they", "them", "then", "than",
+  "just", "like", "love", "video", "videos", "really", "would", "could", "should", "about", "there",
+  "their", "were", "been", "being", "make", "made", "more", "much", "very", "some", "also", "only",
+  "does", "into", "over", "here", "know", "think", "thank", "thanks", "great", "good", "please",
+  "which", "where", "will", "want", "need", "still", "even", "because", "doing", "done", "going",
+  "anyone", "someone", "other", "these", "those", "every", "always", "never", "can't", "don't",
+  "i'm", "it's", "you're", "struggle", "struggling", "problem", "issue", "wish", "hard"
+]);
+
+/**
+ * Cluster viewer comments into recurring questions, complaints and requests,
+ * with a count and a few example quotes for each theme. Uses the LLM when one
+ * is configured and keyword clustering otherwise.
+ *
+ * @param {string[]} comments - Raw comment text (HTML from the API is fine)
+ * @param {Object} [options]
+ * @param {string} [options.channelName]
+ * @param {string} [options.openaiApiKey] - OpenAI API key (overrides env var if provided)
+ *
+ * @returns {Promise<{painPoints: Array<{type: string, label: string, count: number, examples: string[]}>, commentsAnalyzed: number, source: "ai"|"fallback", fallbackReason?: string, usage?: Object}>}
+ */
+export async function analyzePainPoints(comments, options = {}) {
+  const { channelName = "", openaiApiKey } = options;
+
+  const cleaned = [...new Set((comments || []).map(cleanComment).filter(c => c.length >= 8))]
+    .slice(0, MAX_COMMENTS);
+
+  const fallback = reason => ({
+    painPoints: clusterByKeywords(cleaned),
+    commentsAnalyzed: cleaned.length,
+    source: "fallback",
+    fallbackReason: reason
+  });
+
+  if (cleaned.length === 0) return fallback("No comments to analyze");
+  if (!isLlmConfigured(openaiApiKey)) return fallback("No LLM provider configured");
+
+  const prompt = `
+You analyze YouTube comments to find what a creator's audience keeps asking about, complaining about or requesting.
+
+### Rules:
+1. Group the comments into at most ${MAX_THEMES} recurring themes. Only include a theme if at least 2 comments share it.
+2. Give each theme a "type": "question", "complaint" or "request".
+3. "label": a short description of the underlying pain point in the viewers' terms (max 10 words), not a topic name.
+4. "count": how many of the comments below belong to the theme.
+5. "examples": up to ${MAX_EXAMPLES} short verbatim quotes from the comments.
+6. Ignore praise, jokes and spam.
+7. Always return valid JSON: {"painPoints": [{"type": "question", "label": "...", "count": 4, "examples": ["..."]}]}
+
+---
+
+Channel: ${channelName || "N/A"}
+
+Comments:
+${cleaned.map((c, i) => `${i + 1}. ${c}`).join("\n")}
+`;
+
+  try {
+    console.log(`🚀 Analyzing ${cleaned.length} comments for ${channelName || "channel"}...`);
+
+    const { data: parsed, usage } = await completeJson({
+      prompt,
+      purpose: "painPoints",
+      temperature: 0.3,
+      maxTokens: 1200,
+      apiKey: openaiApiKey,
+      mock: () => ({ painPoints: clusterByKeywords(cleaned) })
+    });
+
+    const painPoints = normalizePainPoints(parsed.painPoints, cleaned.length);
+    return { painPoints, commentsAnalyzed: cleaned.length, source: "ai", usage };
+  } catch (err) {
+    console.error("❌ LLM pain-point analysis failed:", err.message);
+    return fallback(err.message);
+  }
+}
+
+function cleanComment(comment) {
+  return decodeEntities(String(comment || "").replace(/<br\s*\/?>/gi, " ").replace(/<[^>]+>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_COMMENT_LENGTH);
+}
+
+function normalizePainPoints(painPoints, total) {
+  return (Array.isArray(painPoints) ? painPoints : [])
+    .map(p => ({
+      type: PAIN_POINT_TYPES.includes(p.type) ? p.type : "question",
+      label: (p.label || "").toString().trim(),
+      count: Math.min(Math.max(parseInt(p.count) || 0, 0), total),
+      examples: (Array.isArray(p.examples) ? p.examples : [])
+        .map(e => e.toString().trim())
+        .filter(Boolean)
+        .slice(0, MAX_EXAMPLES)
+    }))
+    .filter(p => p.label)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_THEMES);
+}
+
+function classifyComment(comment) {
+  return TYPE_PATTERNS.find(({ pattern }) => pattern.test(comment))?.type || null;
+}
+
+function keywordsOf(comment) {
+  const words = comment.toLowerCase().match(/[a-z][a-z']{3,}/g) || [];
+  return [...new Set(words.filter(w => !STOPWORDS.has(w)))];
+}
+
+/**
+ * Keyword clustering: each comment joins the theme of its most widely shared
+ * keyword within its type. Themes need at least two comments.
+ */
+export function clusterByKeywords(comments) {
+  const themes = [];
+
+  for (const type of PAIN_POINT_TYPES) {
+    const ofType = comments.filter(c => classifyComment(c) === type);
+
+    const frequency = new Map();
+    const keywordsByComment = ofType.map(comment => {
+      const keywords = keywordsOf(comment);
+      keywords.forEach(k => frequency.set(k, (frequency.get(k) || 0) + 1));
+      return keywords;
+    });
+
+    const clusters = new Map();
+    ofType.forEach((comment, index) => {
+      const keyword = keywordsByComment[index]
+        .sort((a, b) => frequency.get(b) - frequency.get(a))[0];
+      if (!keyword || frequency.get(keyword) < 2) return;
+
+      if (!clusters.has(keyword)) clusters.set(keyword, []);
+      clusters.get(keyword).push(comment);
+    });
+
+    for (const [keyword, members] of clusters) {
+      if (members.length < 2) continue;
+      themes.push({
+        type,
+        label: `${type === "question" ? "Questions" : type === "complaint" ? "Complaints" : "Requests"} about "${keyword}"`,
+        count: members.length,
+        examples: members.slice(0, MAX_EXAMPLES)
+      });
+    }
+  }
+
+  return themes.sort((a, b) => b.count - a.count).slice(0, MAX_THEMES);
+}
@@ -0,0 +1,319 @@
+// apifyEmails.js
+import { ApifyClient } from 'apify-client';
+
+export const APIFY_API_TOKENS = process.env.APIFY_API_TOKENS
+  ? process.env.APIFY_API_TOKENS.split(',').map(k => k.trim()).filter(k => k.length > 0)
+  : [];
+
+// Point at a local stub of the Apify API (e.g. http://localhost:8089) instead of api.apify.com
+const APIFY_BASE_URL = process.env.APIFY_BASE_URL || undefined;
+
+// URLs per Actor run, runs in flight at once, and how runs are watched
+const APIFY_CHUNK_SIZE = parseInt(process.env.APIFY_CHUNK_SIZE) || 100;
+const APIFY_CHUNK_CONCURRENCY = parseInt(process.env.APIFY_CHUNK_CONCURRENCY) || 2;
+const APIFY_POLL_INTERVAL_MS = parseInt(process.env.APIFY_POLL_INTERVAL_MS) || 5000;
+const APIFY_RUN_TIMEOUT_MS = parseInt(process.env.APIFY_RUN_TIMEOUT_MS) || 15 * 60 * 1000;
+// A token that hit an auth or credit error sits out this long
+const APIFY_TOKEN_COOLDOWN_MS = parseInt(process.env.APIFY_TOKEN_COOLDOWN_MS) || 60 * 60 * 1000;
+
+const TERMINAL_RUN_STATUSES = ["SUCCEEDED", "FAILED", "ABORTED", "TIMED-OUT"];
+
+// Error types the API returns when the token, not the Actor, is the problem
+const TOKEN_ERROR_TYPES = [
+  "token-not-valid",
+  "user-or-token-not-found",
+  "not-enough-usage-to-run-paid-actor",
+  "platform-feature-disabled",
+  "user-is-not-verified",
+  "monthly-usage-limit-exceeded"
+];
+
+/**
+ * Actors tried in order. `input` says which field takes the URL list and whether
+ * entries are {url} objects or plain strings; `fields` maps dataset item paths
+ * (dot notation, or a list of candidates) onto url / emails / status.
+ */
+const DEFAULT_APIFY_ACTORS = [
+  {
+    id: "exporter24/youtube-email-bulk-scraper",
+    input: { field: "urls", format: "objects" },
+    fields: { url: "url", emails: "email", status: "status" }
+  }
+];
+
+function loadActors() {
+  if (!process.env.APIFY_ACTORS) return DEFAULT_APIFY_ACTORS;
+  try {
+    const actors = JSON.parse(process.env.APIFY_ACTORS);
+    const valid = (Array.isArray(actors) ? actors : []).filter(actor =>
+      actor && typeof actor.id === "string" && actor.input?.field && actor.fields?.url && actor.fields?.emails
+    );
+    if (valid.length === 0) throw new Error("no entry has id, input.field, fields.url and fields.emails");
+    return valid.map(actor => ({ ...actor, input: { format: "objects", ...actor.input } }));
+  } catch (err) {
+    console.error(`❌ Ignoring APIFY_ACTORS (${err.message}); using the default Actor`);
+    return DEFAULT_APIFY_ACTORS;
+  }
+}
+
+export const APIFY_ACTORS = loadActors();
+
+let currentApifyTokenIndex = -1;
+// token -> { until, reason }
+const benchedTokens = new Map();
+
+function maskToken(token) {
+  return `...${token.slice(-4)}`;
+}
+
+function isBenched(token) {
+  const bench = benchedTokens.get(token);
+  if (bench && bench.until <= Date.now()) benchedTokens.delete(token);
+  return benchedTokens.has(token);
+}
+
+/**
+ * Next token in rotation, skipping benched tokens and any in `exclude`
+ * @param {string[]} [exclude] - Tokens already tried for this run
+ * @returns {string|null}
+ */
+export function getNextApifyToken(exclude = []) {
+  for (let i = 0; i < APIFY_API_TOKENS.length; i++) {
+    currentApifyTokenIndex = (currentApifyTokenIndex + 1) % APIFY_API_TOKENS.length;
+    const token = APIFY_API_TOKENS[currentApifyTokenIndex];
+    if (exclude.includes(token) || isBenched(token)) continue;
+    console.log(`Using Apify token index: ${currentApifyTokenIndex + 1}/${APIFY_API_TOKENS.length}`);
+    return token;
+  }
+  return null;
+}
+
+function benchApifyToken(token, reason) {
+  benchedTokens.set(token, { until: Date.now() + APIFY_TOKEN_COOLDOWN_MS, reason });
+  console.warn(`⚠️ Apify token ${maskToken(token)} benched for ${Math.round(APIFY_TOKEN_COOLDOWN_MS / 60000)} min (${reason})`);
+}
+
+function isTokenError(err) {
+  return [401, 402].includes(err.statusCode) || TOKEN_ERROR_TYPES.includes(err.type);
+}
+
+/**
+ * Token and Actor configuration, tokens masked
+ */
+export function getApifyStatus() {
+  return {
+    tokens: APIFY_API_TOKENS.map((token, index) => {
+      const benched = isBenched(token) ? benchedTokens.get(token) : null;
+      return {
+        index,
+        token: maskToken(token),
+        available: !benched,
+        benchedUntil: benched ? new Date(benched.until).toISOString() : null,
+        benchReason: benched?.reason || null
+      };
+    }),
+    actors: APIFY_ACTORS.map(actor => actor.id),
+    baseUrl: APIFY_BASE_URL || "https://api.apify.com",
+    chunkSize: APIFY_CHUNK_SIZE
+  };
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Apify extraction cancelled"));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new Error("Apify extraction cancelled"));
+    }, { once: true });
+  });
+}
+
+function readPath(item, path) {
+  return path.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), item);
+}
+
+function readField(item, paths) {
+  for (const path of Array.isArray(paths) ? paths : [paths]) {
+    const value = readPath(item, path);
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return undefined;
+}
+
+// Actors return one address, a list, a delimited string, or nothing at all
+function toEmailList(value) {
+  const raw = Array.isArray(value) ? value : value ? String(value).split(/[\s,;]+/) : [];
+  return [...new Set(raw
+    .map(email => (typeof email === "string" ? email : email?.email || "").trim().toLowerCase())
+    .filter(email => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)))];
+}
+
+// Actors echo channel URLs with or without www, trailing slash or scheme
+function urlKey(url) {
+  return String(url || "").toLowerCase().replace(/^https?:\/\//, "").replace(/^(?:www\.|m\.)/, "").replace(/\/+$/, "");
+}
+
+function buildInput(actor, urls) {
+  const list = actor.input.format === "strings" ? urls : urls.map(url => ({ url }));
+  return { ...(actor.input.extra || {}), [actor.input.field]: list };
+}
+
+/**
+ * Start an Actor run over one chunk, poll until it finishes and map its dataset
+ * @returns {Promise<Object>} Map of input URL -> { emails, status, actorId }
+ */
+async function runActor(actor, urls, token, { signal, onRun } = {}) {
+  const client = new ApifyClient({ token, baseUrl: APIFY_BASE_URL, maxRetries: 3 });
+
+  let run = await client.actor(actor.id).start(buildInput(actor, urls));
+  onRun?.(run);
+  const startedAt = Date.now();
+
+  while (!TERMINAL_RUN_STATUSES.includes(run.status)) {
+    try {
+      await delay(APIFY_POLL_INTERVAL_MS, signal);
+    } catch (err) {
+      await client.run(run.id).abort().catch(() => {});
+      throw err;
+    }
+    if (Date.now() - startedAt > APIFY_RUN_TIMEOUT_MS) {
+      await client.run(run.id).abort().catch(() => {});
+      throw Object.assign(new Error(`Actor run ${run.id} did not finish within ${APIFY_RUN_TIMEOUT_MS / 1000}s`), { runFailed: true });
+    }
+    run = (await client.run(run.id).get()) || { ...run, status: "FAILED" };
+    onRun?.(run);
+  }
+
+  if (run.status !== "SUCCEEDED") {
+    throw Object.assign(new Error(`Actor run ${run.id} ended with status ${run.status}`), { runFailed: true });
+  }
+
+  const { items } = await client.dataset(run.defaultDatasetId).listItems({ clean: true });
+
+  const inputByKey = new Map(urls.map(url => [urlKey(url), url]));
+  const results = {};
+  let unmatched = 0;
+  for (const item of items) {
+    const url = inputByKey.get(urlKey(readField(item, actor.fields.url)));
+    if (!url) {
+      unmatched++;
+      continue;
+    }
+    const emails = toEmailList(readField(item, actor.fields.emails));
+    results[url] = {
+      emails: [...new Set([...(results[url]?.emails || []), ...emails])],
+      status: (actor.fields.status && readField(item, actor.fields.status)) || (emails.length > 0 ? "found" : "not_found"),
+      actorId: actor.id
+    };
+  }
+  if (unmatched > 0) console.warn(`⚠️ ${unmatched} Apify items from ${actor.id} did not match an input URL`);
+
+  return results;
+}
+
+/**
+ * One chunk: Actors in order, and for each Actor the next token whenever
+ * the current one fails with an auth or credit error
+ */
+async function runChunk(urls, { signal, onRun, onAttempt } = {}) {
+  let lastError = null;
+
+  for (const actor of APIFY_ACTORS) {
+    const triedTokens = [];
+
+    for (;;) {
+      const token = getNextApifyToken(triedTokens);
+      if (!token) {
+        lastError = lastError || new Error("No Apify tokens available");
+        break;
+      }
+      triedTokens.push(token);
+
+      try {
+        return await runActor(actor, urls, token, { signal, onRun: run => onRun?.(run, actor, token) });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        lastError = err;
+        onAttempt?.({ actorId: actor.id, token: maskToken(token), error: err.message });
+
+        if (isTokenError(err)) {
+          benchApifyToken(token, err.type || `HTTP ${err.statusCode}`);
+          continue;
+        }
+        // Missing Actor, rejected input or a failed run: the next Actor may do better
+        console.warn(`⚠️ Apify Actor ${actor.id} failed: ${err.message}`);
+        break;
+      }
+    }
+  }
+
+  throw lastError || new Error("No Apify Actors configured");
+}
+
+/**
+ * Run the bulk email Actors over a list of channel URLs, in chunks
+ * @param {string[]} channelUrls
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts running Actor runs
+ * @param {Function} [options.onChunk] - (chunk, chunks) after every status change of a chunk
+ * @returns {Promise<{results: Object, chunks: Array}>} results: channel URL -> { emails, status, actorId }
+ */
+export async function runApifyEmailExtraction(channelUrls, options = {}) {
+  const urls = [...new Set(channelUrls.filter(Boolean))];
+  const chunks = [];
+  for (let i = 0; i < urls.length; i += APIFY_CHUNK_SIZE) {
+    chunks.push({
+      index: chunks.length,
+      urls: urls.slice(i, i + APIFY_CHUNK_SIZE),
+      status: "queued",
+      actorId: null,
+      runId: null,
+      runStatus: null,
+      attempts: [],
+      emailsFound: 0,
+      error: null
+    });
+  }
+
+  const results = {};
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < chunks.length) {
+      if (options.signal?.aborted) return;
+      const chunk = chunks[next++];
+      chunk.status = "running";
+      options.onChunk?.(chunk, chunks);
+
+      try {
+        const chunkResults = await runChunk(chunk.urls, {
+          signal: options.signal,
+          onRun: (run, actor) => {
+            chunk.actorId = actor.id;
+            chunk.runId = run.id;
+            chunk.runStatus = run.status;
+            options.onChunk?.(chunk, chunks);
+          },
+          onAttempt: attempt => chunk.attempts.push(attempt)
+        });
+        Object.assign(results, chunkResults);
+        chunk.status = "completed";
+        chunk.emailsFound = Object.values(chunkResults).filter(r => r.emails.length > 0).length;
+      } catch (err) {
+        chunk.status = "failed";
+        chunk.error = err.message;
+        console.error(`❌ Apify chunk ${chunk.index + 1}/${chunks.length} failed:`, err.message);
+      }
+      options.onChunk?.(chunk, chunks);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(APIFY_CHUNK_CONCURRENCY, chunks.length) }, runNext));
+  if (options.signal?.aborted) throw new Error("Apify extraction cancelled");
+
+  const found = Object.values(results).filter(r => r.emails.length > 0).length;
+  console.log(`✅ Apify extraction complete. Found emails for ${found}/${urls.length} channels`);
+
+  return { results, chunks };
+}
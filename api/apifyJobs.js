@@ -0,0 +1,145 @@
+// apifyJobs.js
+// Bulk email extractions started from the API run in the background; clients poll the job
+import { randomUUID } from "crypto";
+import { readJsonFile, writeJsonFile } from "./dataStore.js";
+import { runApifyEmailExtraction } from "./apifyEmails.js";
+
+const JOBS_DIR = "apify-jobs";
+const TERMINAL_STATUSES = ["completed", "partial", "failed", "cancelled", "interrupted"];
+
+// Jobs still running in this process, by id; finished jobs are read back from disk
+const jobs = new Map();
+// Abort controllers of jobs running here
+const controllers = new Map();
+// Chunk updates arrive back to back; writes of one job go out in order
+const writeQueues = new Map();
+
+function jobFile(id) {
+  return `${JOBS_DIR}/${id}.json`;
+}
+
+function persistJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const queued = (writeQueues.get(job.id) || Promise.resolve())
+    .then(() => writeJsonFile(jobFile(job.id), job))
+    .catch(err => {
+      console.error(`❌ Failed to persist Apify job ${job.id}:`, err.message);
+    });
+  writeQueues.set(job.id, queued);
+  return queued;
+}
+
+/**
+ * Public view of a job; results only once it has finished
+ */
+export function summarizeApifyJob(job, { includeResults = false } = {}) {
+  const summary = {
+    id: job.id,
+    status: job.status,
+    totalUrls: job.urls.length,
+    chunks: job.chunks.map(({ urls, ...chunk }) => ({ ...chunk, urlCount: urls.length })),
+    channelsWithEmails: job.results ? Object.values(job.results).filter(r => r.emails.length > 0).length : 0,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+
+  if (includeResults && TERMINAL_STATUSES.includes(job.status)) {
+    summary.results = job.results || {};
+  }
+
+  return summary;
+}
+
+/**
+ * Look up a running job in memory, falling back to its file on disk.
+ * A job persisted as running that has no live runner here was cut off by a restart.
+ */
+export async function getApifyEmailJob(id) {
+  if (jobs.has(id)) return jobs.get(id);
+  if (!/^[\w-]+$/.test(id)) return null;
+
+  const job = await readJsonFile(jobFile(id));
+  if (!job) return null;
+
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    job.status = "interrupted";
+    job.error = "Server restarted while the extraction was running";
+  }
+
+  return job;
+}
+
+async function runApifyEmailJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  job.status = "running";
+  await persistJob(job);
+
+  try {
+    const { results, chunks } = await runApifyEmailExtraction(job.urls, {
+      signal: controller.signal,
+      onChunk: (chunk, chunks) => {
+        job.chunks = chunks;
+        persistJob(job);
+      }
+    });
+
+    job.results = results;
+    job.chunks = chunks;
+    const failed = chunks.filter(c => c.status === "failed").length;
+    job.status = failed === 0 ? "completed" : failed === chunks.length ? "failed" : "partial";
+    job.error = failed > 0 ? `${failed} of ${chunks.length} chunks failed` : null;
+  } catch (err) {
+    job.status = controller.signal.aborted ? "cancelled" : "failed";
+    job.error = err.message;
+  } finally {
+    controllers.delete(job.id);
+  }
+
+  console.log(`📨 Apify job ${job.id} ${job.status}`);
+  await persistJob(job);
+  writeQueues.delete(job.id);
+  jobs.delete(job.id);
+}
+
+/**
+ * Create an extraction job and start it in the background
+ * @param {string[]} channelUrls
+ */
+export async function createApifyEmailJob(channelUrls) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: "queued",
+    urls: [...new Set(channelUrls)],
+    chunks: [],
+    results: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  await persistJob(job);
+
+  runApifyEmailJob(job);
+  return job;
+}
+
+/**
+ * Abort a running job; its in-flight Actor runs are aborted on Apify too.
+ * The job is "cancelling" until the runner has stopped and marks it "cancelled".
+ */
+export async function cancelApifyEmailJob(id) {
+  const job = await getApifyEmailJob(id);
+  if (!job) return null;
+
+  const controller = controllers.get(id);
+  if (controller && !controller.signal.aborted) {
+    job.status = "cancelling";
+    await persistJob(job);
+    controller.abort();
+  }
+  return job;
+}
@@ -0,0 +1,240 @@
+// channelFilters.js
+// Targeting filters applied during discovery, and the reasons channels get rejected
+
+export const VIDEO_FORMATS = ["any", "shorts", "long-form"];
+
+// A channel counts as Shorts-only / long-form-only when at least this share of its recent uploads are
+const FORMAT_MAJORITY = 0.7;
+
+/**
+ * Why a discovered channel did not make it into the results
+ */
+export const REJECTION_REASONS = {
+  subscribers: "Outside the subscriber range",
+  knownLead: "Already in the lead database",
+  country: "Country not targeted",
+  language: "Language not targeted",
+  videoCount: "Too few videos",
+  inactive: "No recent uploads",
+  videoFormat: "Wrong video format",
+  engagement: "Engagement below minimum",
+  minScore: "Score below minimum",
+  error: "Could not be analyzed"
+};
+
+// Frequent short words per language; the language with the most hits wins
+const STOPWORDS = {
+  en: ["the", "and", "you", "to", "of", "is", "in", "this", "for", "with", "how", "my", "your", "what", "it", "on", "are", "i"],
+  es: ["el", "la", "de", "que", "y", "en", "los", "las", "por", "para", "con", "una", "cómo", "mi", "es", "del"],
+  pt: ["o", "a", "de", "que", "e", "do", "da", "em", "um", "uma", "para", "com", "não", "como", "meu", "os"],
+  fr: ["le", "la", "les", "de", "des", "et", "en", "un", "une", "pour", "avec", "est", "dans", "comment", "mon", "du"],
+  de: ["der", "die", "das", "und", "ist", "ich", "nicht", "mit", "ein", "eine", "für", "wie", "auf", "zu", "den", "mein"],
+  it: ["il", "la", "di", "che", "e", "un", "una", "per", "con", "come", "non", "del", "della", "sono", "mio", "gli"],
+  nl: ["de", "het", "een", "en", "van", "ik", "is", "niet", "met", "voor", "hoe", "mijn", "op", "dat", "zijn", "je"],
+  id: ["dan", "yang", "di", "ini", "itu", "untuk", "dengan", "cara", "ke", "dari", "saya", "tidak", "ada", "kita", "aku", "bisa"],
+  tr: ["ve", "bir", "bu", "için", "ile", "nasıl", "ne", "çok", "da", "de", "ben", "mi", "değil", "gibi", "en", "olan"]
+};
+
+// Scripts that identify a language on their own
+const SCRIPTS = [
+  { language: "ru", pattern: /[Ѐ-ӿ]/g },
+  { language: "ar", pattern: /[؀-ۿ]/g },
+  { language: "hi", pattern: /[ऀ-ॿ]/g },
+  { language: "th", pattern: /[฀-๿]/g },
+  { language: "ko", pattern: /[가-힯]/g },
+  { language: "ja", pattern: /[぀-ヿ]/g },
+  { language: "zh", pattern: /[一-鿿]/g }
+];
+
+const MIN_DETECTION_WORDS = 8;
+
+/**
+ * Parse a list of codes from a comma-separated string or an array
+ * @param {string|string[]} value
+ * @param {RegExp} pattern - Shape each code must match after normalizing
+ * @param {Function} normalize
+ * @returns {string[]|null} null when a code is invalid
+ */
+function parseCodeList(value, pattern, normalize) {
+  if (value === undefined || value === null || value === "") return [];
+  const codes = (Array.isArray(value) ? value : value.toString().split(","))
+    .map(code => normalize(code.toString().trim()))
+    .filter(Boolean);
+  return codes.every(code => pattern.test(code)) ? [...new Set(codes)] : null;
+}
+
+/**
+ * Validate the targeting fields of a search request
+ * @param {Object} body
+ * @returns {{filters?: Object, error?: string}}
+ */
+export function normalizeFilterParams(body = {}) {
+  const countries = parseCodeList(body.countries, /^[A-Z]{2}$/, code => code.toUpperCase());
+  if (!countries) return { error: "countries must be two-letter country codes, e.g. US,GB" };
+
+  const languages = parseCodeList(body.languages, /^[a-z]{2}$/, code => code.toLowerCase().split("-")[0]);
+  if (!languages) return { error: "languages must be two-letter language codes, e.g. en,es" };
+
+  const videoFormat = body.videoFormat || "any";
+  if (!VIDEO_FORMATS.includes(videoFormat)) {
+    return { error: `Invalid videoFormat. Expected one of: ${VIDEO_FORMATS.join(", ")}` };
+  }
+
+  const maxDaysSinceUpload = parseInt(body.maxDaysSinceUpload);
+  const minVideoCount = parseInt(body.minVideoCount);
+
+  return {
+    filters: {
+      countries,
+      languages,
+      maxDaysSinceUpload: maxDaysSinceUpload > 0 ? maxDaysSinceUpload : null,
+      minVideoCount: minVideoCount > 0 ? minVideoCount : 0,
+      videoFormat
+    }
+  };
+}
+
+/**
+ * Guess the language of some text from stopwords, or from its script
+ * @param {string} text
+ * @returns {string|null} Two-letter language code, or null when there is too little text
+ */
+export function detectLanguage(text) {
+  const sample = (text || "").toLowerCase();
+
+  for (const { language, pattern } of SCRIPTS) {
+    // A handful of characters is enough to rule out Latin-script languages
+    if ((sample.match(pattern) || []).length >= 10) return language;
+  }
+
+  const words = sample.match(/\p{L}+/gu) || [];
+  if (words.length < MIN_DETECTION_WORDS) return null;
+
+  let best = null;
+  let bestHits = 0;
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const set = new Set(stopwords);
+    const hits = words.filter(word => set.has(word)).length;
+    if (hits > bestHits) {
+      best = language;
+      bestHits = hits;
+    }
+  }
+
+  // Require a few hits so proper nouns and hashtags alone do not decide
+  return bestHits >= 3 ? best : null;
+}
+
+/**
+ * A channel's language: declared on the channel, declared on most recent videos, or detected
+ * @param {Object} channel - {defaultLanguage?, name, description, recentVideos?}
+ * @returns {{language: string|null, source: "declared"|"videos"|"detected"|null}}
+ */
+export function resolveChannelLanguage(channel) {
+  if (channel.defaultLanguage) {
+    return { language: channel.defaultLanguage.toLowerCase().split("-")[0], source: "declared" };
+  }
+
+  const videos = channel.recentVideos || [];
+  const counts = {};
+  for (const video of videos) {
+    const code = video.defaultAudioLanguage?.toLowerCase().split("-")[0];
+    if (code) counts[code] = (counts[code] || 0) + 1;
+  }
+  const [topVideoLanguage, topCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  if (topVideoLanguage && topCount > videos.length / 2) {
+    return { language: topVideoLanguage, source: "videos" };
+  }
+
+  const text = [channel.name, channel.description, ...videos.map(v => `${v.title}\n${v.description}`)].join("\n");
+  const detected = detectLanguage(text);
+  return { language: detected, source: detected ? "detected" : null };
+}
+
+/**
+ * Filters that only need channel metadata, checked before spending quota on videos.
+ * Channels without a declared country pass the country filter, since most never set one.
+ * @param {Object} channel
+ * @param {Object} params - Normalized search params
+ * @returns {{reason: string, detail: string}|null}
+ */
+export function checkChannelMetadata(channel, params) {
+  if (params.countries?.length > 0 && channel.country && !params.countries.includes(channel.country)) {
+    return { reason: "country", detail: `Country ${channel.country}` };
+  }
+  if (params.minVideoCount > 0 && channel.videoCount < params.minVideoCount) {
+    return { reason: "videoCount", detail: `${channel.videoCount} videos (minimum ${params.minVideoCount})` };
+  }
+  if (params.languages?.length > 0 && channel.defaultLanguage) {
+    const { language } = resolveChannelLanguage(channel);
+    if (!params.languages.includes(language)) return { reason: "language", detail: `Declared language ${language}` };
+  }
+  return null;
+}
+
+/**
+ * Filters that need the channel's recent uploads
+ * @param {Object} channel - With recentVideos and videoMetrics set
+ * @param {Object} params - Normalized search params
+ * @returns {{reason: string, detail: string}|null}
+ */
+export function checkChannelActivity(channel, params) {
+  const metrics = channel.videoMetrics || {};
+
+  if (params.maxDaysSinceUpload) {
+    if (metrics.daysSinceLastUpload === null || metrics.daysSinceLastUpload === undefined) {
+      return { reason: "inactive", detail: "No public uploads" };
+    }
+    if (metrics.daysSinceLastUpload > params.maxDaysSinceUpload) {
+      return { reason: "inactive", detail: `Last upload ${metrics.daysSinceLastUpload} days ago (maximum ${params.maxDaysSinceUpload})` };
+    }
+  }
+
+  if (params.videoFormat === "shorts" && (metrics.shortsRatio || 0) < FORMAT_MAJORITY) {
+    return { reason: "videoFormat", detail: `${Math.round((metrics.shortsRatio || 0) * 100)}% Shorts` };
+  }
+  if (params.videoFormat === "long-form" && 1 - (metrics.shortsRatio || 0) < FORMAT_MAJORITY) {
+    return { reason: "videoFormat", detail: `${Math.round((metrics.shortsRatio || 0) * 100)}% Shorts` };
+  }
+
+  if (params.languages?.length > 0 && !channel.defaultLanguage) {
+    const { language, source } = resolveChannelLanguage(channel);
+    // Too little text to tell: keep the channel rather than guess
+    if (language && !params.languages.includes(language)) {
+      return { reason: "language", detail: `${source === "videos" ? "Video audio" : "Detected"} language ${language}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Entry for the rejected-channels report
+ * @param {Object} channel
+ * @param {string} stage - Pipeline stage that rejected it
+ * @param {string} reason - Key of REJECTION_REASONS
+ * @param {string} [detail]
+ */
+export function toRejection(channel, stage, reason, detail = "") {
+  return {
+    channelId: channel.id,
+    name: channel.name,
+    url: channel.url,
+    subscribers: Number(channel.subscribers) || 0,
+    stage,
+    reason,
+    detail
+  };
+}
+
+/**
+ * Rejections grouped by reason
+ * @param {Array} rejected
+ */
+export function summarizeRejections(rejected = []) {
+  const byReason = {};
+  for (const entry of rejected) {
+    byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+  }
+  return byReason;
+}
@@ -0,0 +1,132 @@
+// channelImport.js
+// Turn an uploaded CSV or pasted list of channel URLs / @handles into channels to enrich
+import { parseChannelReference, resolveChannelReference, fetchChannelsByIds } from "./youtube.js";
+
+export const MAX_IMPORT_ENTRIES = 1000;
+
+// Header names that mark the column holding the channel reference
+const REFERENCE_HEADER = /channel|url|link|handle|youtube|^id$/i;
+
+/**
+ * Minimal RFC 4180 parser: quoted fields may hold commas, quotes ("") and newlines.
+ * Semicolon- and tab-separated files are detected from the first line.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const source = (text || "").replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"]
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank rows are kept so row numbers match the spreadsheet
+  return rows;
+}
+
+/**
+ * Pick the channel column of a CSV (or a one-per-line paste) and list its entries.
+ * A header cell such as "Channel URL" picks the column; without one the column
+ * with the most recognizable channel references wins.
+ * @param {string} text
+ * @returns {{entries: Array<{row: number, input: string}>, column: number, hasHeader: boolean}}
+ */
+export function parseImportList(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { entries: [], column: 0, hasHeader: false };
+
+  const width = Math.max(...rows.map(r => r.length));
+  const counts = Array.from({ length: width }, (_, c) => rows.filter(r => parseChannelReference(r[c])).length);
+  const headerColumns = rows[0]
+    .map((cell, c) => REFERENCE_HEADER.test(cell.trim()) && !parseChannelReference(cell) ? c : -1)
+    .filter(c => c >= 0);
+  const hasHeader = headerColumns.length > 0;
+
+  // "Channel Name" and "Channel URL" both look like headers; the one holding references wins
+  const candidates = hasHeader ? headerColumns : counts.map((_, c) => c);
+  const column = candidates.reduce((best, c) => counts[c] > counts[best] ? c : best, candidates[0]);
+
+  const entries = rows
+    .map((r, index) => ({ row: index + 1, input: (r[column] || "").trim() }))
+    .slice(hasHeader ? 1 : 0)
+    .filter(entry => entry.input);
+
+  return { entries, column, hasHeader };
+}
+
+/**
+ * Resolve import rows to channel resources. Duplicates and rows that cannot be
+ * resolved come back in `unresolved` with the reason.
+ * @param {Array<{row: number, input: string}>} entries
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<{channels: Array<{row: number, input: string, channel: Object}>, unresolved: Array<{row: number, input: string, reason: string}>}>}
+ */
+export async function resolveImportEntries(entries, ctx) {
+  const unresolved = [];
+  const rowsByChannelId = new Map();
+
+  for (let i = 0; i < entries.length; i++) {
+    ctx.throwIfCancelled();
+    const entry = entries[i];
+    if (i % 10 === 0) ctx.stageProgress(i / entries.length, `Resolving imported channels (${i}/${entries.length})...`);
+
+    const { channelId, reason } = await resolveChannelReference(entry.input);
+    if (!channelId) {
+      unresolved.push({ ...entry, reason });
+    } else if (rowsByChannelId.has(channelId)) {
+      unresolved.push({ ...entry, reason: `Duplicate of row ${rowsByChannelId.get(channelId).row}` });
+    } else {
+      rowsByChannelId.set(channelId, entry);
+    }
+  }
+
+  const found = await fetchChannelsByIds([...rowsByChannelId.keys()]);
+  const foundIds = new Set(found.map(channel => channel.id));
+  for (const [channelId, entry] of rowsByChannelId) {
+    if (!foundIds.has(channelId)) {
+      unresolved.push({ ...entry, reason: "Channel not found (deleted, terminated or private)" });
+    }
+  }
+
+  return {
+    channels: found.map(channel => ({ ...rowsByChannelId.get(channel.id), channel })),
+    unresolved: unresolved.sort((a, b) => a.row - b.row)
+  };
+}
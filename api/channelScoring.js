@@ -0,0 +1,305 @@
+// channelScoring.js
+import { randomUUID } from "crypto";
+import { readJsonFile, writeJsonFile, getOwnEntry } from "./dataStore.js";
+
+const PROFILES_FILE = "scoring-profiles.json";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Each signal maps a channel to 0-1 (1 = ideal) plus a human-readable detail.
+ * The weighted sum of signals, scaled to 0-100, is the channel score.
+ */
+export const SCORING_SIGNALS = {
+  subscriberBand: {
+    label: "Subscriber band",
+    evaluate(channel, t) {
+      const subs = Number(channel.subscribers) || 0;
+      if (subs <= 0) return { value: 0, detail: "No subscriber count" };
+      if (subs >= t.idealMinSubscribers && subs <= t.idealMaxSubscribers) {
+        return { value: 1, detail: `${subs.toLocaleString()} subscribers, inside the ideal band` };
+      }
+      // Lose half the value per 10x outside the band
+      const edge = subs < t.idealMinSubscribers ? t.idealMinSubscribers : t.idealMaxSubscribers;
+      const decades = Math.abs(Math.log10(subs / edge));
+      return {
+        value: Math.max(1 - decades / 2, 0),
+        detail: `${subs.toLocaleString()} subscribers, ${subs < edge ? "below" : "above"} the ideal band`
+      };
+    }
+  },
+  engagementRate: {
+    label: "Engagement rate",
+    evaluate(channel, t) {
+      const rate = channel.engagementRate || 0;
+      return { value: Math.min(rate / t.targetEngagementRate, 1), detail: `${rate.toFixed(2)}% (target ${t.targetEngagementRate}%)` };
+    }
+  },
+  viewsPerSubscriber: {
+    label: "Views per subscriber",
+    evaluate(channel, t) {
+      const subs = Number(channel.subscribers) || 0;
+      const views = (channel.recentVideos || []).map(v => parseInt(v.stats?.viewCount) || 0).filter(v => v > 0);
+      if (subs <= 0 || views.length === 0) return { value: 0, detail: "No recent view counts" };
+
+      // Median resists a single viral upload; fall back to the mean for older results
+      const typical = channel.videoMetrics?.medianViews || views.reduce((a, b) => a + b, 0) / views.length;
+      const ratio = typical / subs;
+      return { value: Math.min(ratio / t.targetViewsPerSubscriber, 1), detail: `${ratio.toFixed(2)} typical views per subscriber` };
+    }
+  },
+  uploadFrequency: {
+    label: "Upload frequency",
+    evaluate(channel, t) {
+      let perWeek = channel.videoMetrics?.uploadsPerWeek;
+      if (perWeek === undefined) {
+        const dates = (channel.recentVideos || []).map(v => new Date(v.publishedAt).getTime()).filter(Number.isFinite).sort((a, b) => b - a);
+        perWeek = dates.length >= 2 ? (dates.length - 1) / Math.max((dates[0] - dates[dates.length - 1]) / (7 * DAY_MS), 1 / 7) : null;
+      }
+      if (perWeek === null) return { value: 0, detail: "Not enough recent uploads" };
+
+      return { value: Math.min(perWeek / t.targetUploadsPerWeek, 1), detail: `${perWeek.toFixed(1)} uploads per week` };
+    }
+  },
+  recency: {
+    label: "Days since last upload",
+    evaluate(channel, t) {
+      const last = channel.recentVideo?.publishedAt || channel.recentVideos?.[0]?.publishedAt;
+      if (!last) return { value: 0, detail: "No recent uploads" };
+
+      const days = Math.max((Date.now() - new Date(last).getTime()) / DAY_MS, 0);
+      return { value: Math.max(1 - days / t.staleAfterDays, 0), detail: `Last upload ${Math.round(days)} days ago` };
+    }
+  },
+  contactAvailability: {
+    label: "Contact availability",
+    evaluate(channel) {
+      if (channel.email) {
+        // Verified confidence when available, otherwise assume a decent address
+        const confidence = channel.emailScore !== undefined ? channel.emailScore / 100 : 0.8;
+        return { value: 0.5 + confidence / 2, detail: `Email ${channel.email}${channel.emailStatus ? ` (${channel.emailStatus})` : ""}` };
+      }
+      if (channel.hasBusinessInquiry) return { value: 0.5, detail: "Business inquiry button, no public email" };
+      if (Object.keys(channel.social || {}).length > 0 || channel.website) return { value: 0.25, detail: "Social links or website only" };
+      return { value: 0, detail: "No contact found" };
+    }
+  },
+  monetization: {
+    label: "Monetization signals",
+    evaluate(channel) {
+      const types = channel.monetization && channel.monetization !== "Unknown" ? channel.monetization.split(", ") : [];
+      // Creators who already sell or take sponsors are used to partnerships
+      return { value: Math.min(types.length / 2, 1), detail: types.length > 0 ? types.join(", ") : "None detected" };
+    }
+  },
+  audienceFit: {
+    label: "Audience fit",
+    evaluate(channel) {
+      if (channel.audienceScore === undefined) return { value: 0, detail: "Not scored" };
+      return { value: channel.audienceScore / 100, detail: `${channel.audienceScore}/100 ${channel.audienceMatch || ""}`.trim() };
+    }
+  }
+};
+
+const DEFAULT_THRESHOLDS = {
+  idealMinSubscribers: 10000,
+  idealMaxSubscribers: 500000,
+  targetEngagementRate: 5,
+  targetViewsPerSubscriber: 0.3,
+  targetUploadsPerWeek: 1,
+  staleAfterDays: 90,
+  // Channels scoring below this are dropped from the results (0 keeps everything)
+  minScore: 0
+};
+
+/**
+ * Built-in profile: audience fit and engagement first, then contactability.
+ * Always available and cannot be edited or deleted.
+ */
+export const DEFAULT_SCORING_PROFILE = {
+  id: "default",
+  name: "Balanced",
+  builtIn: true,
+  weights: {
+    subscriberBand: 10,
+    engagementRate: 20,
+    viewsPerSubscriber: 10,
+    uploadFrequency: 5,
+    recency: 10,
+    contactAvailability: 15,
+    monetization: 5,
+    audienceFit: 25
+  },
+  thresholds: DEFAULT_THRESHOLDS
+};
+
+let profilesCache = null;
+let writeQueue = Promise.resolve();
+
+async function loadProfiles() {
+  if (!profilesCache) {
+    profilesCache = await readJsonFile(PROFILES_FILE, {});
+  }
+  return profilesCache;
+}
+
+function saveProfiles() {
+  writeQueue = writeQueue
+    .then(() => writeJsonFile(PROFILES_FILE, profilesCache))
+    .catch(err => console.error("❌ Failed to save scoring profiles:", err.message));
+  return writeQueue;
+}
+
+/**
+ * Validate and clean profile input. Missing weights/thresholds fall back to the
+ * existing profile (updates) or the defaults. Throws on invalid values.
+ * @param {Object} input
+ * @param {Object} [existing]
+ */
+function sanitizeProfileInput(input = {}, existing = null) {
+  const name = input.name !== undefined ? input.name.toString().trim() : existing?.name;
+  if (!name) throw new Error("Profile name is required");
+
+  const weights = { ...(existing?.weights || DEFAULT_SCORING_PROFILE.weights) };
+  for (const [signal, weight] of Object.entries(input.weights || {})) {
+    if (!SCORING_SIGNALS[signal]) {
+      throw new Error(`Unknown signal "${signal}". Expected one of: ${Object.keys(SCORING_SIGNALS).join(", ")}`);
+    }
+    const value = parseFloat(weight);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Weight for ${signal} must be a non-negative number`);
+    weights[signal] = value;
+  }
+  if (Object.values(weights).every(w => w === 0)) {
+    throw new Error("At least one weight must be above 0");
+  }
+
+  const thresholds = { ...(existing?.thresholds || DEFAULT_THRESHOLDS) };
+  for (const [field, raw] of Object.entries(input.thresholds || {})) {
+    if (!(field in DEFAULT_THRESHOLDS)) {
+      throw new Error(`Unknown threshold "${field}". Expected one of: ${Object.keys(DEFAULT_THRESHOLDS).join(", ")}`);
+    }
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < 0 || (field !== "minScore" && value === 0)) {
+      throw new Error(`Threshold ${field} must be a positive number`);
+    }
+    thresholds[field] = value;
+  }
+  if (thresholds.idealMinSubscribers > thresholds.idealMaxSubscribers) {
+    throw new Error("idealMinSubscribers cannot be above idealMaxSubscribers");
+  }
+  if (thresholds.minScore > 100) throw new Error("minScore can be at most 100");
+
+  return { name, weights, thresholds };
+}
+
+export async function listScoringProfiles() {
+  const profiles = await loadProfiles();
+  return [
+    DEFAULT_SCORING_PROFILE,
+    ...Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name))
+  ];
+}
+
+/**
+ * @param {string} [profileId] - Missing or "default" returns the built-in profile
+ * @returns {Promise<Object|null>}
+ */
+export async function getScoringProfile(profileId) {
+  if (!profileId || profileId === DEFAULT_SCORING_PROFILE.id) return DEFAULT_SCORING_PROFILE;
+  const profiles = await loadProfiles();
+  return getOwnEntry(profiles, profileId);
+}
+
+export async function createScoringProfile(input) {
+  const profiles = await loadProfiles();
+  const now = new Date().toISOString();
+
+  const profile = {
+    id: randomUUID(),
+    ...sanitizeProfileInput(input),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  profiles[profile.id] = profile;
+  await saveProfiles();
+  return profile;
+}
+
+export async function updateScoringProfile(profileId, input) {
+  if (profileId === DEFAULT_SCORING_PROFILE.id) {
+    throw new Error("The default scoring profile cannot be changed");
+  }
+
+  const profiles = await loadProfiles();
+  const profile = getOwnEntry(profiles, profileId);
+  if (!profile) return null;
+
+  Object.assign(profile, sanitizeProfileInput(input, profile), { updatedAt: new Date().toISOString() });
+  await saveProfiles();
+  return profile;
+}
+
+export async function deleteScoringProfile(profileId) {
+  if (profileId === DEFAULT_SCORING_PROFILE.id) {
+    throw new Error("The default scoring profile cannot be deleted");
+  }
+
+  const profiles = await loadProfiles();
+  if (!getOwnEntry(profiles, profileId)) return false;
+
+  delete profiles[profileId];
+  await saveProfiles();
+  return true;
+}
+
+/**
+ * Score one channel against a profile
+ * @param {Object} channel
+ * @param {Object} profile
+ * @returns {{score: number, breakdown: Array<{signal: string, label: string, weight: number, value: number, points: number, detail: string}>}}
+ */
+export function scoreChannel(channel, profile = DEFAULT_SCORING_PROFILE) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...profile.thresholds };
+  const totalWeight = Object.values(profile.weights).reduce((a, b) => a + b, 0) || 1;
+
+  const breakdown = Object.entries(SCORING_SIGNALS)
+    .filter(([signal]) => profile.weights[signal] > 0)
+    .map(([signal, definition]) => {
+      const { value, detail } = definition.evaluate(channel, thresholds);
+      const weight = profile.weights[signal];
+      return {
+        signal,
+        label: definition.label,
+        weight,
+        value: Number(value.toFixed(3)),
+        points: Number(((value * weight / totalWeight) * 100).toFixed(1)),
+        detail
+      };
+    })
+    .sort((a, b) => b.points - a.points);
+
+  const score = Math.round(breakdown.reduce((sum, entry) => sum + entry.points, 0));
+  return { score, breakdown };
+}
+
+/**
+ * Score, filter by the profile's minScore and rank channels (highest first)
+ * @param {Array} channels
+ * @param {Object} profile
+ * @returns {{channels: Array, belowMinScore: number}}
+ */
+export function rankChannels(channels, profile = DEFAULT_SCORING_PROFILE) {
+  const minScore = profile.thresholds?.minScore || 0;
+
+  for (const channel of channels) {
+    const { score, breakdown } = scoreChannel(channel, profile);
+    channel.score = score;
+    channel.scoreBreakdown = breakdown;
+    channel.scoringProfileId = profile.id;
+  }
+
+  const kept = channels.filter(channel => channel.score >= minScore);
+  kept.sort((a, b) => b.score - a.score || (b.engagementRate || 0) - (a.engagementRate || 0));
+
+  return { channels: kept, belowMinScore: channels.length - kept.length };
+}
@@ -0,0 +1,109 @@
+// cron.js
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10) and @hourly/@daily/@weekly/@monthly.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 1",
+  "@monthly": "0 0 1 * *"
+};
+
+// Longest each month can be; Feb 29 exists in leap years
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Give up looking for a next run after this long (~4 years covers Feb 29)
+const MAX_SEARCH_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: "${part}"`);
+
+    const start = match[1] === "*" ? min : parseInt(match[2]);
+    const end = match[1] === "*" ? max : match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start);
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} out of range (${min}-${max}): "${part}"`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message when it is invalid.
+ * @param {string} expression
+ * @returns {{minute: Set, hour: Set, dayOfMonth: Set, month: Set, dayOfWeek: Set, restrictedDays: {dom: boolean, dow: boolean}}}
+ */
+export function parseCron(expression) {
+  const normalized = ALIASES[(expression || "").trim().toLowerCase()] || (expression || "").trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error("Cron expression needs 5 fields: minute hour day-of-month month day-of-week");
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is Sunday too
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  const restrictedDays = { dom: parts[2] !== "*", dow: parts[4] !== "*" };
+  // "0 0 30 2 *" is valid field by field but never runs; a day-of-week restriction would still match
+  if (restrictedDays.dom && !restrictedDays.dow &&
+      ![...month].some(m => [...dayOfMonth].some(day => day <= DAYS_IN_MONTH[m - 1]))) {
+    throw new Error(`Cron day of month "${parts[2]}" never occurs in month "${parts[3]}"`);
+  }
+
+  return { minute, hour, dayOfMonth, month, dayOfWeek, restrictedDays };
+}
+
+function dayMatches(cron, date) {
+  if (!cron.month.has(date.getUTCMonth() + 1)) return false;
+
+  const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+  // Classic cron: when both day fields are restricted, either one may match
+  if (cron.restrictedDays.dom && cron.restrictedDays.dow) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * The first run strictly after `from`
+ * @param {string} expression
+ * @param {Date} [from]
+ * @returns {Date|null}
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = from.getTime() + MAX_SEARCH_MS;
+
+  // Skip whole days and hours that cannot match instead of testing every minute
+  while (date.getTime() <= limit) {
+    if (!dayMatches(cron, date)) {
+      date.setUTCHours(24, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
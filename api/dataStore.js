@@ -0,0 +1,76 @@
+// dataStore.js
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// All persisted state lives under one directory (override with DATA_DIR on hosts with a mounted disk)
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+/**
+ * Read and parse a JSON file inside DATA_DIR
+ * @param {string} relativePath - Path relative to DATA_DIR
+ * @param {*} fallback - Returned when the file does not exist
+ */
+export async function readJsonFile(relativePath, fallback = null) {
+  try {
+    const raw = await fs.readFile(path.join(DATA_DIR, relativePath), "utf8");
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+/**
+ * Write a JSON file inside DATA_DIR (written to a temp file first, then renamed)
+ * @param {string} relativePath - Path relative to DATA_DIR
+ * @param {*} data
+ */
+export async function writeJsonFile(relativePath, data) {
+  const filePath = path.join(DATA_DIR, relativePath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Own entry of a keyed store object, or null. Ids arrive from URLs, so a plain
+ * `store[id]` lookup would hand "__proto__" or "constructor" the prototype.
+ * @param {Object} store - Store object keyed by id
+ * @param {string} key
+ */
+export function getOwnEntry(store, key) {
+  return typeof key === "string" && Object.hasOwn(store, key) ? store[key] : null;
+}
+
+/**
+ * List the JSON files in a DATA_DIR subdirectory (names without extension)
+ * @param {string} relativeDir
+ */
+export async function listJsonFiles(relativeDir) {
+  try {
+    const files = await fs.readdir(path.join(DATA_DIR, relativeDir));
+    return files
+      .filter(f => f.endsWith(".json"))
+      .map(f => f.slice(0, -".json".length));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+/**
+ * Delete a file inside DATA_DIR (missing files are ignored)
+ * @param {string} relativePath
+ */
+export async function deleteJsonFile(relativePath) {
+  try {
+    await fs.unlink(path.join(DATA_DIR, relativePath));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
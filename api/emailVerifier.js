@@ -0,0 +1,268 @@
+// emailVerifier.js
+import dns from "dns";
+
+// Point MX lookups at specific DNS servers (e.g. a local stub): DNS_SERVERS=127.0.0.1:5353
+const DNS_SERVERS = process.env.DNS_SERVERS
+  ? process.env.DNS_SERVERS.split(',').map(s => s.trim()).filter(s => s.length > 0)
+  : [];
+const DNS_TIMEOUT_MS = parseInt(process.env.DNS_TIMEOUT_MS) || 5000;
+const MX_CACHE_TTL = 60 * 60 * 1000;
+
+export const EMAIL_STATUSES = ["valid", "risky", "invalid", "unknown"];
+
+// Local parts that mean "send business here"
+const BUSINESS_LOCAL_PARTS = [
+  "business", "businessinquiries", "inquiries", "enquiries", "collab", "collabs", "collaborations",
+  "partnerships", "partner", "partners", "sponsor", "sponsors", "sponsorships", "brand", "brands",
+  "branddeals", "booking", "bookings", "management", "mgmt", "press", "media", "pr", "deals"
+];
+
+// Shared mailboxes that are not tied to a person
+const ROLE_LOCAL_PARTS = [
+  ...BUSINESS_LOCAL_PARTS, "info", "contact", "hello", "hi", "team", "admin", "support", "help",
+  "office", "mail", "email", "sales", "marketing", "hr", "jobs", "careers", "billing", "webmaster"
+];
+
+const NO_REPLY_PATTERN = /^(?:no[-_.]?reply|do[-_.]?not[-_.]?reply|mailer[-_.]?daemon|postmaster|bounce)/;
+
+// Addresses copied from templates, docs or tracking scripts rather than written by the creator
+// ("email@", "name@" and "user@" are real mailboxes often enough to keep)
+const PLACEHOLDER_LOCAL_PARTS = ["example", "test", "yourname", "your", "username", "someone"];
+const PLACEHOLDER_DOMAINS = [
+  "example.com", "example.org", "example.net", "domain.com", "email.com", "yourdomain.com",
+  "yoursite.com", "website.com", "company.com", "test.com", "sentry.io", "sentry-next.wixpress.com",
+  "wixpress.com"
+];
+
+// File extensions that show up as fake TLDs (logo@2x.png, icon@3x.webp)
+const FILE_EXTENSION_TLDS = [
+  "png", "jpg", "jpeg", "gif", "webp", "svg", "ico", "bmp", "avif", "css", "js", "json", "mp4", "pdf"
+];
+
+const FREE_MAIL_DOMAINS = [
+  "gmail.com", "googlemail.com", "yahoo.com", "yahoo.co.uk", "yahoo.fr", "ymail.com", "hotmail.com",
+  "hotmail.co.uk", "outlook.com", "live.com", "msn.com", "aol.com", "icloud.com", "me.com", "mac.com",
+  "proton.me", "protonmail.com", "pm.me", "gmx.com", "gmx.de", "gmx.net", "web.de", "mail.com",
+  "yandex.com", "yandex.ru", "mail.ru", "zoho.com", "qq.com", "163.com", "126.com", "naver.com"
+];
+
+const DISPOSABLE_DOMAINS = [
+  "mailinator.com", "guerrillamail.com", "guerrillamail.net", "sharklasers.com", "10minutemail.com",
+  "temp-mail.org", "tempmail.com", "tempmail.net", "yopmail.com", "trashmail.com", "getnada.com",
+  "dispostable.com", "maildrop.cc", "throwawaymail.com", "fakeinbox.com", "mintemail.com",
+  "mailnesia.com", "spamgourmet.com", "mohmal.com", "emailondeck.com", "tempr.email", "burnermail.io"
+];
+
+const SYNTAX_REGEX = /^[a-z0-9](?:[a-z0-9._%+-]{0,62}[a-z0-9_%+-])?@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}$/;
+
+let resolver = createDefaultResolver();
+const mxCache = new Map();
+
+function createDefaultResolver() {
+  const r = new dns.promises.Resolver({ timeout: DNS_TIMEOUT_MS, tries: 2 });
+  if (DNS_SERVERS.length > 0) r.setServers(DNS_SERVERS);
+  return r;
+}
+
+/**
+ * Swap the DNS resolver used for mail lookups. Anything with a
+ * `resolveMx(domain)` method returning [{ exchange, priority }] works;
+ * `resolve4` / `resolve6` are used for domains without MX records when present.
+ * Pass null to restore the default resolver.
+ * @param {{resolveMx: Function, resolve4?: Function, resolve6?: Function}|null} customResolver
+ */
+export function setDnsResolver(customResolver) {
+  resolver = customResolver || createDefaultResolver();
+  mxCache.clear();
+}
+
+// No such domain / no records of that type are answers; anything else (timeout, refused) is not
+const NO_RECORD_CODES = ["ENOTFOUND", "ENODATA", "NXDOMAIN"];
+
+/**
+ * A and AAAA records, for domains that take mail without MX records
+ * @returns {Promise<boolean|null>} null when a lookup failed
+ */
+async function hasAddressRecords(domain) {
+  let failed = false;
+  for (const method of ["resolve4", "resolve6"]) {
+    if (typeof resolver[method] !== "function") continue;
+    try {
+      const addresses = await resolver[method](domain);
+      if (Array.isArray(addresses) && addresses.length > 0) return true;
+    } catch (err) {
+      if (!NO_RECORD_CODES.includes(err.code)) failed = true;
+    }
+  }
+  return failed ? null : false;
+}
+
+/**
+ * Where mail for a domain goes. `mx` is true/false when the lookup was conclusive,
+ * null when it failed; `implicit` means there is no MX record and mail goes to the
+ * domain's own A/AAAA address (RFC 5321 section 5.1).
+ * @param {string} domain
+ * @returns {Promise<{mx: boolean|null, implicit: boolean}>}
+ */
+async function lookupMailRoute(domain) {
+  const cached = mxCache.get(domain);
+  if (cached && Date.now() - cached.checkedAt < MX_CACHE_TTL) return cached.route;
+
+  let route;
+  try {
+    const records = (await resolver.resolveMx(domain)) || [];
+    if (records.some(r => r.exchange && r.exchange !== ".")) {
+      route = { mx: true, implicit: false };
+    } else if (records.length > 0) {
+      // Null MX ("."): the domain says it takes no mail (RFC 7505)
+      route = { mx: false, implicit: false };
+    }
+  } catch (err) {
+    // ENODATA: the domain exists but has no MX records, so its address records are checked below
+    if (!NO_RECORD_CODES.includes(err.code)) {
+      console.warn(`⚠️ MX lookup failed for ${domain}:`, err.code || err.message);
+      route = { mx: null, implicit: false };
+    } else if (err.code !== "ENODATA") {
+      route = { mx: false, implicit: false };
+    }
+  }
+
+  if (!route) {
+    const hasAddress = await hasAddressRecords(domain);
+    route = { mx: hasAddress, implicit: hasAddress === true };
+  }
+
+  // Inconclusive lookups are not cached so the next search retries them
+  if (route.mx !== null) mxCache.set(domain, { route, checkedAt: Date.now() });
+  return route;
+}
+
+function domainIn(domain, list) {
+  return list.some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+/**
+ * Check one address and give it a status and a 0-100 confidence score
+ * @param {string} rawEmail
+ * @param {Object} [options]
+ * @param {string[]} [options.websites] - Creator websites; a matching domain raises confidence
+ * @returns {Promise<{email: string, status: string, score: number, checks: Object, reasons: string[]}>}
+ */
+export async function verifyEmail(rawEmail, options = {}) {
+  const email = (rawEmail || "").trim().toLowerCase();
+  const [localPart = "", domain = ""] = email.split("@");
+  const baseLocal = localPart.split("+")[0].replace(/[._-]/g, "");
+  const tld = domain.split(".").pop();
+
+  const checks = {
+    syntax: SYNTAX_REGEX.test(email) && !email.includes("..") && email.length <= 254,
+    fileName: FILE_EXTENSION_TLDS.includes(tld),
+    placeholder: PLACEHOLDER_LOCAL_PARTS.includes(baseLocal) || domainIn(domain, PLACEHOLDER_DOMAINS),
+    noReply: NO_REPLY_PATTERN.test(localPart),
+    role: ROLE_LOCAL_PARTS.includes(baseLocal),
+    business: BUSINESS_LOCAL_PARTS.includes(baseLocal) || /business|collab|sponsor|partnership|booking/.test(localPart),
+    freeMail: domainIn(domain, FREE_MAIL_DOMAINS),
+    disposable: domainIn(domain, DISPOSABLE_DOMAINS),
+    matchesWebsite: false,
+    mx: null,
+    implicitMx: false
+  };
+
+  const reasons = [];
+  const result = status => ({ email, status, score: Math.max(0, Math.min(100, Math.round(score))), checks, reasons });
+  let score = 0;
+
+  if (!checks.syntax || checks.fileName) {
+    reasons.push(checks.fileName ? "Looks like an image or asset filename" : "Invalid syntax");
+    return result("invalid");
+  }
+  if (checks.placeholder) {
+    reasons.push("Placeholder or template address");
+    return result("invalid");
+  }
+  if (checks.noReply) {
+    reasons.push("No-reply mailbox");
+    return result("invalid");
+  }
+
+  const route = await lookupMailRoute(domain);
+  checks.mx = route.mx;
+  checks.implicitMx = route.implicit;
+  if (checks.mx === false) {
+    reasons.push("Domain has no MX or address records");
+    score = 5;
+    return result("invalid");
+  }
+
+  score = 50;
+  if (checks.implicitMx) {
+    score += 5;
+    reasons.push("No MX records; mail goes to the domain's address record");
+  } else if (checks.mx === true) {
+    score += 25;
+  } else {
+    reasons.push("MX lookup inconclusive");
+  }
+
+  if (checks.business) {
+    score += 15;
+    reasons.push("Business mailbox");
+  } else if (checks.role) {
+    score += 5;
+    reasons.push("Role-based mailbox");
+  }
+
+  const websiteDomains = (options.websites || [])
+    .map(url => {
+      try {
+        return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  checks.matchesWebsite = websiteDomains.some(site => site === domain || site.endsWith(`.${domain}`));
+  if (checks.matchesWebsite) {
+    score += 10;
+    reasons.push("Domain matches the creator's website");
+  }
+
+  if (checks.freeMail) {
+    score -= 5;
+    reasons.push("Free mail provider");
+  }
+  if (checks.disposable) {
+    score -= 45;
+    reasons.push("Disposable mail provider");
+    return result("risky");
+  }
+
+  if (checks.mx === null) return result("unknown");
+  return result(score >= 60 ? "valid" : "risky");
+}
+
+/**
+ * Verify a list of addresses (case-insensitive duplicates collapsed), best first
+ * @param {string[]} emails
+ * @param {Object} [options] - Passed to verifyEmail
+ */
+export async function verifyEmails(emails, options = {}) {
+  const unique = [...new Set((emails || []).map(e => (e || "").trim().toLowerCase()).filter(Boolean))];
+  const verified = await Promise.all(unique.map(email => verifyEmail(email, options)));
+  return verified.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The address to contact: highest confidence, business mailboxes winning ties
+ * @param {Array} verified - Output of verifyEmails
+ * @returns {Object|null}
+ */
+export function pickBestEmail(verified) {
+  const usable = (verified || []).filter(v => v.status !== "invalid");
+  if (usable.length === 0) return null;
+
+  return usable.reduce((best, v) => {
+    if (v.score !== best.score) return v.score > best.score ? v : best;
+    return !best.checks.business && v.checks.business ? v : best;
+  });
+}
@@ -0,0 +1,274 @@
+// exportResults.js
+import { Parser } from "json2csv";
+import { PLATFORMS } from "../shared/contactExtraction.js";
+import { getLead } from "./leadStore.js";
+import { buildXlsx } from "./xlsxWriter.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" }
+};
+
+const join = list => (list || []).filter(Boolean).join(" | ");
+
+// Spreadsheets run cells starting with these as formulas; channel names and descriptions are creator-controlled
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Neutralize a CSV cell that a spreadsheet would evaluate, by prefixing a quote
+ * @param {*} value
+ */
+export function escapeSpreadsheetFormula(value) {
+  return typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+// Channel names double as the contact name; outreach already greets by the first word
+function splitName(name = "") {
+  const [first = "", ...rest] = name.trim().split(/\s+/);
+  return { firstName: first, lastName: rest.join(" ") };
+}
+
+// Formats that keep nested values as they are
+const STRUCTURED_FORMATS = ["json", "ndjson"];
+
+/**
+ * Every exportable column: id -> {label, value(channel), structured?}.
+ * Values are kept as numbers where they are numbers so xlsx/json keep the type.
+ * Structured columns hold objects; they are only in the default set of JSON
+ * formats and are serialized as JSON text when a flat format asks for them.
+ */
+export const EXPORT_COLUMNS = {
+  channelId: { label: "Channel ID", value: c => c.id },
+  name: { label: "Channel Name", value: c => c.name },
+  url: { label: "Channel URL", value: c => c.url },
+  importRow: { label: "Import Row", value: c => c.importRow ?? "" },
+  importInput: { label: "Imported As", value: c => c.importInput || "" },
+  score: { label: "Score", value: c => c.score ?? "" },
+  similarity: { label: "Similarity to Seeds", value: c => c.similarity ?? "" },
+  scoreBreakdown: {
+    label: "Score Breakdown",
+    value: c => (c.scoreBreakdown || []).map(b => `${b.label}: ${b.points} (${b.detail})`).join(" | ")
+  },
+  subscribers: { label: "Subscribers", value: c => Number(c.subscribers) || 0 },
+  country: { label: "Country", value: c => c.country || "" },
+  language: { label: "Language", value: c => c.language || "" },
+  engagementRate: { label: "Engagement Rate (%)", value: c => Number((c.engagementRate || 0).toFixed(2)) },
+  uploadsPerWeek: { label: "Uploads per Week", value: c => c.videoMetrics?.uploadsPerWeek ?? "" },
+  medianViews: { label: "Median Views", value: c => c.videoMetrics?.medianViews ?? "" },
+  viewTrend: { label: "View Trend", value: c => c.videoMetrics?.viewTrend || "" },
+  viewTrendPct: { label: "View Trend (%)", value: c => c.videoMetrics?.viewTrendPct ?? "" },
+  shortsRatio: { label: "Shorts Share", value: c => c.videoMetrics?.shortsRatio ?? "" },
+  audienceMatch: { label: "Audience Match", value: c => c.audienceMatch || "" },
+  audienceScore: { label: "Audience Score", value: c => c.audienceScore ?? "" },
+  audienceRationale: { label: "Audience Rationale", value: c => c.audienceRationale || "" },
+  painPoints: { label: "Pain Points", value: c => join((c.painPoints || []).map(p => `${p.label} (${p.count})`)) },
+  recentVideoTitle: { label: "Recent Video Title", value: c => c.recentVideo?.title || "" },
+  recentVideoUrl: { label: "Recent Video URL", value: c => c.recentVideo?.url || "" },
+  recentVideoPublishedAt: { label: "Recent Video Date", value: c => c.recentVideo?.publishedAt || "" },
+  email: { label: "Email", value: c => c.email || "" },
+  emails: { label: "All Emails", value: c => join(c.emails) },
+  emailSource: { label: "Email Source", value: c => c.emailSources?.[c.email] || "" },
+  emailScore: { label: "Email Confidence", value: c => c.emailScore ?? "" },
+  emailStatus: { label: "Email Status", value: c => c.emailStatus || "" },
+  website: { label: "Website", value: c => c.website || "" },
+  websites: { label: "All Websites", value: c => join(c.websites) },
+  linkInBio: { label: "Link in Bio", value: c => join(c.linkInBio) },
+  ...Object.fromEntries(Object.entries(PLATFORMS).map(([id, platform]) => [
+    id,
+    { label: platform.name, value: c => c.social?.[id] || c[id] || "" }
+  ])),
+  otherLinks: { label: "Other Links", value: c => join(c.otherLinks) },
+  contactSources: { label: "Contact Sources", structured: true, value: c => c.contactSources || {} },
+  monetization: { label: "Monetization", value: c => c.monetization || "" },
+  sponsors: {
+    label: "Past Sponsors",
+    value: c => (c.sponsors?.brands || [])
+      .map(b => `${b.brand} (${(b.lastSeen || "").slice(0, 10)}${b.linkTypes.length ? `; ${b.linkTypes.join(", ")}` : ""})`)
+      .join(" | ")
+  },
+  lastSponsoredAt: { label: "Last Sponsored", value: c => (c.sponsors?.lastSponsoredAt || "").slice(0, 10) },
+  sponsoredVideos: { label: "Sponsored Videos", value: c => c.sponsors?.sponsoredVideoCount ?? "" },
+  promoCodes: { label: "Promo Codes", value: c => join((c.sponsors?.brands || []).flatMap(b => b.promoCodes.map(code => `${b.brand}: ${code}`))) },
+  description: { label: "Description", value: c => c.description || "" },
+  aiSubjectLine: { label: "AI Subject Line", value: c => c.aiSubjectLine || "" },
+  aiFirstLine: { label: "AI First Line", value: c => c.aiFirstLine || "" },
+  aiEmailBody: { label: "AI Email Body", value: c => c.aiEmailBody || "" },
+  aiFollowUps: {
+    label: "AI Follow-ups",
+    value: c => (c.aiFollowUps || []).map((f, i) => `Follow-up ${i + 1} (day ${f.sendAfterDays}): ${f.body}`).join("\n\n")
+  },
+  aiOutreachSource: { label: "AI Outreach Source", value: c => c.aiOutreachSource || "" },
+  leadStatus: { label: "Lead Status", value: c => c.leadStatus || "" }
+};
+
+const followUp = n => c => c.aiFollowUps?.[n - 1]?.body || "";
+
+/**
+ * Import layouts of cold-email tools and CRMs. Headers match what each tool
+ * auto-maps on upload; extra columns become custom variables/properties.
+ * Presets only export channels that have an email, since the tools key on it.
+ */
+export const EXPORT_PRESETS = {
+  instantly: {
+    name: "Instantly",
+    requireEmail: true,
+    columns: [
+      { header: "email", value: c => c.email },
+      { header: "first_name", value: c => splitName(c.name).firstName },
+      { header: "last_name", value: c => splitName(c.name).lastName },
+      { header: "company_name", value: c => c.name },
+      { header: "website", value: c => c.website || c.url },
+      { header: "personalization", value: c => c.aiFirstLine },
+      { header: "subject", value: c => c.aiSubjectLine },
+      { header: "email_body", value: c => c.aiEmailBody },
+      { header: "follow_up_1", value: followUp(1) },
+      { header: "follow_up_2", value: followUp(2) },
+      { header: "youtube_url", value: c => c.url },
+      { header: "subscribers", value: c => Number(c.subscribers) || 0 }
+    ]
+  },
+  lemlist: {
+    name: "Lemlist",
+    requireEmail: true,
+    columns: [
+      { header: "email", value: c => c.email },
+      { header: "firstName", value: c => splitName(c.name).firstName },
+      { header: "lastName", value: c => splitName(c.name).lastName },
+      { header: "companyName", value: c => c.name },
+      { header: "icebreaker", value: c => c.aiFirstLine },
+      { header: "subject", value: c => c.aiSubjectLine },
+      { header: "linkedinUrl", value: c => c.social?.linkedin || c.linkedin },
+      { header: "website", value: c => c.website || c.url },
+      { header: "youtubeUrl", value: c => c.url },
+      { header: "subscribers", value: c => Number(c.subscribers) || 0 }
+    ]
+  },
+  hubspot: {
+    name: "HubSpot",
+    requireEmail: true,
+    columns: [
+      { header: "Email", value: c => c.email },
+      { header: "First Name", value: c => splitName(c.name).firstName },
+      { header: "Last Name", value: c => splitName(c.name).lastName },
+      { header: "Company Name", value: c => c.name },
+      { header: "Website URL", value: c => c.website || c.url },
+      { header: "LinkedIn URL", value: c => c.social?.linkedin || c.linkedin },
+      { header: "Twitter Username", value: c => c.socialHandles?.twitter },
+      { header: "YouTube Channel", value: c => c.url },
+      { header: "YouTube Subscribers", value: c => Number(c.subscribers) || 0 },
+      { header: "Notes", value: c => c.audienceRationale }
+    ]
+  },
+  apollo: {
+    name: "Apollo",
+    requireEmail: true,
+    columns: [
+      { header: "First Name", value: c => splitName(c.name).firstName },
+      { header: "Last Name", value: c => splitName(c.name).lastName },
+      { header: "Email", value: c => c.email },
+      { header: "Company", value: c => c.name },
+      { header: "Website", value: c => c.website || c.url },
+      { header: "Person Linkedin Url", value: c => c.social?.linkedin || c.linkedin },
+      { header: "Twitter Url", value: c => c.social?.twitter || c.twitter },
+      { header: "Facebook Url", value: c => c.social?.facebook || c.facebook },
+      { header: "YouTube Url", value: c => c.url },
+      { header: "Personalized Opener", value: c => c.aiFirstLine }
+    ]
+  }
+};
+
+/**
+ * Resolve the columns for an export. Throws on unknown presets or column ids.
+ * `header` is what flat formats print; `key` names the field in JSON formats
+ * (the column id, or the tool's own header for presets).
+ * @param {Object} options
+ * @param {string} [options.preset] - Key of EXPORT_PRESETS
+ * @param {string[]} [options.columns] - Keys of EXPORT_COLUMNS (ignored with a preset)
+ * @param {string} [options.format] - Decides whether structured columns are in the default set
+ */
+export function resolveExportColumns({ preset, columns, format } = {}) {
+  if (preset) {
+    const mapping = EXPORT_PRESETS[preset];
+    if (!mapping) {
+      throw new Error(`Unknown preset "${preset}". Expected one of: ${Object.keys(EXPORT_PRESETS).join(", ")}`);
+    }
+    return {
+      columns: mapping.columns.map(col => ({ ...col, key: col.header })),
+      requireEmail: mapping.requireEmail
+    };
+  }
+
+  const ids = columns && columns.length > 0
+    ? columns
+    : Object.keys(EXPORT_COLUMNS).filter(id => !EXPORT_COLUMNS[id].structured || STRUCTURED_FORMATS.includes(format));
+  const unknown = ids.filter(id => !EXPORT_COLUMNS[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown columns: ${unknown.join(", ")}`);
+  }
+
+  return {
+    columns: ids.map(id => ({ key: id, header: EXPORT_COLUMNS[id].label, value: EXPORT_COLUMNS[id].value })),
+    requireEmail: false
+  };
+}
+
+/**
+ * Serialize search results.
+ * @param {Array} channels - Search results
+ * @param {Object} options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {string} [options.preset]
+ * @param {string[]} [options.columns]
+ * @returns {Promise<{body: string|Buffer, rowCount: number}>}
+ */
+export async function exportSearchResults(channels, { format, preset, columns }) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown format "${format}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+
+  const resolved = resolveExportColumns({ preset, columns, format });
+  const headers = resolved.columns.map(col => col.header);
+
+  // Lead status lives in the lead store and changes after the search finished
+  const withStatus = await Promise.all(channels.map(async channel => {
+    const lead = await getLead(channel.id);
+    return { ...channel, leadStatus: lead?.status || "" };
+  }));
+
+  const rows = withStatus
+    .filter(channel => !resolved.requireEmail || channel.email)
+    .map(channel => resolved.columns.map(col => {
+      const value = col.value(channel);
+      if (value === undefined || value === null) return "";
+      return typeof value === "object" && !STRUCTURED_FORMATS.includes(format) ? JSON.stringify(value) : value;
+    }));
+
+  // Display labels such as "Engagement Rate (%)" change; JSON consumers get the stable keys
+  const keys = resolved.columns.map(col => col.key);
+  const asObjects = () => rows.map(row => Object.fromEntries(keys.map((key, i) => [key, row[i]])));
+
+  let body;
+  switch (format) {
+    case "csv":
+      // Accessor functions: headers like "Engagement Rate (%)" are not safe as field paths
+      body = new Parser({
+        fields: headers.map((label, i) => ({ label: escapeSpreadsheetFormula(label), value: row => escapeSpreadsheetFormula(row[i]) })),
+        eol: "\r\n",
+        withBOM: true
+      }).parse(rows);
+      break;
+    case "xlsx":
+      body = buildXlsx(headers, rows, { sheetName: "Channels" });
+      break;
+    case "json":
+      body = JSON.stringify(asObjects(), null, 2);
+      break;
+    case "ndjson":
+      body = asObjects().map(row => JSON.stringify(row)).join("\n") + (rows.length > 0 ? "\n" : "");
+      break;
+  }
+
+  return { body, rowCount: rows.length };
+}
@@ -1,8 +1,10 @@
 // generatePersonalizedOutreach.js
-import OpenAI from "openai";
+import { completeJson, isLlmConfigured } from "./llm.js";
+import { DEFAULT_TEMPLATE } from "./outreachTemplates.js";
 
 /**
- * Generate a personalized subject line + first line for outreach
+ * Generate personalized outreach from a template: subject line, opener, full
+ * email body, follow-up emails and optional A/B variants.
  * Optionally includes audience "pain points" extracted from YouTube comments.
  *
  * @param {Object} channelData
@@ -10,10 +12,14 @@ import OpenAI from "openai";
  * @param {string} channelData.description - Channel "About" text
  * @param {Array} channelData.recentVideos - Array of {title, description}
  * @param {Array} [channelData.recentComments] - Optional array of raw comment strings
+ * @param {Array} [channelData.painPoints] - Optional recurring themes from analyzePainPoints
  * @param {string} [channelData.ownerName] - Optional pre-extracted first name
+ * @param {Object} [channelData.template] - Outreach template (offer, senderName, tone, callToAction...)
+ * @param {number} [channelData.followUps] - Follow-up emails to write (defaults to the template's)
+ * @param {number} [channelData.variants] - A/B variants to write (defaults to the template's)
  * @param {string} [channelData.openaiApiKey] - OpenAI API key (overrides env var if provided)
  *
- * @returns {Promise<{subjectLine: string, firstLine: string}>}
+ * @returns {Promise<{subjectLine: string, firstLine: string, body: string, followUps: Array<{subject: string, body: string, sendAfterDays: number}>, variants: Array<{subjectLine: string, firstLine: string, body: string}>, source: "ai"|"fallback", fallbackReason?: string, usage?: Object}>}
  */
 export async function generatePersonalizedOutreach(channelData) {
   const {
@@ -21,27 +27,33 @@ export async function generatePersonalizedOutreach(channelData) {
     description,
     recentVideos = [],
     recentComments = [],
+    painPoints = [],
     ownerName,
+    template = DEFAULT_TEMPLATE,
     openaiApiKey
   } = channelData;
 
-  // Check for API key (prefer parameter over environment variable)
-  const apiKey = openaiApiKey || process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.warn("No OpenAI API key provided");
-    return {
-      subjectLine: "",
-      firstLine: "",
-    };
-  }
-
-  const openai = new OpenAI({ apiKey });
+  const followUpCount = channelData.followUps ?? template.followUpCount ?? 0;
+  const variantCount = Math.max(channelData.variants ?? template.variantCount ?? 1, 1);
+  // 0 is a valid interval: every follow-up goes out the same day
+  const interval = template.followUpIntervalDays ?? DEFAULT_TEMPLATE.followUpIntervalDays;
 
   // Fallback first name (try ownerName, else first token of channelName)
   const firstName =
     ownerName ||
     (channelName ? channelName.split(" ")[0] : "there");
 
+  const fallback = reason => ({
+    ...buildFallbackOutreach({ channelName, firstName, recentVideos, template, followUpCount, interval }),
+    source: "fallback",
+    fallbackReason: reason
+  });
+
+  if (!isLlmConfigured(openaiApiKey)) {
+    console.warn("No LLM provider configured, using fallback outreach");
+    return fallback("No LLM provider configured");
+  }
+
   // Gather recent video titles (max 5)
   const videoTitles = recentVideos
     .slice(0, 5)
@@ -54,29 +66,44 @@ export async function generatePersonalizedOutreach(channelData) {
     .slice(0, 20) // cap for token sanity
     .join("\n");
 
+  // Pre-clustered pain points are a stronger signal than raw comments
+  const painPointText = painPoints
+    .slice(0, 5)
+    .map(p => `- [${p.type}] ${p.label} (${p.count} comments)${p.examples?.[0] ? `, e.g. "${p.examples[0]}"` : ""}`)
+    .join("\n");
+
+  const openerRule = template.openerStyle
+    ? template.openerStyle.replace(/\{firstName\}/g, firstName)
+    : `Open with "Hey ${firstName}," and one specific observation about their recent content or audience.`;
+
   // Construct the outreach prompt
   const systemPrompt = `
 You are an expert cold outreach copywriter.
-Use the following YouTube channel data to generate personalized outreach.
+Use the following YouTube channel data to write personalized outreach for the sender's offer.
+
+### Sender:
+- Name: ${template.senderName || "N/A"}
+- Offer: ${template.offer || "A partnership relevant to the channel's audience"}
+- Tone: ${template.tone || "friendly"}
+- Call to action: ${template.callToAction || "Ask if they are open to a quick chat."}
 
 ### Rules:
 1. Subject line: very short (max 6 words), intriguing, and specific to their recent content.
-2. First line: MUST follow this template exactly:
-   "Hey ${firstName}, watched some of your recent videos like the one about [2-3 word summary of a recent video title], and noticed that..."
-   - After "noticed that", continue with:
-     • A personalized observation based on their About section or video themes
-     • If available, highlight recurring pain points, frustrations, or challenges mentioned in multiple YouTube comments.
-       - Examples: "noticed your audience often asks about lead gen problems like wasted revenue and unqualified leads..."
-       - Or: "noticed a number of contractors in the comments mention struggling with budgeting and customer acquisition..."
-3. If no clear recurring pain points appear in the comments, pivot naturally by asking if their audience struggles with specific problems related to the channel’s theme.
-   Example: "Do any of your subscribers say that they need to fix XYZ or solve XYZ problems?"
-4. Be specific and natural. No generic compliments. Avoid sounding like AI.
-5. Always return valid JSON with exactly these keys: "subjectLine" and "firstLine".
-
-### Example:
+2. First line: ${openerRule}
+   - If available, highlight recurring pain points, frustrations, or challenges mentioned in multiple YouTube comments.
+   - If no clear recurring pain points appear in the comments, pivot naturally by asking if their audience struggles with specific problems related to the channel’s theme.
+3. Body: the full email (80-140 words) starting with the first line, connecting their content to the offer, ending with the call to action${template.senderName ? ` and signed "${template.senderName}"` : ""}.
+4. Write ${variantCount} variant(s). Each variant takes a clearly different angle (different subject, hook and framing), not a rewording.
+5. Write ${followUpCount} follow-up email(s) to send if there is no reply. Each is short (30-70 words), adds something new (a different benefit, a proof point, an easy out) and never guilt-trips.
+6. Be specific and natural. No generic compliments. Avoid sounding like AI. Match the tone.
+7. Always return valid JSON with exactly these keys:
+   {"variants": [{"subjectLine": "...", "firstLine": "...", "body": "..."}], "followUps": [{"subject": "...", "body": "..."}]}
+
+### Example variant:
 {
   "subjectLine": "Your Dubai vlog approach",
-  "firstLine": "Hey John, watched some of your recent videos like the one about Dubai vlogs, and noticed that you focus heavily on authentic experiences rather than typical tourist spots..."
+  "firstLine": "Hey John, watched some of your recent videos like the one about Dubai vlogs, and noticed that you focus heavily on authentic experiences rather than typical tourist spots...",
+  "body": "Hey John, watched some of your recent videos like the one about Dubai vlogs, and noticed that..."
 }
 
 ---
@@ -87,47 +114,111 @@ About: ${description || "N/A"}
 Recent Video Titles:
 ${videoTitles || "No recent videos available"}
 
+Recurring Audience Pain Points (if any):
+${painPointText || "None identified"}
+
 Recent Comments (if any):
 ${commentText || "No relevant comments available"}
 `;
 
   try {
-    console.log(`🚀 Generating outreach for ${channelName} with OpenAI...`);
+    console.log(`🚀 Generating outreach for ${channelName} (template: ${template.name})...`);
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-5.4-mini",
+    const { data: parsed, usage } = await completeJson({
+      prompt: systemPrompt,
+      purpose: "outreach",
       temperature: 0.7,
-      max_completion_tokens: 300,
-      messages: [
-        { role: "system", content: systemPrompt },
-      ],
-      response_format: { type: "json_object" }
+      maxTokens: 300 + variantCount * 350 + followUpCount * 200,
+      apiKey: openaiApiKey,
+      mock: () => mockOutreach(firstName, recentVideos, variantCount, followUpCount)
     });
-
-    const content = response.choices[0].message.content;
-    console.log(`✅ OpenAI response for ${channelName}:`, content);
-
-    const parsed = JSON.parse(content);
+    console.log(`✅ LLM outreach for ${channelName}:`, JSON.stringify(parsed).slice(0, 200));
+
+    const variants = (Array.isArray(parsed.variants) ? parsed.variants : [parsed])
+      .slice(0, variantCount)
+      .map(v => ({
+        subjectLine: v.subjectLine || "",
+        firstLine: v.firstLine || "",
+        body: v.body || v.firstLine || ""
+      }));
+
+    if (!variants[0]?.subjectLine && !variants[0]?.firstLine) {
+      return fallback("LLM returned no usable outreach");
+    }
+
+    const followUps = (Array.isArray(parsed.followUps) ? parsed.followUps : [])
+      .slice(0, followUpCount)
+      .map((f, index) => ({
+        subject: f.subject || `Re: ${variants[0]?.subjectLine || ""}`,
+        body: f.body || "",
+        sendAfterDays: interval * (index + 1)
+      }));
 
     return {
-      subjectLine: parsed.subjectLine || "",
-      firstLine: parsed.firstLine || "",
+      subjectLine: variants[0]?.subjectLine || "",
+      firstLine: variants[0]?.firstLine || "",
+      body: variants[0]?.body || "",
+      followUps,
+      variants,
+      source: "ai",
+      usage
     };
   } catch (err) {
-    console.error("❌ OpenAI outreach generation failed:", err.message);
-
-    // Return fallback content instead of empty strings
-    const fallbackSubject = recentVideos.length > 0
-      ? `Your ${recentVideos[0].title.split(" ").slice(0, 2).join(" ")} video`
-      : `Your ${channelName.split(" ")[0]} content`;
+    console.error("❌ LLM outreach generation failed:", err.message);
+    return fallback(err.message);
+  }
+}
 
-    const fallbackFirstLine = recentVideos.length > 0
-      ? `Hey ${firstName}, watched your recent video about ${recentVideos[0].title.split(" ").slice(0, 3).join(" ")}, and noticed that you have a unique approach to your content...`
-      : `Hey ${firstName}, came across your channel and noticed that you create interesting content in your niche...`;
+// Canned outreach used when no LLM is configured or the call fails
+function buildFallbackOutreach({ channelName, firstName, recentVideos, template, followUpCount, interval }) {
+  const fallbackSubject = recentVideos.length > 0
+    ? `Your ${recentVideos[0].title.split(" ").slice(0, 2).join(" ")} video`
+    : `Your ${(channelName || "channel").split(" ")[0]} content`;
+
+  const fallbackFirstLine = recentVideos.length > 0
+    ? `Hey ${firstName}, watched your recent video about ${recentVideos[0].title.split(" ").slice(0, 3).join(" ")}, and noticed that you have a unique approach to your content...`
+    : `Hey ${firstName}, came across your channel and noticed that you create interesting content in your niche...`;
+
+  const fallbackBody = [
+    fallbackFirstLine,
+    template.offer ? `I'm reaching out because ${template.offer}` : "",
+    template.callToAction || "Would you be open to a quick chat?",
+    template.senderName ? `Best,\n${template.senderName}` : ""
+  ].filter(Boolean).join("\n\n");
+
+  const fallbackFollowUps = Array.from({ length: followUpCount }, (_, index) => ({
+    subject: `Re: ${fallbackSubject.substring(0, 50)}`,
+    body: index === followUpCount - 1 && followUpCount > 1
+      ? `Hey ${firstName}, I'll stop here so I don't crowd your inbox. If the timing is ever better, just reply to this email.`
+      : `Hey ${firstName}, just bumping this in case it got buried. ${template.callToAction || "Would you be open to a quick chat?"}`,
+    sendAfterDays: interval * (index + 1)
+  }));
+
+  const fallbackVariant = {
+    subjectLine: fallbackSubject.substring(0, 50),
+    firstLine: fallbackFirstLine,
+    body: fallbackBody
+  };
+
+  return {
+    ...fallbackVariant,
+    followUps: fallbackFollowUps,
+    variants: [fallbackVariant]
+  };
+}
 
-    return {
-      subjectLine: fallbackSubject.substring(0, 50),
-      firstLine: fallbackFirstLine,
-    };
-  }
+// Deterministic response for LLM_PROVIDER=mock
+function mockOutreach(firstName, recentVideos, variantCount, followUpCount) {
+  const topic = recentVideos[0]?.title || "your channel";
+  return {
+    variants: Array.from({ length: variantCount }, (_, i) => ({
+      subjectLine: `Idea ${i + 1} for ${firstName}`,
+      firstLine: `Hey ${firstName}, watched some of your recent videos like the one about ${topic}, and noticed that...`,
+      body: `Hey ${firstName}, watched some of your recent videos like the one about ${topic}, and noticed that... (variant ${i + 1})`
+    })),
+    followUps: Array.from({ length: followUpCount }, (_, i) => ({
+      subject: `Following up (${i + 1})`,
+      body: `Hey ${firstName}, following up on my last email (${i + 1}).`
+    }))
+  };
 }
@@ -0,0 +1,143 @@
+// generateSearchQueries.js
+import { completeJson, isLlmConfigured } from "./llm.js";
+
+const MIN_QUERIES = 3;
+const MAX_QUERIES = 30;
+const DEFAULT_QUERY_COUNT = 12;
+
+/**
+ * Generate YouTube channel-discovery queries for a niche.
+ * Uses the configured LLM provider and falls back to templates otherwise.
+ *
+ * @param {Object} options
+ * @param {string} options.niche
+ * @param {string} [options.targetAudience]
+ * @param {number} [options.count] - Roughly how many queries to return (3-30)
+ * @param {boolean} [options.longTail] - Include specific long-tail queries
+ * @param {string[]} [options.languages] - Extra languages to write queries in (e.g. ["es", "German"])
+ * @param {string} [options.openaiApiKey] - OpenAI API key (overrides env var if provided)
+ *
+ * @returns {Promise<{queries: Array<{query: string, type: string, language: string}>, source: "ai"|"fallback", fallbackReason?: string, usage?: Object}>}
+ */
+export async function generateSearchQueries(options) {
+  const {
+    niche,
+    targetAudience = "",
+    longTail = false,
+    languages = [],
+    openaiApiKey
+  } = options;
+  const count = Math.min(Math.max(parseInt(options.count) || DEFAULT_QUERY_COUNT, MIN_QUERIES), MAX_QUERIES);
+
+  const fallback = reason => ({
+    queries: generateTemplateQueries(niche, targetAudience, longTail).slice(0, count),
+    source: "fallback",
+    fallbackReason: reason
+  });
+
+  if (!isLlmConfigured(openaiApiKey)) {
+    return fallback("No LLM provider configured");
+  }
+
+  const prompt = `
+You help find YouTube creators to partner with. Write search queries that surface CHANNELS in this niche when typed into YouTube search.
+
+### Rules:
+1. Return about ${count} queries, each 2-6 words, the way a viewer would actually search.
+2. Make them diverse: different sub-topics, formats (tutorials, vlogs, reviews, day-in-the-life), skill levels and angles. No near-duplicates.
+3. ${longTail ? 'Include long-tail queries (specific problems, tools, locations or sub-niches) for roughly a third of the list, typed "long-tail".' : 'Keep queries broad enough to return many channels; type them "core".'}
+4. ${languages.length > 0 ? `Also write queries natively (not word-for-word translations) in: ${languages.join(", ")}. Type them "non-english" and set "language" to the ISO 639-1 code.` : 'Write every query in English.'}
+5. Always return valid JSON: {"queries": [{"query": "...", "type": "core" | "long-tail" | "non-english", "language": "en"}]}
+
+---
+
+Niche: ${niche}
+Target audience: ${targetAudience || "N/A"}
+`;
+
+  try {
+    console.log(`🚀 Generating search queries for "${niche}"...`);
+
+    const { data: parsed, usage } = await completeJson({
+      prompt,
+      purpose: "queries",
+      temperature: 0.9,
+      maxTokens: 800,
+      apiKey: openaiApiKey,
+      mock: () => ({
+        queries: generateTemplateQueries(niche, targetAudience, longTail).concat(
+          languages.map(language => ({ query: `${niche} (${language})`, type: "non-english", language }))
+        )
+      })
+    });
+
+    const queries = normalizeQueries(parsed.queries);
+    if (queries.length === 0) return fallback("LLM returned no usable queries");
+
+    console.log(`✅ LLM generated ${queries.length} queries for "${niche}"`);
+    return { queries: queries.slice(0, count + languages.length * 3), source: "ai", usage };
+  } catch (err) {
+    console.error("❌ LLM query generation failed:", err.message);
+    return fallback(err.message);
+  }
+}
+
+// Drop blanks and case-insensitive duplicates; accept bare strings too
+function normalizeQueries(raw) {
+  const seen = new Set();
+  const queries = [];
+
+  for (const item of Array.isArray(raw) ? raw : []) {
+    const entry = typeof item === "string" ? { query: item } : item || {};
+    const query = (entry.query || "").toString().replace(/\s+/g, " ").trim();
+    if (!query || seen.has(query.toLowerCase())) continue;
+    seen.add(query.toLowerCase());
+
+    queries.push({
+      query,
+      type: ["core", "long-tail", "non-english"].includes(entry.type) ? entry.type : "core",
+      language: (entry.language || "en").toString().toLowerCase()
+    });
+  }
+
+  return queries;
+}
+
+function generateTemplateQueries(niche, targetAudience, longTail) {
+  const baseQueries = [
+    niche,
+    `${niche} tutorial`,
+    `${niche} tips`,
+    `${niche} guide`,
+    `${niche} review`,
+    `${niche} beginner`,
+    `${niche} channel`
+  ];
+
+  // Add niche-specific variations
+  const variations = {
+    'fitness': ['workout', 'exercise', 'training', 'bodybuilding', 'yoga'],
+    'cooking': ['recipe', 'chef', 'baking', 'cuisine', 'food'],
+    'tech': ['technology', 'gadget', 'software', 'programming', 'review'],
+    'beauty': ['makeup', 'skincare', 'cosmetics', 'style', 'fashion'],
+    'gaming': ['gameplay', 'review', 'walkthrough', 'streaming', 'esports']
+  };
+
+  const nicheVariations = (variations[niche.toLowerCase()] || []).map(v => `${v} channel`);
+
+  const longTailQueries = longTail
+    ? [
+        `how to start ${niche}`,
+        `${niche} mistakes to avoid`,
+        `${niche} day in the life`,
+        ...(targetAudience ? [`${niche} for ${targetAudience}`] : [])
+      ]
+    : [];
+
+  // Long-tail queries go before the variations so a small count still includes them
+  return [
+    ...baseQueries.map(query => ({ query, type: "core", language: "en" })),
+    ...longTailQueries.map(query => ({ query, type: "long-tail", language: "en" })),
+    ...nicheVariations.map(query => ({ query, type: "core", language: "en" }))
+  ];
+}
@@ -0,0 +1,215 @@
+// leadStore.js
+import { readJsonFile, writeJsonFile, getOwnEntry } from "./dataStore.js";
+
+const LEADS_FILE = "leads.json";
+
+export const LEAD_STATUSES = ["new", "contacted", "replied", "rejected"];
+
+// How a new search treats channels that are already in the store
+export const KNOWN_LEAD_POLICIES = ["flag", "skip", "skip-contacted"];
+
+// Fields that are per-search working data rather than lead data
+const TRANSIENT_FIELDS = ["recentVideos", "recentComments", "knownLead"];
+
+let leadsCache = null;
+let writeQueue = Promise.resolve();
+
+async function loadLeads() {
+  if (!leadsCache) {
+    leadsCache = await readJsonFile(LEADS_FILE, {});
+  }
+  return leadsCache;
+}
+
+// Serialize writes so concurrent searches cannot interleave partial saves
+function saveLeads() {
+  writeQueue = writeQueue
+    .then(() => writeJsonFile(LEADS_FILE, leadsCache))
+    .catch(err => console.error("❌ Failed to save leads:", err.message));
+  return writeQueue;
+}
+
+function toLeadData(channel) {
+  const data = { ...channel };
+  TRANSIENT_FIELDS.forEach(field => delete data[field]);
+  return data;
+}
+
+/**
+ * Insert or refresh leads from a search. Existing status and history are kept;
+ * enrichment data and outreach lines are overwritten with the newer values.
+ * @param {Array} channels - Channel objects from the search pipeline
+ * @param {string} searchId
+ * @param {Object} [options]
+ * @param {boolean} [options.qualified] - The channels passed every filter and are in the results
+ */
+export async function upsertLeads(channels, searchId, { qualified = false } = {}) {
+  const leads = await loadLeads();
+  const now = new Date().toISOString();
+
+  for (const channel of channels) {
+    const existing = getOwnEntry(leads, channel.id);
+
+    if (!existing) {
+      leads[channel.id] = {
+        channelId: channel.id,
+        name: channel.name,
+        url: channel.url,
+        status: "new",
+        firstSeenAt: now,
+        lastSeenAt: now,
+        searchIds: [searchId],
+        data: toLeadData(channel),
+        outreach: {
+          aiSubjectLine: channel.aiSubjectLine || "",
+          aiFirstLine: channel.aiFirstLine || "",
+          aiEmailBody: channel.aiEmailBody || "",
+          aiFollowUps: channel.aiFollowUps || [],
+          source: channel.aiOutreachSource || null
+        },
+        history: [
+          { at: now, type: "discovered", searchId },
+          ...(qualified ? [{ at: now, type: "qualified", searchId }] : [])
+        ]
+      };
+      continue;
+    }
+
+    existing.name = channel.name || existing.name;
+    existing.url = channel.url || existing.url;
+    existing.lastSeenAt = now;
+    if (!existing.searchIds.includes(searchId)) {
+      existing.searchIds.push(searchId);
+      existing.history.push({ at: now, type: "seen", searchId });
+    }
+    if (qualified && !existing.history.some(e => e.type === "qualified" && e.searchId === searchId)) {
+      existing.history.push({ at: now, type: "qualified", searchId });
+    }
+    existing.data = { ...existing.data, ...toLeadData(channel) };
+    if (channel.aiSubjectLine || channel.aiFirstLine) {
+      existing.outreach = {
+        aiSubjectLine: channel.aiSubjectLine || "",
+        aiFirstLine: channel.aiFirstLine || "",
+        aiEmailBody: channel.aiEmailBody || "",
+        aiFollowUps: channel.aiFollowUps || [],
+        source: channel.aiOutreachSource || null
+      };
+    }
+  }
+
+  await saveLeads();
+}
+
+/**
+ * Apply a known-lead policy to freshly discovered channels
+ * @param {Array} channels
+ * @param {string} policy - One of KNOWN_LEAD_POLICIES
+ * @returns {Promise<{channels: Array, skipped: number}>}
+ */
+export async function applyKnownLeadPolicy(channels, policy = "flag") {
+  const leads = await loadLeads();
+  const kept = [];
+  let skipped = 0;
+
+  for (const channel of channels) {
+    const lead = getOwnEntry(leads, channel.id);
+    if (!lead) {
+      kept.push(channel);
+      continue;
+    }
+
+    if (policy === "skip" || (policy === "skip-contacted" && lead.status !== "new")) {
+      skipped++;
+      continue;
+    }
+
+    channel.knownLead = {
+      status: lead.status,
+      firstSeenAt: lead.firstSeenAt,
+      timesSeen: lead.searchIds.length
+    };
+    kept.push(channel);
+  }
+
+  return { channels: kept, skipped };
+}
+
+/**
+ * Whether a search is the first one whose results included this channel.
+ * Discovery records every channel it sees, so "already a lead" says nothing about qualification.
+ * @param {string} channelId
+ * @param {string} searchId
+ */
+export async function isFirstQualifiedIn(channelId, searchId) {
+  const lead = getOwnEntry(await loadLeads(), channelId);
+  const first = lead?.history.find(e => e.type === "qualified");
+  return !first || first.searchId === searchId;
+}
+
+export async function getLead(channelId) {
+  const leads = await loadLeads();
+  return getOwnEntry(leads, channelId);
+}
+
+/**
+ * List leads, newest activity first
+ * @param {Object} filters
+ * @param {string} [filters.status]
+ * @param {string} [filters.q] - Case-insensitive match on name, URL, emails and description
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ */
+export async function listLeads({ status, q, limit = 50, offset = 0 } = {}) {
+  const leads = await loadLeads();
+  const query = (q || "").toLowerCase().trim();
+
+  const matching = Object.values(leads)
+    .filter(lead => !status || lead.status === status)
+    .filter(lead => {
+      if (!query) return true;
+      const haystack = [
+        lead.name,
+        lead.url,
+        lead.data.description,
+        ...(lead.data.emails || [])
+      ].join(" ").toLowerCase();
+      return haystack.includes(query);
+    })
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+  return {
+    total: matching.length,
+    leads: matching.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Change a lead's status and/or add a note; both are recorded in its history
+ * @param {string} channelId
+ * @param {Object} changes
+ * @param {string} [changes.status]
+ * @param {string} [changes.note]
+ */
+export async function updateLead(channelId, { status, note } = {}) {
+  const leads = await loadLeads();
+  const lead = getOwnEntry(leads, channelId);
+  if (!lead) return null;
+
+  if (status && !LEAD_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}". Expected one of: ${LEAD_STATUSES.join(", ")}`);
+  }
+
+  const now = new Date().toISOString();
+
+  if (status && status !== lead.status) {
+    lead.history.push({ at: now, type: "status", from: lead.status, to: status });
+    lead.status = status;
+  }
+
+  if (note) {
+    lead.history.push({ at: now, type: "note", note });
+  }
+
+  await saveLeads();
+  return lead;
+}
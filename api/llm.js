@@ -0,0 +1,229 @@
+// llm.js
+import OpenAI from "openai";
+
+/**
+ * Provider selected by config:
+ *   LLM_PROVIDER=openai             OpenAI API (OPENAI_API_KEY)
+ *   LLM_PROVIDER=openai-compatible  Any OpenAI-compatible server at LLM_BASE_URL (Ollama, llama.cpp, vLLM...)
+ *   LLM_PROVIDER=mock               Deterministic responses built by the caller, no network
+ */
+export const LLM_PROVIDERS = ["openai", "openai-compatible", "mock"];
+
+const LLM_PROVIDER = LLM_PROVIDERS.includes(process.env.LLM_PROVIDER) ? process.env.LLM_PROVIDER : "openai";
+const LLM_BASE_URL = process.env.LLM_BASE_URL || "";
+const LLM_API_KEY = process.env.LLM_API_KEY || "";
+const LLM_MODEL = process.env.LLM_MODEL || (LLM_PROVIDER === "mock" ? "mock" : "gpt-5.4-mini");
+const LLM_MAX_CONCURRENCY = parseInt(process.env.LLM_MAX_CONCURRENCY) || 4;
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) || 3;
+const LLM_RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS) || 1000;
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+
+if (LLM_PROVIDER === "openai-compatible" && !LLM_BASE_URL) {
+  console.warn("⚠️ LLM_PROVIDER=openai-compatible but LLM_BASE_URL is not set");
+}
+
+// Clients are cached per API key
+const clients = new Map();
+
+let activeRequests = 0;
+const waiting = [];
+
+const usage = {
+  since: new Date().toISOString(),
+  requests: 0,
+  failures: 0,
+  retries: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  byPurpose: {}
+};
+
+export class LLMError extends Error {
+  constructor(message, { status, retryable = false } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function getClient(apiKey) {
+  const key = LLM_PROVIDER === "openai-compatible" ? (LLM_API_KEY || apiKey || "not-needed") : apiKey;
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({
+      apiKey: key,
+      baseURL: LLM_PROVIDER === "openai-compatible" ? LLM_BASE_URL : undefined,
+      timeout: LLM_TIMEOUT_MS,
+      maxRetries: 0 // retries are handled here so they can be counted and backed off uniformly
+    }));
+  }
+  return clients.get(key);
+}
+
+/**
+ * Whether a completion can be attempted with this configuration
+ * @param {string} [apiKey] - OpenAI key passed down by the caller
+ */
+export function isLlmConfigured(apiKey) {
+  if (LLM_PROVIDER === "mock") return true;
+  if (LLM_PROVIDER === "openai-compatible") return !!LLM_BASE_URL;
+  return !!(apiKey || process.env.OPENAI_API_KEY);
+}
+
+export function getLlmConfig() {
+  return {
+    provider: LLM_PROVIDER,
+    model: LLM_MODEL,
+    baseUrl: LLM_PROVIDER === "openai-compatible" ? LLM_BASE_URL : null,
+    maxConcurrency: LLM_MAX_CONCURRENCY,
+    maxRetries: LLM_MAX_RETRIES
+  };
+}
+
+export function getLlmUsage() {
+  return { ...getLlmConfig(), active: activeRequests, queued: waiting.length, ...usage };
+}
+
+function recordUsage(purpose, tokens) {
+  const entry = usage.byPurpose[purpose] || (usage.byPurpose[purpose] = {
+    requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0
+  });
+
+  usage.requests++;
+  entry.requests++;
+  for (const field of ["promptTokens", "completionTokens", "totalTokens"]) {
+    usage[field] += tokens[field];
+    entry[field] += tokens[field];
+  }
+}
+
+function recordFailure(purpose) {
+  usage.failures++;
+  if (usage.byPurpose[purpose]) usage.byPurpose[purpose].failures++;
+}
+
+async function acquireSlot() {
+  if (activeRequests < LLM_MAX_CONCURRENCY) {
+    activeRequests++;
+    return;
+  }
+  await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else activeRequests--;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toLlmError(err) {
+  if (err instanceof LLMError) return err;
+
+  const status = err.status;
+  // Rate limits, server errors and dropped connections are worth another try
+  const retryable = status === 429 || status >= 500 ||
+    err instanceof OpenAI.APIConnectionError || err instanceof SyntaxError;
+  const llmError = new LLMError(err.message, { status, retryable });
+  llmError.retryAfter = parseFloat(err.headers?.["retry-after"]) || null;
+  return llmError;
+}
+
+/**
+ * Run one chat completion that must return a JSON object
+ * @param {Object} request
+ * @param {string} request.prompt - System prompt
+ * @param {string} request.purpose - Label for usage reporting (e.g. "outreach")
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @param {string} [request.apiKey] - OpenAI key (overrides env var if provided)
+ * @param {Function} [request.mock] - Builds the deterministic response for the mock provider
+ * @returns {Promise<{data: Object, usage: Object, provider: string, model: string}>}
+ */
+export async function completeJson(request) {
+  const { prompt, purpose = "other", temperature = 0.7, maxTokens = 500, apiKey, mock } = request;
+
+  if (!isLlmConfigured(apiKey)) {
+    throw new LLMError("No LLM provider configured");
+  }
+
+  await acquireSlot();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = LLM_PROVIDER === "mock"
+          ? runMock(prompt, mock)
+          : await runChatCompletion(prompt, { temperature, maxTokens, apiKey });
+
+        recordUsage(purpose, result.usage);
+        return { ...result, provider: LLM_PROVIDER, model: LLM_MODEL };
+      } catch (err) {
+        const llmError = toLlmError(err);
+
+        if (!llmError.retryable || attempt >= LLM_MAX_RETRIES) {
+          recordFailure(purpose);
+          throw llmError;
+        }
+
+        // Exponential backoff with jitter; honour Retry-After when the API sends it
+        const backoff = llmError.retryAfter
+          ? llmError.retryAfter * 1000
+          : LLM_RETRY_BASE_MS * 2 ** attempt + Math.random() * LLM_RETRY_BASE_MS;
+        usage.retries++;
+        console.warn(`⚠️ LLM ${purpose} request failed (${llmError.status || "network"}), retry ${attempt + 1}/${LLM_MAX_RETRIES} in ${Math.round(backoff)}ms`);
+        await delay(backoff);
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+async function runChatCompletion(prompt, { temperature, maxTokens, apiKey }) {
+  const response = await getClient(apiKey || process.env.OPENAI_API_KEY).chat.completions.create({
+    model: LLM_MODEL,
+    temperature,
+    max_completion_tokens: maxTokens,
+    messages: [
+      { role: "system", content: prompt },
+    ],
+    response_format: { type: "json_object" }
+  });
+
+  const content = response.choices?.[0]?.message?.content;
+  if (!content) throw new LLMError("Empty LLM response", { retryable: true });
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    // Smaller local models sometimes wrap JSON in prose or code fences
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) throw new LLMError("LLM response was not JSON", { retryable: true });
+    data = JSON.parse(match[0]);
+  }
+
+  return {
+    data,
+    usage: {
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0,
+      totalTokens: response.usage?.total_tokens || 0
+    }
+  };
+}
+
+function runMock(prompt, mock) {
+  const data = mock ? mock(prompt) : {};
+  const promptTokens = Math.ceil(prompt.length / 4);
+  const completionTokens = Math.ceil(JSON.stringify(data).length / 4);
+
+  return {
+    data,
+    usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+  };
+}
@@ -0,0 +1,261 @@
+// lookalike.js
+// "Find similar" mode: expand from a few seed channels through the channels they
+// feature and the keywords they share, then rank candidates by similarity to the seeds
+import {
+  searchYouTubeChannels,
+  fetchChannelsByIds,
+  resolveChannelReferences,
+  fetchFeaturedChannelIds,
+  fetchUploadedVideos
+} from "./youtube.js";
+
+export const MAX_SEED_CHANNELS = 10;
+
+// Each keyword query is a 100-unit search call
+const LOOKALIKE_QUERY_COUNT = 5;
+// Candidates passed on to the engagement stage, most similar first
+const MAX_CANDIDATES = 100;
+
+const CHANNEL_PARTS = "snippet,statistics,brandingSettings,topicDetails";
+
+// How much each signal contributes to the 0-100 similarity
+const SIMILARITY_WEIGHTS = {
+  keywords: 0.45,
+  topics: 0.25,
+  featured: 0.2,
+  subscriberScale: 0.1
+};
+
+// Words too common in titles to say anything about the niche
+const STOPWORDS = new Set([
+  "the", "and", "for", "you", "your", "with", "this", "that", "how", "what", "why", "are", "was", "from",
+  "into", "out", "all", "can", "get", "got", "not", "but", "our", "his", "her", "they", "them", "have",
+  "has", "will", "just", "more", "most", "best", "new", "top", "about", "when", "who", "one", "two",
+  "day", "days", "week", "year", "years", "time", "way", "ways", "make", "made", "every", "ever",
+  "video", "videos", "channel", "subscribe", "official", "episode", "part", "shorts", "live",
+  "http", "https", "www", "com", "youtube", "instagram", "tiktok", "twitter", "facebook"
+]);
+
+/**
+ * Lowercase word tokens worth comparing, plus adjacent-word phrases
+ * @param {string} text
+ * @returns {{words: string[], phrases: string[]}}
+ */
+export function extractKeywords(text) {
+  const words = [];
+  const phrases = [];
+
+  // Phrases never span a line or sentence break (titles are joined one per line)
+  for (const segment of (text || "").toLowerCase().split(/[\n.!?|•:;,()[\]]+/)) {
+    const tokens = segment.match(/\p{L}[\p{L}\p{N}'-]*/gu) || [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const word = tokens[i];
+      if (word.length < 3 || STOPWORDS.has(word)) continue;
+      words.push(word);
+
+      const nextWord = tokens[i + 1];
+      if (nextWord && nextWord.length >= 3 && !STOPWORDS.has(nextWord)) phrases.push(`${word} ${nextWord}`);
+    }
+  }
+
+  return { words, phrases };
+}
+
+function countTerms(terms) {
+  const counts = {};
+  for (const term of terms) counts[term] = (counts[term] || 0) + 1;
+  return counts;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, weight] of Object.entries(a)) {
+    normA += weight * weight;
+    if (b[term]) dot += weight * b[term];
+  }
+  for (const weight of Object.values(b)) normB += weight * weight;
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function channelText(channel) {
+  return [
+    channel.snippet?.title,
+    channel.snippet?.description,
+    channel.brandingSettings?.channel?.keywords
+  ].filter(Boolean).join("\n");
+}
+
+function channelTopics(channel) {
+  // Topic categories are Wikipedia URLs; the article name is enough
+  return (channel.topicDetails?.topicCategories || []).map(url => decodeURIComponent(url.split("/").pop()));
+}
+
+/**
+ * Resolve the seed references and build the profile candidates are compared with
+ * @param {string[]} seedReferences - Channel ids, @handles or URLs
+ * @returns {Promise<{seeds: Array, profile: Object, queries: string[], unresolved: string[]}>}
+ */
+export async function analyzeSeeds(seedReferences) {
+  const { resolved, unresolved } = await resolveChannelReferences(seedReferences.slice(0, MAX_SEED_CHANNELS));
+  const seedChannels = await fetchChannelsByIds([...new Set(resolved.map(r => r.channelId))], CHANNEL_PARTS);
+  if (seedChannels.length === 0) {
+    throw new Error(`None of the seed channels could be found: ${seedReferences.join(", ")}`);
+  }
+
+  const wordDocs = {};
+  const phraseDocs = {};
+  const wordCounts = {};
+  const topics = new Set();
+  const seeds = [];
+
+  for (const channel of seedChannels) {
+    // Recent titles describe what the channel makes now better than an old About text
+    const videos = await fetchUploadedVideos(channel.id).catch(() => []);
+    const { words, phrases } = extractKeywords([channelText(channel), ...videos.map(v => v.title)].join("\n"));
+
+    for (const word of new Set(words)) wordDocs[word] = (wordDocs[word] || 0) + 1;
+    for (const phrase of new Set(phrases)) phraseDocs[phrase] = (phraseDocs[phrase] || 0) + 1;
+    for (const [word, count] of Object.entries(countTerms(words))) wordCounts[word] = (wordCounts[word] || 0) + count;
+    channelTopics(channel).forEach(topic => topics.add(topic));
+
+    seeds.push({
+      id: channel.id,
+      name: channel.snippet.title,
+      url: `https://youtube.com/channel/${channel.id}`,
+      subscribers: parseInt(channel.statistics?.subscriberCount) || 0,
+      featuredChannelsUrls: channel.brandingSettings?.channel?.featuredChannelsUrls || []
+    });
+  }
+
+  // With several seeds, keep what they have in common; one seed stands on its own
+  const minDocs = Math.min(2, seeds.length);
+  const byRelevance = docs => Object.entries(docs)
+    .filter(([, docCount]) => docCount >= minDocs)
+    .sort((a, b) => b[1] - a[1] || (wordCounts[b[0]] || 0) - (wordCounts[a[0]] || 0));
+
+  const sharedWords = byRelevance(wordDocs).slice(0, 50);
+  const sharedPhrases = byRelevance(phraseDocs).map(([phrase]) => phrase);
+
+  const queries = [...sharedPhrases, ...sharedWords.map(([word]) => word)]
+    .filter((query, i, all) => !all.slice(0, i).some(earlier => earlier.includes(query)))
+    .slice(0, LOOKALIKE_QUERY_COUNT);
+
+  const subscriberCounts = seeds.map(s => s.subscribers).filter(n => n > 0).sort((a, b) => a - b);
+
+  return {
+    seeds,
+    profile: {
+      keywords: Object.fromEntries(sharedWords.map(([word]) => [word, wordCounts[word]])),
+      topics: [...topics],
+      medianSubscribers: subscriberCounts[Math.floor(subscriberCounts.length / 2)] || 0
+    },
+    queries,
+    unresolved: unresolved.map(({ reference }) => reference)
+  };
+}
+
+/**
+ * How close a candidate is to the seed profile
+ * @param {Object} channel - Channel resource with snippet, statistics, brandingSettings, topicDetails
+ * @param {Object} profile - From analyzeSeeds
+ * @param {string[]} featuredBy - Names of seeds that feature this channel
+ * @returns {{similarity: number, similarityDetails: Object}}
+ */
+export function scoreSimilarity(channel, profile, featuredBy = []) {
+  const candidateWords = countTerms(extractKeywords(channelText(channel)).words);
+  const keywords = cosineSimilarity(candidateWords, profile.keywords);
+
+  const candidateTopics = channelTopics(channel);
+  const sharedTopics = candidateTopics.filter(topic => profile.topics.includes(topic));
+  const allTopics = new Set([...candidateTopics, ...profile.topics]);
+  const topics = allTopics.size > 0 ? sharedTopics.length / allTopics.size : 0;
+
+  const subscribers = parseInt(channel.statistics?.subscriberCount) || 0;
+  const subscriberScale = subscribers > 0 && profile.medianSubscribers > 0
+    ? Math.max(1 - Math.abs(Math.log10(subscribers / profile.medianSubscribers)) / 2, 0)
+    : 0;
+
+  const featured = featuredBy.length > 0 ? 1 : 0;
+
+  const similarity = Math.round(100 * (
+    SIMILARITY_WEIGHTS.keywords * keywords +
+    SIMILARITY_WEIGHTS.topics * topics +
+    SIMILARITY_WEIGHTS.featured * featured +
+    SIMILARITY_WEIGHTS.subscriberScale * subscriberScale
+  ));
+
+  return {
+    similarity,
+    similarityDetails: {
+      keywords: Math.round(keywords * 100),
+      topics: Math.round(topics * 100),
+      subscriberScale: Math.round(subscriberScale * 100),
+      featuredBy,
+      sharedKeywords: Object.keys(candidateWords)
+        .filter(word => profile.keywords[word])
+        .sort((a, b) => profile.keywords[b] - profile.keywords[a])
+        .slice(0, 5),
+      sharedTopics
+    }
+  };
+}
+
+function channelIdFromUrl(url) {
+  return (url || "").match(/\/channel\/(UC[\w-]{22})/)?.[1] || null;
+}
+
+/**
+ * Collect candidates from the seeds' featured channels and keyword searches, most similar first
+ * @param {Array} seeds - From analyzeSeeds
+ * @param {Object} profile - From analyzeSeeds
+ * @param {string[]} queries - Keyword queries
+ * @param {Object} ctx - Pipeline context
+ * @returns {Promise<Array<{channel: Object, similarity: number, similarityDetails: Object}>>}
+ */
+export async function expandFromSeeds(seeds, profile, queries, ctx) {
+  const seedIds = new Set(seeds.map(s => s.id));
+  const featuredBy = new Map();
+  const candidates = new Map();
+
+  const addFeatured = (channelId, seed) => {
+    if (!channelId || seedIds.has(channelId)) return;
+    featuredBy.set(channelId, [...new Set([...(featuredBy.get(channelId) || []), seed.name])]);
+  };
+
+  for (const seed of seeds) {
+    ctx.throwIfCancelled();
+    ctx.stageProgress(0, `Collecting channels featured by ${seed.name}...`);
+
+    seed.featuredChannelsUrls.forEach(url => addFeatured(channelIdFromUrl(url), seed));
+    try {
+      (await fetchFeaturedChannelIds(seed.id)).forEach(id => addFeatured(id, seed));
+    } catch (error) {
+      console.warn(`Failed to fetch featured channels for ${seed.name}:`, error.message);
+    }
+  }
+
+  for (const channel of await fetchChannelsByIds([...featuredBy.keys()], CHANNEL_PARTS)) {
+    candidates.set(channel.id, channel);
+  }
+
+  for (let i = 0; i < queries.length; i++) {
+    ctx.throwIfCancelled();
+    ctx.stageProgress(i / queries.length, `Searching for channels like the seeds: "${queries[i]}"...`);
+
+    try {
+      for (const channel of await searchYouTubeChannels(queries[i], { part: CHANNEL_PARTS })) {
+        if (!seedIds.has(channel.id)) candidates.set(channel.id, channel);
+      }
+    } catch (error) {
+      console.warn(`Failed to search for "${queries[i]}":`, error.message);
+    }
+  }
+
+  return [...candidates.values()]
+    .map(channel => ({ channel, ...scoreSimilarity(channel, profile, featuredBy.get(channel.id) || []) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_CANDIDATES);
+}
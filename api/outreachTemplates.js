@@ -0,0 +1,161 @@
+// outreachTemplates.js
+import { randomUUID } from "crypto";
+import { readJsonFile, writeJsonFile, getOwnEntry } from "./dataStore.js";
+
+const TEMPLATES_FILE = "outreach-templates.json";
+
+export const OUTREACH_TONES = ["friendly", "professional", "casual", "direct", "playful"];
+
+const MAX_FOLLOW_UPS = 5;
+const MAX_VARIANTS = 5;
+
+/**
+ * Built-in template: the original "watched some of your recent videos" opener.
+ * Always available and cannot be edited or deleted.
+ */
+export const DEFAULT_TEMPLATE = {
+  id: "default",
+  name: "Default",
+  builtIn: true,
+  offer: "",
+  senderName: "",
+  tone: "friendly",
+  callToAction: "Ask if they are open to a quick chat.",
+  openerStyle: 'Start with exactly: "Hey {firstName}, watched some of your recent videos like the one about [2-3 word summary of a recent video title], and noticed that..." then continue with a personalized observation or a recurring pain point from the comments.',
+  followUpCount: 2,
+  followUpIntervalDays: 3,
+  variantCount: 1
+};
+
+// Editable fields and their defaults for new templates
+const TEMPLATE_FIELDS = {
+  name: "",
+  offer: "",
+  senderName: "",
+  tone: "friendly",
+  callToAction: "",
+  openerStyle: "",
+  followUpCount: 2,
+  followUpIntervalDays: 3,
+  variantCount: 1
+};
+
+let templatesCache = null;
+let writeQueue = Promise.resolve();
+
+async function loadTemplates() {
+  if (!templatesCache) {
+    templatesCache = await readJsonFile(TEMPLATES_FILE, {});
+  }
+  return templatesCache;
+}
+
+function saveTemplates() {
+  writeQueue = writeQueue
+    .then(() => writeJsonFile(TEMPLATES_FILE, templatesCache))
+    .catch(err => console.error("❌ Failed to save outreach templates:", err.message));
+  return writeQueue;
+}
+
+/**
+ * Validate and clean template input. Throws on invalid values.
+ * @param {Object} input
+ * @param {boolean} partial - Only check the fields present (updates)
+ */
+function sanitizeTemplateInput(input = {}, partial = false) {
+  const clean = {};
+
+  for (const [field, fallback] of Object.entries(TEMPLATE_FIELDS)) {
+    if (input[field] === undefined) {
+      if (!partial) clean[field] = fallback;
+      continue;
+    }
+
+    if (typeof fallback === "number") {
+      // Form posts send numbers as digit strings; "", "3 days" and 2.5 are rejected rather than coerced
+      const value = typeof input[field] === "string" && /^\s*\d+\s*$/.test(input[field]) ? Number(input[field]) : input[field];
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${field} must be a non-negative whole number`);
+      }
+      clean[field] = value;
+    } else {
+      clean[field] = input[field].toString().trim();
+    }
+  }
+
+  if ((!partial || clean.name !== undefined) && !clean.name) {
+    throw new Error("Template name is required");
+  }
+  if (clean.tone !== undefined && !OUTREACH_TONES.includes(clean.tone)) {
+    throw new Error(`Invalid tone "${clean.tone}". Expected one of: ${OUTREACH_TONES.join(", ")}`);
+  }
+  if (clean.followUpCount > MAX_FOLLOW_UPS) {
+    throw new Error(`followUpCount can be at most ${MAX_FOLLOW_UPS}`);
+  }
+  if (clean.variantCount !== undefined && (clean.variantCount < 1 || clean.variantCount > MAX_VARIANTS)) {
+    throw new Error(`variantCount must be between 1 and ${MAX_VARIANTS}`);
+  }
+
+  return clean;
+}
+
+export async function listOutreachTemplates() {
+  const templates = await loadTemplates();
+  return [
+    DEFAULT_TEMPLATE,
+    ...Object.values(templates).sort((a, b) => a.name.localeCompare(b.name))
+  ];
+}
+
+/**
+ * @param {string} [templateId] - Missing or "default" returns the built-in template
+ * @returns {Promise<Object|null>}
+ */
+export async function getOutreachTemplate(templateId) {
+  if (!templateId || templateId === DEFAULT_TEMPLATE.id) return DEFAULT_TEMPLATE;
+  const templates = await loadTemplates();
+  return getOwnEntry(templates, templateId);
+}
+
+export async function createOutreachTemplate(input) {
+  const templates = await loadTemplates();
+  const now = new Date().toISOString();
+
+  const template = {
+    id: randomUUID(),
+    ...sanitizeTemplateInput(input),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  templates[template.id] = template;
+  await saveTemplates();
+  return template;
+}
+
+export async function updateOutreachTemplate(templateId, input) {
+  if (templateId === DEFAULT_TEMPLATE.id) {
+    throw new Error("The default template cannot be changed");
+  }
+
+  const templates = await loadTemplates();
+  const template = getOwnEntry(templates, templateId);
+  if (!template) return null;
+
+  Object.assign(template, sanitizeTemplateInput(input, true), { updatedAt: new Date().toISOString() });
+  await saveTemplates();
+  return template;
+}
+
+export async function deleteOutreachTemplate(templateId) {
+  if (templateId === DEFAULT_TEMPLATE.id) {
+    throw new Error("The default template cannot be deleted");
+  }
+
+  const templates = await loadTemplates();
+  if (!getOwnEntry(templates, templateId)) return false;
+
+  delete templates[templateId];
+  await saveTemplates();
+  return true;
+}
@@ -0,0 +1,296 @@
+// savedSearches.js
+import { randomUUID } from "crypto";
+import { readJsonFile, writeJsonFile, getOwnEntry } from "./dataStore.js";
+import { normalizeSearchParams } from "./searchPipeline.js";
+import { createSearchJob, getSearchJob } from "./searchJobs.js";
+import { YOUTUBE_API_KEYS } from "./youtubeKeys.js";
+import { parseCron, nextCronRun } from "./cron.js";
+import { getOutreachTemplate } from "./outreachTemplates.js";
+import { getScoringProfile } from "./channelScoring.js";
+
+const SAVED_SEARCHES_FILE = "saved-searches.json";
+
+// Runs kept per saved search; older job ids are dropped from the list (the job files stay)
+const MAX_RUNS = 50;
+
+// What counts as a "big" change between two runs
+const SUBSCRIBER_CHANGE_PCT = parseFloat(process.env.DIFF_SUBSCRIBER_CHANGE_PCT) || 10;
+const ENGAGEMENT_CHANGE_POINTS = parseFloat(process.env.DIFF_ENGAGEMENT_CHANGE_POINTS) || 1;
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let savedSearchesCache = null;
+let writeQueue = Promise.resolve();
+let schedulerTimer = null;
+
+async function loadSavedSearches() {
+  if (!savedSearchesCache) {
+    savedSearchesCache = await readJsonFile(SAVED_SEARCHES_FILE, {});
+  }
+  return savedSearchesCache;
+}
+
+function saveSavedSearches() {
+  writeQueue = writeQueue
+    .then(() => writeJsonFile(SAVED_SEARCHES_FILE, savedSearchesCache))
+    .catch(err => console.error("❌ Failed to save saved searches:", err.message));
+  return writeQueue;
+}
+
+/**
+ * Validate and clean saved-search input. Throws on invalid values.
+ * Search fields go through the same normalization and checks as POST /api/searches.
+ * @param {Object} input
+ * @param {Object} [existing] - Current saved search when updating
+ */
+async function sanitizeSavedSearchInput(input = {}, existing = null) {
+  const name = input.name !== undefined ? input.name.toString().trim() : existing?.name;
+  if (!name) throw new Error("Saved search name is required");
+
+  const { params, error } = normalizeSearchParams({ ...existing?.params, ...input });
+  if (error) throw new Error(error);
+  // A template or profile deleted since the search was saved also fails here
+  if (!(await getOutreachTemplate(params.outreachTemplateId))) throw new Error("Outreach template not found");
+  if (!(await getScoringProfile(params.scoringProfileId))) throw new Error("Scoring profile not found");
+
+  let schedule = input.schedule !== undefined ? input.schedule : existing?.schedule;
+  schedule = schedule ? schedule.toString().trim() : null;
+  if (schedule) parseCron(schedule); // throws on invalid expressions
+
+  const enabled = input.enabled !== undefined
+    ? input.enabled !== false && input.enabled !== "false"
+    : existing?.enabled ?? true;
+
+  return { name, params, schedule, enabled };
+}
+
+function withNextRun(savedSearch) {
+  savedSearch.nextRunAt = savedSearch.schedule && savedSearch.enabled
+    ? nextCronRun(savedSearch.schedule)?.toISOString() || null
+    : null;
+  return savedSearch;
+}
+
+export async function listSavedSearches() {
+  const savedSearches = await loadSavedSearches();
+  return Object.values(savedSearches).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getSavedSearch(savedSearchId) {
+  const savedSearches = await loadSavedSearches();
+  return getOwnEntry(savedSearches, savedSearchId);
+}
+
+/**
+ * @param {Object} input - {name, schedule?, enabled?, niche, targetAudience, minSubscribers, ...}
+ */
+export async function createSavedSearch(input) {
+  const savedSearches = await loadSavedSearches();
+  const now = new Date().toISOString();
+
+  const savedSearch = withNextRun({
+    id: randomUUID(),
+    ...(await sanitizeSavedSearchInput(input)),
+    runIds: [],
+    lastRunAt: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  savedSearches[savedSearch.id] = savedSearch;
+  await saveSavedSearches();
+  return savedSearch;
+}
+
+export async function updateSavedSearch(savedSearchId, input) {
+  const savedSearches = await loadSavedSearches();
+  const savedSearch = getOwnEntry(savedSearches, savedSearchId);
+  if (!savedSearch) return null;
+
+  Object.assign(savedSearch, await sanitizeSavedSearchInput(input, savedSearch), { updatedAt: new Date().toISOString() });
+  withNextRun(savedSearch);
+  await saveSavedSearches();
+  return savedSearch;
+}
+
+export async function deleteSavedSearch(savedSearchId) {
+  const savedSearches = await loadSavedSearches();
+  if (!getOwnEntry(savedSearches, savedSearchId)) return false;
+
+  delete savedSearches[savedSearchId];
+  await saveSavedSearches();
+  return true;
+}
+
+/**
+ * Start a run of a saved search now
+ * @param {string} savedSearchId
+ * @param {Object} options
+ * @param {string} [options.openaiApiKey]
+ * @returns {Promise<Object|null>} The new search job
+ */
+export async function runSavedSearch(savedSearchId, options = {}) {
+  const savedSearch = await getSavedSearch(savedSearchId);
+  if (!savedSearch) return null;
+
+  const job = await createSearchJob(savedSearch.params, { ...options, savedSearchId });
+
+  savedSearch.runIds = [...savedSearch.runIds, job.id].slice(-MAX_RUNS);
+  savedSearch.lastRunAt = job.createdAt;
+  await saveSavedSearches();
+
+  console.log(`🗓️ Saved search "${savedSearch.name}" started run ${job.id}`);
+  return job;
+}
+
+/**
+ * Runs of a saved search, newest first
+ */
+export async function listSavedSearchRuns(savedSearchId) {
+  const savedSearch = await getSavedSearch(savedSearchId);
+  if (!savedSearch) return null;
+
+  const jobs = await Promise.all(savedSearch.runIds.map(id => getSearchJob(id)));
+  return jobs
+    .filter(Boolean)
+    .map(job => ({
+      searchId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      resultsCount: job.state.results ? job.state.results.length : 0
+    }))
+    .reverse();
+}
+
+/**
+ * Compare one run with the completed run before it
+ * @param {string} savedSearchId
+ * @param {string} [searchId] - Defaults to the latest completed run
+ * @returns {Promise<Object|null>} null when the saved search or run does not exist
+ */
+export async function getSavedSearchRunDiff(savedSearchId, searchId) {
+  const savedSearch = await getSavedSearch(savedSearchId);
+  if (!savedSearch) return null;
+
+  const jobs = (await Promise.all(savedSearch.runIds.map(id => getSearchJob(id))))
+    .filter(job => job && job.status === "completed");
+
+  const index = searchId ? jobs.findIndex(job => job.id === searchId) : jobs.length - 1;
+  if (index < 0) return null;
+
+  const current = jobs[index];
+  const previous = index > 0 ? jobs[index - 1] : null;
+
+  return {
+    searchId: current.id,
+    previousSearchId: previous?.id || null,
+    createdAt: current.createdAt,
+    previousCreatedAt: previous?.createdAt || null,
+    ...diffSearchResults(previous?.state.results || [], current.state.results || [])
+  };
+}
+
+function summarizeChannel(channel) {
+  return {
+    channelId: channel.id,
+    name: channel.name,
+    url: channel.url,
+    subscribers: Number(channel.subscribers) || 0,
+    engagementRate: Number((channel.engagementRate || 0).toFixed(2)),
+    email: channel.email || null
+  };
+}
+
+/**
+ * Channels that newly qualified, dropped out, or moved a lot between two result sets
+ * @param {Array} previous
+ * @param {Array} current
+ */
+export function diffSearchResults(previous, current) {
+  const before = new Map(previous.map(c => [c.id, c]));
+  const after = new Map(current.map(c => [c.id, c]));
+
+  const added = current.filter(c => !before.has(c.id)).map(summarizeChannel);
+  const removed = previous.filter(c => !after.has(c.id)).map(summarizeChannel);
+  const changed = [];
+
+  for (const channel of current) {
+    const old = before.get(channel.id);
+    if (!old) continue;
+
+    const subsBefore = Number(old.subscribers) || 0;
+    const subsAfter = Number(channel.subscribers) || 0;
+    const subsChangePct = subsBefore > 0 ? ((subsAfter - subsBefore) / subsBefore) * 100 : 0;
+    const engagementChange = (channel.engagementRate || 0) - (old.engagementRate || 0);
+
+    if (Math.abs(subsChangePct) >= SUBSCRIBER_CHANGE_PCT || Math.abs(engagementChange) >= ENGAGEMENT_CHANGE_POINTS) {
+      changed.push({
+        ...summarizeChannel(channel),
+        subscribersBefore: subsBefore,
+        subscribersChangePct: Number(subsChangePct.toFixed(1)),
+        engagementRateBefore: Number((old.engagementRate || 0).toFixed(2)),
+        engagementRateChange: Number(engagementChange.toFixed(2))
+      });
+    }
+  }
+
+  return {
+    added,
+    removed,
+    changed,
+    unchangedCount: current.length - added.length - changed.length,
+    thresholds: { subscriberChangePct: SUBSCRIBER_CHANGE_PCT, engagementChangePoints: ENGAGEMENT_CHANGE_POINTS }
+  };
+}
+
+// A run that is still going is not started again on the next tick
+async function hasActiveRun(savedSearch) {
+  const lastId = savedSearch.runIds[savedSearch.runIds.length - 1];
+  if (!lastId) return false;
+  const job = await getSearchJob(lastId);
+  return !!job && (job.status === "queued" || job.status === "running");
+}
+
+async function runDueSavedSearches(options) {
+  const savedSearches = await loadSavedSearches();
+  const now = new Date();
+
+  for (const savedSearch of Object.values(savedSearches)) {
+    if (!savedSearch.enabled || !savedSearch.schedule || !savedSearch.nextRunAt) continue;
+    if (new Date(savedSearch.nextRunAt) > now) continue;
+
+    withNextRun(savedSearch);
+    await saveSavedSearches();
+
+    if (YOUTUBE_API_KEYS.length === 0) {
+      console.warn(`⚠️ Skipping scheduled run of "${savedSearch.name}": no YouTube API keys available`);
+      continue;
+    }
+    if (await hasActiveRun(savedSearch)) {
+      console.warn(`⚠️ Skipping scheduled run of "${savedSearch.name}": previous run still in progress`);
+      continue;
+    }
+
+    try {
+      await runSavedSearch(savedSearch.id, options);
+    } catch (err) {
+      console.error(`❌ Scheduled run of "${savedSearch.name}" failed to start:`, err.message);
+    }
+  }
+}
+
+/**
+ * Check for due saved searches once a minute
+ * @param {Object} options
+ * @param {string} [options.openaiApiKey]
+ */
+export function startSavedSearchScheduler(options = {}) {
+  if (schedulerTimer) return;
+
+  const tick = () => runDueSavedSearches(options)
+    .catch(err => console.error("❌ Saved search scheduler error:", err.message));
+
+  schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+  tick();
+}
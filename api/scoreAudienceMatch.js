@@ -0,0 +1,142 @@
+// scoreAudienceMatch.js
+import { completeJson, isLlmConfigured } from "./llm.js";
+
+const DEFAULT_BATCH_SIZE = 8;
+
+// Score thresholds for the buckets shown in the table
+const MATCH_BUCKETS = [
+  { min: 80, bucket: "Very High" },
+  { min: 65, bucket: "High" },
+  { min: 45, bucket: "Medium" },
+  { min: 25, bucket: "Low" },
+  { min: 0, bucket: "Very Low" }
+];
+
+export function bucketForScore(score) {
+  return MATCH_BUCKETS.find(b => score >= b.min).bucket;
+}
+
+/**
+ * Score how well each channel's audience fits the target audience (0-100),
+ * with a bucket and a one-sentence rationale. Channels are sent to the LLM in
+ * batches; without a provider, or when a batch fails, keyword overlap is used.
+ *
+ * @param {Array} channels - {id, name, description, recentVideos?: [{title}], recentComments?: string[]}
+ * @param {string} targetAudience
+ * @param {Object} [options]
+ * @param {string} [options.openaiApiKey] - OpenAI API key (overrides env var if provided)
+ * @param {number} [options.batchSize]
+ * @param {Function} [options.onBatch] - Called with (scoredSoFar, total) after each batch
+ *
+ * @returns {Promise<Array<{channelId: string, score: number, bucket: string, rationale: string, source: "ai"|"fallback"}>>}
+ */
+export async function scoreAudienceMatch(channels, targetAudience, options = {}) {
+  const batchSize = parseInt(options.batchSize) || DEFAULT_BATCH_SIZE;
+
+  if (!isLlmConfigured(options.openaiApiKey)) {
+    return channels.map(channel => scoreByKeywords(channel, targetAudience));
+  }
+
+  const results = [];
+
+  for (let i = 0; i < channels.length; i += batchSize) {
+    const batch = channels.slice(i, i + batchSize);
+
+    try {
+      results.push(...await scoreBatch(batch, targetAudience, options.openaiApiKey));
+    } catch (err) {
+      console.error("❌ LLM audience scoring failed, using keyword match:", err.message);
+      results.push(...batch.map(channel => scoreByKeywords(channel, targetAudience)));
+    }
+
+    if (options.onBatch) options.onBatch(results.length, channels.length);
+  }
+
+  return results;
+}
+
+async function scoreBatch(batch, targetAudience, apiKey) {
+  const channelBlocks = batch.map((channel, index) => {
+    const titles = (channel.recentVideos || []).slice(0, 5).map(v => v.title).filter(Boolean);
+    const comments = (channel.recentComments || []).slice(0, 5).map(c => c.slice(0, 200));
+
+    return `[${index}] ${channel.name}
+About: ${(channel.description || "N/A").slice(0, 600)}
+Recent videos: ${titles.length > 0 ? titles.join(" | ") : "N/A"}
+Sample comments: ${comments.length > 0 ? comments.join(" | ") : "N/A"}`;
+  }).join("\n\n");
+
+  const prompt = `
+You judge whether a YouTube channel's VIEWERS match a target audience, for influencer outreach.
+Judge the people who watch and comment, not just the topic. Repeating a keyword is not evidence on its own.
+
+### Rules:
+1. For each channel give "score": an integer 0-100 (80+ clearly the target audience, 50 partial overlap, under 25 a different audience).
+2. Give "rationale": ONE short sentence citing concrete evidence (video topics, what commenters say).
+3. Always return valid JSON: {"results": [{"index": 0, "score": 72, "rationale": "..."}]} with one entry per channel.
+
+---
+
+Target audience: ${targetAudience}
+
+Channels:
+${channelBlocks}
+`;
+
+  console.log(`🚀 Scoring audience match for ${batch.length} channels...`);
+
+  const { data: parsed } = await completeJson({
+    prompt,
+    purpose: "audienceMatch",
+    temperature: 0.2,
+    maxTokens: 120 * batch.length + 100,
+    apiKey,
+    mock: () => ({
+      results: batch.map((channel, index) => ({
+        index,
+        score: scoreByKeywords(channel, targetAudience).score,
+        rationale: `Mock rationale for ${channel.name}.`
+      }))
+    })
+  });
+  const byIndex = new Map((parsed.results || []).map(r => [parseInt(r.index), r]));
+
+  return batch.map((channel, index) => {
+    const entry = byIndex.get(index);
+    const score = Math.round(Number(entry?.score));
+    if (!entry || !Number.isFinite(score)) {
+      // The model skipped this channel; don't fail the whole batch for it
+      return scoreByKeywords(channel, targetAudience);
+    }
+
+    const clamped = Math.min(Math.max(score, 0), 100);
+    return {
+      channelId: channel.id,
+      score: clamped,
+      bucket: bucketForScore(clamped),
+      rationale: (entry.rationale || "").toString().trim(),
+      source: "ai"
+    };
+  });
+}
+
+/**
+ * Keyword overlap between the target audience and the channel name/description
+ */
+export function scoreByKeywords(channel, targetAudience) {
+  const keywords = targetAudience.toLowerCase().split(/\s+/).filter(k => k.length > 2);
+  const text = `${channel.name || ""} ${channel.description || ""}`.toLowerCase();
+
+  const matched = keywords.filter(keyword => text.includes(keyword));
+  const score = keywords.length > 0 ? Math.round((matched.length / keywords.length) * 100) : 0;
+
+  return {
+    channelId: channel.id,
+    score,
+    bucket: bucketForScore(score),
+    rationale: matched.length > 0
+      ? `Name or description mentions ${matched.join(", ")} (${matched.length} of ${keywords.length} audience keywords).`
+      : "No audience keywords found in the name or description.",
+    source: "fallback"
+  };
+}
@@ -0,0 +1,269 @@
+// searchJobs.js
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { readJsonFile, writeJsonFile, listJsonFiles } from "./dataStore.js";
+import { SEARCH_STAGES } from "./searchPipeline.js";
+import { notifySearchCompleted } from "./webhooks.js";
+
+const JOBS_DIR = "searches";
+const MAX_BUFFERED_EVENTS = 500;
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled", "interrupted"];
+
+// Jobs loaded in this process, by id
+const jobs = new Map();
+
+// Runtime-only state per job: abort controller, event buffer and emitter
+const runtimes = new Map();
+
+function jobFile(id) {
+  return `${JOBS_DIR}/${id}.json`;
+}
+
+function getRuntime(id) {
+  if (!runtimes.has(id)) {
+    runtimes.set(id, {
+      controller: null,
+      events: [],
+      nextEventId: 1,
+      emitter: new EventEmitter()
+    });
+  }
+  return runtimes.get(id);
+}
+
+function persistJob(job) {
+  job.updatedAt = new Date().toISOString();
+  return writeJsonFile(jobFile(job.id), job).catch(err => {
+    console.error(`❌ Failed to persist search ${job.id}:`, err.message);
+  });
+}
+
+function emitJobEvent(job, type, data) {
+  const runtime = getRuntime(job.id);
+  const event = { id: runtime.nextEventId++, type, data };
+
+  runtime.events.push(event);
+  if (runtime.events.length > MAX_BUFFERED_EVENTS) {
+    runtime.events.shift();
+  }
+
+  runtime.emitter.emit("event", event);
+}
+
+/**
+ * Public view of a job (state is omitted; results only once completed)
+ */
+export function summarizeJob(job, { includeResults = false } = {}) {
+  const summary = {
+    id: job.id,
+    status: job.status,
+    params: job.params,
+    savedSearchId: job.savedSearchId || null,
+    progress: job.progress,
+    completedStages: job.completedStages,
+    nextStage: SEARCH_STAGES.find(s => !job.completedStages.includes(s.id))?.id || null,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    resultsCount: job.state.results ? job.state.results.length : 0,
+    skippedKnownLeads: job.state.skippedKnownLeads || 0,
+    belowMinScore: job.state.belowMinScore || 0,
+    rejectedCount: (job.state.rejectedChannels || []).length,
+    seeds: job.state.seedAnalysis
+      ? job.state.seedAnalysis.seeds.map(({ id, name, url }) => ({ id, name, url }))
+      : null,
+    unresolvedSeeds: job.state.seedAnalysis?.unresolved || [],
+    unresolvedImportCount: (job.state.unresolvedImports || []).length
+  };
+
+  if (includeResults) {
+    summary.results = job.state.results || [];
+    summary.unresolvedImports = job.state.unresolvedImports || [];
+  }
+
+  return summary;
+}
+
+/**
+ * Look up a job in memory, falling back to its file on disk.
+ * A job persisted as running that has no live runner here was cut off by a restart.
+ */
+export async function getSearchJob(id) {
+  if (jobs.has(id)) return jobs.get(id);
+  if (!/^[\w-]+$/.test(id)) return null;
+
+  const job = await readJsonFile(jobFile(id));
+  if (!job) return null;
+
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    job.status = "interrupted";
+    job.progress = { ...job.progress, status: "Search was interrupted. Resume to continue." };
+  }
+
+  jobs.set(id, job);
+  return job;
+}
+
+export async function listSearchJobs() {
+  const ids = await listJsonFiles(JOBS_DIR);
+  const found = await Promise.all(ids.map(id => getSearchJob(id)));
+
+  return found
+    .filter(Boolean)
+    .map(job => summarizeJob(job))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Create a search job and start running it in the background
+ * @param {Object} params - Normalized search parameters
+ * @param {Object} options
+ * @param {string} [options.openaiApiKey]
+ * @param {string} [options.savedSearchId] - Set when a saved search started the run
+ */
+export async function createSearchJob(params, options = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: "queued",
+    params,
+    savedSearchId: options.savedSearchId || null,
+    progress: { percentage: 0, status: "Initializing search..." },
+    completedStages: [],
+    state: { params },
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  await persistJob(job);
+
+  runSearchJob(job, options);
+  return job;
+}
+
+/**
+ * Re-run a stopped job from the first stage it had not completed
+ */
+export async function resumeSearchJob(id, options = {}) {
+  const job = await getSearchJob(id);
+  if (!job) return null;
+
+  if (!["failed", "cancelled", "interrupted"].includes(job.status)) {
+    throw new Error(`Search is ${job.status} and cannot be resumed`);
+  }
+
+  job.error = null;
+  runSearchJob(job, options);
+  return job;
+}
+
+export async function cancelSearchJob(id) {
+  const job = await getSearchJob(id);
+  if (!job) return null;
+
+  const runtime = getRuntime(id);
+  if (runtime.controller) {
+    runtime.controller.abort();
+  } else if (!TERMINAL_STATUSES.includes(job.status)) {
+    job.status = "cancelled";
+    await persistJob(job);
+    emitJobEvent(job, "cancelled", summarizeJob(job));
+  }
+
+  return job;
+}
+
+/**
+ * Subscribe to a job's events. Events after lastEventId are replayed when still
+ * buffered; otherwise the listener starts from a snapshot of the current job.
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToSearchJob(job, lastEventId, listener) {
+  const runtime = getRuntime(job.id);
+  const oldestBuffered = runtime.events.length > 0 ? runtime.events[0].id : runtime.nextEventId;
+
+  if (lastEventId && lastEventId >= oldestBuffered - 1 && lastEventId < runtime.nextEventId) {
+    runtime.events.filter(e => e.id > lastEventId).forEach(listener);
+  } else {
+    listener({ id: runtime.nextEventId - 1, type: "snapshot", data: summarizeJob(job) });
+  }
+
+  runtime.emitter.on("event", listener);
+  return () => runtime.emitter.off("event", listener);
+}
+
+async function runSearchJob(job, options) {
+  const runtime = getRuntime(job.id);
+  const controller = new AbortController();
+  runtime.controller = controller;
+
+  job.status = "running";
+  emitJobEvent(job, "status", summarizeJob(job));
+
+  const ctx = {
+    searchId: job.id,
+    openaiApiKey: options.openaiApiKey,
+    signal: controller.signal,
+    throwIfCancelled() {
+      if (controller.signal.aborted) throw new Error("Search cancelled");
+    },
+    updateProgress(percentage, status) {
+      job.progress = { percentage, status };
+      emitJobEvent(job, "progress", job.progress);
+    },
+    // Progress inside the running stage: 0-1 spread over the bar between its
+    // own progress value and the next stage's, so the bar never moves backwards
+    stageRange: [0, 100],
+    stageProgress(fraction, status) {
+      const [start, end] = ctx.stageRange;
+      ctx.updateProgress(start + Math.min(Math.max(fraction, 0), 1) * (end - start), status);
+    }
+  };
+
+  try {
+    for (const [index, stage] of SEARCH_STAGES.entries()) {
+      if (job.completedStages.includes(stage.id)) continue;
+      ctx.throwIfCancelled();
+
+      ctx.stageRange = [stage.progress, SEARCH_STAGES[index + 1]?.progress ?? 100];
+      ctx.updateProgress(stage.progress, stage.label);
+      console.log(`🔎 Search ${job.id}: running stage ${stage.id}`);
+
+      const changes = await stage.run(job.state, ctx);
+      ctx.throwIfCancelled();
+
+      Object.assign(job.state, changes);
+      job.completedStages.push(stage.id);
+      await persistJob(job);
+      emitJobEvent(job, "stage", { stage: stage.id, completedStages: job.completedStages });
+    }
+
+    job.status = "completed";
+    ctx.updateProgress(100, "Search complete!");
+    await persistJob(job);
+    emitJobEvent(job, "complete", summarizeJob(job));
+    console.log(`✅ Search ${job.id} complete: ${job.state.results.length} channels`);
+
+    // Deliveries retry in the background; a broken receiver never fails the search
+    notifySearchCompleted(job.id, job.params, job.state.results)
+      .catch(err => console.error(`❌ Failed to queue webhooks for search ${job.id}:`, err.message));
+  } catch (err) {
+    if (controller.signal.aborted) {
+      job.status = "cancelled";
+      job.progress = { ...job.progress, status: "Search cancelled" };
+      await persistJob(job);
+      emitJobEvent(job, "cancelled", summarizeJob(job));
+      console.log(`⏹️ Search ${job.id} cancelled`);
+    } else {
+      job.status = "failed";
+      job.error = err.message;
+      await persistJob(job);
+      emitJobEvent(job, "failed", summarizeJob(job));
+      console.error(`❌ Search ${job.id} failed:`, err.message);
+    }
+  } finally {
+    runtime.controller = null;
+  }
+}
@@ -0,0 +1,989 @@
+// searchPipeline.js
+import {
+  searchYouTubeChannels,
+  fetchChannelDetails,
+  fetchUploadedVideos,
+  fetchVideoComments,
+  fetchCommentSample,
+  fetchCreatorComments
+} from "./youtube.js";
+import { scrapeChannelAbout } from "./aboutScraper.js";
+import { crawlContactSources } from "./websiteCrawler.js";
+import { verifyEmails, pickBestEmail } from "./emailVerifier.js";
+import { APIFY_API_TOKENS, runApifyEmailExtraction } from "./apifyEmails.js";
+import { generatePersonalizedOutreach } from "./generatePersonalizedOutreach.js";
+import { getOutreachTemplate } from "./outreachTemplates.js";
+import { generateSearchQueries } from "./generateSearchQueries.js";
+import { scoreAudienceMatch } from "./scoreAudienceMatch.js";
+import { analyzePainPoints } from "./analyzePainPoints.js";
+import { getScoringProfile, rankChannels } from "./channelScoring.js";
+import { calculateVideoEngagementRate, computeVideoMetrics } from "./videoMetrics.js";
+import { detectSponsors } from "./sponsorDetection.js";
+import { emptyContactSources, recordContactSource, recordContactSources } from "../shared/contactProvenance.js";
+import { MAX_SEED_CHANNELS, analyzeSeeds, expandFromSeeds } from "./lookalike.js";
+import { MAX_IMPORT_ENTRIES, resolveImportEntries } from "./channelImport.js";
+import { normalizeFilterParams, checkChannelMetadata, checkChannelActivity, resolveChannelLanguage, toRejection } from "./channelFilters.js";
+import { KNOWN_LEAD_POLICIES, applyKnownLeadPolicy, upsertLeads } from "./leadStore.js";
+import { PLATFORMS, extractContactInfo as extractContactInfoFromText, categorizeLinks } from "../shared/contactExtraction.js";
+
+export function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Validate a search request body and apply the same defaults as the search form
+ * @param {Object} body
+ * @returns {{params?: Object, error?: string}}
+ */
+export function normalizeSearchParams(body = {}) {
+  const seedChannels = (Array.isArray(body.seedChannels) ? body.seedChannels : (body.seedChannels || "").toString().split(/[\s,]+/))
+    .map(ref => ref.toString().trim())
+    .filter(Boolean);
+  // An imported list skips discovery; its targeting and audience are optional
+  const importEntries = (Array.isArray(body.importEntries) ? body.importEntries : [])
+    .filter(entry => entry && typeof entry.input === "string" && entry.input.trim())
+    .map((entry, index) => ({ row: parseInt(entry.row) || index + 1, input: entry.input.trim() }));
+  const isImport = importEntries.length > 0;
+
+  // Seed channels switch the search to "find similar"; the niche is then only a label
+  const niche = (body.niche || "").toString().trim() ||
+    (seedChannels.length > 0 ? `Similar to ${seedChannels.join(", ")}` : "") ||
+    (isImport ? `Import of ${importEntries.length} channels` : "");
+  const targetAudience = (body.targetAudience || "").toString().trim();
+
+  if (importEntries.length > MAX_IMPORT_ENTRIES) return { error: `At most ${MAX_IMPORT_ENTRIES} channels can be imported at once` };
+  if (seedChannels.length > MAX_SEED_CHANNELS) return { error: `At most ${MAX_SEED_CHANNELS} seed channels are supported` };
+  if (!niche) return { error: "Missing niche or seedChannels" };
+  if (!targetAudience && !isImport) return { error: "Missing targetAudience" };
+
+  const knownLeads = body.knownLeads || "flag";
+  if (!KNOWN_LEAD_POLICIES.includes(knownLeads)) {
+    return { error: `Invalid knownLeads. Expected one of: ${KNOWN_LEAD_POLICIES.join(", ")}` };
+  }
+
+  const { filters, error } = normalizeFilterParams(body);
+  if (error) return { error };
+
+  return {
+    params: {
+      niche,
+      targetAudience,
+      minSubscribers: parseInt(body.minSubscribers) || 25000,
+      maxSubscribers: parseInt(body.maxSubscribers) || 1000000,
+      minEngagement: parseFloat(body.minEngagement) || (isImport ? 0 : 2),
+      channelCount: isImport ? importEntries.length : parseInt(body.channelCount) || 25,
+      knownLeads,
+      outreachTemplateId: (body.outreachTemplateId || "default").toString(),
+      scoringProfileId: (body.scoringProfileId || "default").toString(),
+      seedChannels,
+      importEntries,
+      ...filters
+    }
+  };
+}
+
+// --- Stage: search queries ---
+// Each discovery query costs a 100-unit YouTube search call
+const PIPELINE_QUERY_COUNT = 10;
+
+export async function generateQueriesForSearch(params, openaiApiKey) {
+  const { queries, source } = await generateSearchQueries({
+    niche: params.niche,
+    targetAudience: params.targetAudience,
+    count: PIPELINE_QUERY_COUNT,
+    openaiApiKey
+  });
+  console.log(`🔎 Using ${queries.length} ${source} queries for "${params.niche}"`);
+  return queries.map(q => q.query);
+}
+
+// --- Stage: channel discovery ---
+function toDiscoveredChannel(channel) {
+  return {
+    id: channel.id,
+    name: channel.snippet.title,
+    url: `https://youtube.com/channel/${channel.id}`,
+    subscribers: channel.statistics?.subscriberCount ? parseInt(channel.statistics.subscriberCount) : 0,
+    description: channel.snippet.description || '',
+    customUrl: channel.snippet.customUrl || '',
+    publishedAt: channel.snippet.publishedAt,
+    country: channel.snippet.country || null,
+    defaultLanguage: channel.snippet.defaultLanguage || null,
+    videoCount: parseInt(channel.statistics?.videoCount) || 0
+  };
+}
+
+// Subscriber range plus the metadata filters (country, declared language, video count)
+function screenDiscoveredChannel(candidate, params) {
+  if (candidate.subscribers < params.minSubscribers || candidate.subscribers > params.maxSubscribers) {
+    return { reason: "subscribers", detail: `${candidate.subscribers.toLocaleString()} subscribers` };
+  }
+  return checkChannelMetadata(candidate, params);
+}
+
+/**
+ * Run the discovery queries and keep channels that pass screenDiscoveredChannel
+ * @returns {Promise<{channels: Array, rejected: Array}>}
+ */
+export async function discoverChannels(queries, params, ctx) {
+  const allChannels = new Map();
+  const rejected = new Map();
+
+  for (let i = 0; i < queries.length; i++) {
+    ctx.throwIfCancelled();
+    const query = queries[i];
+    ctx.stageProgress(i / queries.length, `Searching for "${query}"...`);
+
+    try {
+      const channels = await searchYouTubeChannels(query);
+
+      for (const channel of channels) {
+        if (allChannels.has(channel.id) || rejected.has(channel.id)) continue;
+
+        const candidate = toDiscoveredChannel(channel);
+        const failed = screenDiscoveredChannel(candidate, params);
+        if (failed) {
+          rejected.set(channel.id, toRejection(candidate, "discoverChannels", failed.reason, failed.detail));
+        } else {
+          allChannels.set(channel.id, candidate);
+        }
+      }
+
+      await delay(100); // Rate limiting
+    } catch (error) {
+      console.warn(`Failed to search for "${query}":`, error.message);
+    }
+  }
+
+  return { channels: Array.from(allChannels.values()), rejected: Array.from(rejected.values()) };
+}
+
+/**
+ * "Find similar" discovery: expand from the seed channels and keep candidates
+ * that pass screenDiscoveredChannel, most similar first
+ * @returns {Promise<{channels: Array, rejected: Array}>}
+ */
+export async function discoverLookalikes(seedAnalysis, params, ctx) {
+  const channels = [];
+  const rejected = [];
+
+  const candidates = await expandFromSeeds(seedAnalysis.seeds, seedAnalysis.profile, seedAnalysis.queries, ctx);
+  for (const { channel, similarity, similarityDetails } of candidates) {
+    const candidate = { ...toDiscoveredChannel(channel), similarity, similarityDetails };
+    const failed = screenDiscoveredChannel(candidate, params);
+    if (failed) {
+      rejected.push(toRejection(candidate, "discoverChannels", failed.reason, failed.detail));
+    } else {
+      channels.push(candidate);
+    }
+  }
+
+  return { channels, rejected };
+}
+
+/**
+ * Import discovery: resolve the listed channels instead of searching.
+ * The subscriber range is not applied to a list someone picked by hand.
+ * @returns {Promise<{channels: Array, unresolved: Array}>}
+ */
+export async function discoverImported(entries, ctx) {
+  const { channels, unresolved } = await resolveImportEntries(entries, ctx);
+  if (unresolved.length > 0) {
+    console.warn(`⚠️ ${unresolved.length} of ${entries.length} imported rows could not be resolved`);
+  }
+
+  return {
+    channels: channels.map(({ row, input, channel }) => ({ ...toDiscoveredChannel(channel), importRow: row, importInput: input })),
+    unresolved
+  };
+}
+
+// --- Stage: engagement ---
+/**
+ * Fetch each channel's recent uploads, then apply the activity, format,
+ * language and engagement filters
+ * @returns {Promise<{channels: Array, rejected: Array}>}
+ */
+export async function analyzeEngagement(channels, params, ctx) {
+  const validChannels = [];
+  const rejected = [];
+
+  for (let i = 0; i < channels.length; i++) {
+    ctx.throwIfCancelled();
+    const channel = channels[i];
+    ctx.stageProgress(i / channels.length, `Analyzing ${channel.name}...`);
+
+    try {
+      // One uploads fetch per channel; later stages reuse channel.recentVideos
+      channel.recentVideos = await fetchUploadedVideos(channel.id);
+      channel.videoMetrics = computeVideoMetrics(channel.recentVideos);
+      channel.engagementRate = calculateVideoEngagementRate(channel.recentVideos);
+      const { language, source } = resolveChannelLanguage(channel);
+      channel.language = language;
+      channel.languageSource = source;
+
+      const failed = checkChannelActivity(channel, params);
+      if (failed) {
+        rejected.push(toRejection(channel, "analyzeEngagement", failed.reason, failed.detail));
+      } else if (channel.engagementRate < params.minEngagement) {
+        rejected.push(toRejection(channel, "analyzeEngagement", "engagement", `${channel.engagementRate.toFixed(2)}% (minimum ${params.minEngagement}%)`));
+      } else {
+        validChannels.push(channel);
+      }
+
+      await delay(100); // Rate limiting
+    } catch (error) {
+      console.warn(`Failed to analyze engagement for ${channel.name}:`, error.message);
+      rejected.push(toRejection(channel, "analyzeEngagement", "error", error.message));
+    }
+  }
+
+  return { channels: validChannels, rejected };
+}
+
+// --- Stage: contact info ---
+export async function collectContactInfo(channels, ctx) {
+  let completed = 0;
+
+  // All channels are queued at once; the scraper pool caps how many pages run in parallel
+  await Promise.all(channels.map(async channel => {
+    try {
+      const contactInfo = await extractContactInfo(channel.id, ctx.signal, channel.recentVideos);
+
+      // Add all contact info to channel
+      Object.assign(channel, contactInfo);
+    } catch (error) {
+      // Still include the channel even if contact info collection fails
+      console.warn(`Failed to collect contact info for ${channel.name}:`, error.message);
+    }
+
+    completed++;
+    ctx.stageProgress(completed / channels.length, `Collected contact info for ${channel.name} (${completed}/${channels.length})`);
+  }));
+
+  ctx.throwIfCancelled();
+  return channels;
+}
+
+async function extractContactInfo(channelId, signal, recentVideos = []) {
+  // Step 1: Get standard channel info
+  const channel = await fetchChannelDetails(channelId);
+  if (!channel) return {};
+
+  const description = channel.snippet.description || '';
+  const status = channel.status || {};
+
+  // Step 2: Scrape the About page
+  let scrapedData = {};
+  try {
+    scrapedData = await scrapeChannelAbout(channelId, { signal });
+  } catch (err) {
+    console.warn(`Failed to scrape about page for ${channelId}:`, err.message);
+  }
+
+  // Step 3: Extract additional info from the description with the shared extractor
+  const descriptionExtraction = extractContactInfoFromText(description);
+
+  // Step 4: Merge all data sources (scraped data takes priority)
+  const mergedEmails = [
+    ...(scrapedData.emails || []),
+    ...(descriptionExtraction.emails || [])
+  ].filter((email, index, arr) => arr.indexOf(email) === index); // Remove duplicates
+
+  const mergedWebsites = [
+    ...(scrapedData.websites || []),
+    ...(descriptionExtraction.websites || [])
+  ].filter((website, index, arr) => arr.indexOf(website) === index);
+
+  const mergedLinkInBio = [
+    ...(scrapedData.linkInBio || []),
+    ...(descriptionExtraction.linkInBio || [])
+  ].filter((link, index, arr) => arr.indexOf(link) === index);
+
+  // Where each address was found
+  const emailSources = {};
+  for (const email of scrapedData.emails || []) {
+    emailSources[email] = scrapedData.aboutUrl;
+  }
+  for (const email of descriptionExtraction.emails) {
+    emailSources[email] = emailSources[email] || `https://www.youtube.com/channel/${channelId}`;
+  }
+
+  // Merge social media per platform (scraped data takes priority)
+  const mergedSocials = {};
+  const mergedHandles = {};
+  for (const platform of Object.keys(PLATFORMS)) {
+    const fromScrape = scrapedData.social?.[platform];
+    const url = fromScrape || descriptionExtraction.social[platform];
+    if (!url) continue;
+    mergedSocials[platform] = url;
+    const handle = fromScrape ? scrapedData.socialHandles?.[platform] : descriptionExtraction.socialHandles[platform];
+    if (handle) mergedHandles[platform] = handle;
+  }
+
+  const mergedOtherLinks = [
+    ...(scrapedData.otherLinks || []),
+    ...(descriptionExtraction.allUrls || [])
+  ].filter((link, index, arr) => arr.indexOf(link) === index);
+
+  // Provenance for every value, including ones a higher-priority source also found
+  const contactSources = emptyContactSources();
+  const fromAbout = { source: "aboutPage", url: scrapedData.aboutUrl, method: scrapedData.method };
+  const fromDescription = { source: "channelDescription", url: `https://www.youtube.com/channel/${channelId}` };
+  for (const field of ["emails", "websites", "linkInBio"]) {
+    recordContactSources(contactSources, field, scrapedData[field], fromAbout);
+    recordContactSources(contactSources, field, descriptionExtraction[field], fromDescription);
+  }
+  for (const [platform, url] of Object.entries(mergedSocials)) {
+    if (scrapedData.social?.[platform] === url) recordContactSource(contactSources, "social", url, fromAbout);
+    if (descriptionExtraction.social[platform] === url) recordContactSource(contactSources, "social", url, fromDescription);
+  }
+
+  // Step 5: Analyze monetization
+  const monetization = analyzeMonetization(
+    description,
+    status,
+    '', // About HTML not needed for this analysis
+    recentVideos // Fetched with engagement, so sponsor/merch mentions in descriptions count
+  );
+
+  // Step 6: Return structured info
+  return {
+    email: mergedEmails[0] || '',
+    emails: mergedEmails,
+    emailSources,
+    contactSources,
+    website: mergedWebsites[0] || '',
+    websites: mergedWebsites,
+    linkInBio: mergedLinkInBio,
+    instagram: mergedSocials.instagram || '',
+    twitter: mergedSocials.twitter || '',
+    facebook: mergedSocials.facebook || '',
+    tiktok: mergedSocials.tiktok || '',
+    linkedin: mergedSocials.linkedin || '',
+    patreon: mergedSocials.patreon || '',
+    discord: mergedSocials.discord || '',
+    twitch: mergedSocials.twitch || '',
+    social: mergedSocials,
+    socialHandles: mergedHandles,
+    otherLinks: mergedOtherLinks,
+    monetization: monetization,
+    emailAvailable: mergedEmails.length > 0,
+    hasBusinessInquiry: scrapedData.hasBusinessInquiry || false,
+    aboutScrapeMethod: scrapedData.method || null
+  };
+}
+
+// --- Stage: website and link-in-bio crawl ---
+const CRAWL_CONCURRENCY = 4;
+
+export async function crawlContactPages(channels, ctx) {
+  const targets = channels.filter(c => (c.linkInBio || []).length > 0 || (c.websites || []).length > 0);
+  if (targets.length === 0) return channels;
+
+  let completed = 0;
+  let next = 0;
+
+  const crawlNext = async () => {
+    while (next < targets.length) {
+      ctx.throwIfCancelled();
+      const channel = targets[next++];
+
+      try {
+        const crawl = await crawlContactSources(
+          { linkInBio: channel.linkInBio, websites: channel.websites },
+          { signal: ctx.signal }
+        );
+        mergeCrawlResult(channel, crawl);
+      } catch (error) {
+        if (ctx.signal?.aborted) throw error;
+        console.warn(`Failed to crawl websites for ${channel.name}:`, error.message);
+      }
+
+      completed++;
+      ctx.stageProgress(completed / targets.length, `Crawled websites for ${channel.name} (${completed}/${targets.length})`);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CRAWL_CONCURRENCY, targets.length) }, crawlNext));
+
+  ctx.throwIfCancelled();
+  return channels;
+}
+
+// Crawled data fills gaps; it never replaces what YouTube itself showed
+function mergeCrawlResult(channel, crawl) {
+  channel.emails = channel.emails || [];
+  channel.emailSources = channel.emailSources || {};
+  channel.contactSources = channel.contactSources || emptyContactSources();
+
+  for (const { email, source } of crawl.emails) {
+    recordContactSource(channel.contactSources, "emails", email, { source: "websiteCrawl", url: source });
+    if (channel.emails.includes(email)) continue;
+    channel.emails.push(email);
+    channel.emailSources[email] = source;
+  }
+
+  channel.social = { ...crawl.social, ...(channel.social || {}) };
+  channel.socialHandles = { ...crawl.socialHandles, ...(channel.socialHandles || {}) };
+  for (const platform of ['instagram', 'twitter', 'facebook', 'tiktok', 'linkedin', 'patreon', 'discord', 'twitch']) {
+    channel[platform] = channel[platform] || crawl.social[platform] || '';
+  }
+
+  channel.websites = [...new Set([...(channel.websites || []), ...crawl.websites])];
+  for (const site of crawl.websites) {
+    recordContactSource(channel.contactSources, "websites", site, { source: "websiteCrawl", url: crawl.sources?.[site] });
+  }
+  for (const [platform, url] of Object.entries(crawl.social)) {
+    if (channel.social[platform] !== url) continue;
+    recordContactSource(channel.contactSources, "social", url, { source: "websiteCrawl", url: crawl.sources?.[url] });
+  }
+  channel.website = channel.website || channel.websites[0] || '';
+  channel.email = channel.email || channel.emails[0] || '';
+  channel.emailAvailable = channel.emails.length > 0;
+
+  channel.crawl = {
+    pagesCrawled: crawl.pagesCrawled.length,
+    blockedByRobots: crawl.blockedByRobots.length,
+    emailsFound: crawl.emails.length
+  };
+}
+
+export function analyzeMonetization(description, status, aboutHtml, recentVideos = []) {
+  const monetizationTypes = [];
+  let allText = "";
+
+  // Combine all possible sources of text
+  allText += (description || "") + "\n";
+  allText += (aboutHtml || "") + "\n";
+  for (const v of recentVideos) {
+    if (v.description) allText += v.description + "\n";
+  }
+
+  const descLower = allText.toLowerCase();
+
+  // Sponsorships / Affiliates
+  if (descLower.includes("sponsor") || descLower.includes("partnership") || descLower.includes("affiliate")) {
+    monetizationTypes.push("Sponsorships/Affiliates");
+  }
+
+  // Crowdfunding
+  if (descLower.includes("patreon") || descLower.includes("ko-fi") || descLower.includes("buymeacoffee")) {
+    monetizationTypes.push("Crowdfunding");
+  }
+
+  // Merchandise
+  if (descLower.includes("merch") || descLower.includes("shop") || descLower.includes("store")) {
+    monetizationTypes.push("Merchandise");
+  }
+
+  // Courses / Coaching
+  if (descLower.includes("course") || descLower.includes("coaching") || descLower.includes("consultation")) {
+    monetizationTypes.push("Courses/Coaching");
+  }
+
+  // Premium Content
+  if (descLower.includes("onlyfans") || descLower.includes("premium content") || descLower.includes("membership")) {
+    monetizationTypes.push("Premium Content");
+  }
+
+  // Live Streaming / Donations
+  if (descLower.includes("twitch") || descLower.includes("stream") || descLower.includes("donation")) {
+    monetizationTypes.push("Live Streaming/Donations");
+  }
+
+  // YouTube Ads
+  if (status.monetizationDetails || descLower.includes("ad revenue") || descLower.includes("adsense")) {
+    monetizationTypes.push("YouTube Ads");
+  }
+
+  return monetizationTypes.length > 0 ? [...new Set(monetizationTypes)].join(", ") : "Unknown";
+}
+
+// --- Stage: recent videos + outreach ---
+export async function getRecentVideos(channels, ctx) {
+  for (let i = 0; i < channels.length; i++) {
+    ctx.throwIfCancelled();
+    const channel = channels[i];
+    ctx.stageProgress(i / channels.length, `Fetching recent videos for ${channel.name}...`);
+
+    try {
+      // Already fetched while analyzing engagement, except for jobs saved before that
+      if (!channel.recentVideos) {
+        channel.recentVideos = await fetchUploadedVideos(channel.id);
+        channel.engagementRate = calculateVideoEngagementRate(channel.recentVideos);
+        await delay(100); // rate limiting
+      }
+    } catch (error) {
+      console.warn(`Failed to fetch recent videos for ${channel.name}:`, error.message);
+      channel.recentVideos = [];
+    }
+
+    if (!channel.videoMetrics) {
+      channel.videoMetrics = computeVideoMetrics(channel.recentVideos);
+    }
+
+    // Pick most recent video for display
+    channel.recentVideo = channel.recentVideos[0] || null;
+    if (channel.recentVideos.length === 0) continue;
+
+    // Link parsing is guarded on its own so a bad description cannot cost the uploads
+    // that the comment, metrics and sponsor stages still need
+    try {
+      // Extract additional URLs from video descriptions (but don't overwrite existing data)
+      const videoUrls = [];
+      const videoIdsByUrl = {};
+      for (const video of channel.recentVideos) {
+        const videoExtraction = extractContactInfoFromText(video.description);
+        for (const url of videoExtraction.allUrls || []) {
+          videoUrls.push(url);
+          (videoIdsByUrl[url] = videoIdsByUrl[url] || []).push(video.id);
+        }
+      }
+
+      // Only add video URLs if we don't already have social media links
+      if (!channel.instagram && !channel.twitter && !channel.facebook) {
+        const videoLinks = categorizeLinks(videoUrls);
+        channel.social = { ...videoLinks.social, ...channel.social };
+        channel.socialHandles = { ...videoLinks.socialHandles, ...channel.socialHandles };
+        for (const platform of ['instagram', 'twitter', 'facebook', 'tiktok', 'linkedin', 'patreon']) {
+          channel[platform] = channel[platform] || videoLinks.social[platform] || '';
+        }
+
+        channel.contactSources = channel.contactSources || emptyContactSources();
+        for (const [platform, url] of Object.entries(videoLinks.social)) {
+          if (channel.social[platform] !== url) continue;
+          for (const videoId of videoIdsByUrl[url] || []) {
+            recordContactSource(channel.contactSources, "social", url, { source: "videoDescription", videoId });
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to parse video description links for ${channel.name}:`, error.message);
+    }
+  }
+
+  return channels;
+}
+
+// --- Stage: comment pain points ---
+const COMMENT_SAMPLE_VIDEOS = 5;
+const COMMENTS_PER_VIDEO = 20;
+const COMMENT_SAMPLE_SIZE = 100;
+const PAIN_POINT_CONCURRENCY = 4;
+
+export async function analyzeComments(channels, ctx) {
+  const targets = channels.filter(c => (c.recentVideos || []).length > 0);
+  if (targets.length === 0) return channels;
+
+  // Sampling is sequential to stay gentle on the YouTube quota
+  for (let i = 0; i < targets.length; i++) {
+    ctx.throwIfCancelled();
+    const channel = targets[i];
+    ctx.stageProgress(i * 0.4 / targets.length, `Sampling comments for ${channel.name}...`);
+
+    channel.recentComments = await fetchCommentSample(
+      channel.recentVideos.slice(0, COMMENT_SAMPLE_VIDEOS).map(v => v.id),
+      COMMENTS_PER_VIDEO,
+      COMMENT_SAMPLE_SIZE
+    );
+  }
+
+  let completed = 0;
+  let next = 0;
+
+  const analyzeNext = async () => {
+    while (next < targets.length) {
+      ctx.throwIfCancelled();
+      const channel = targets[next++];
+
+      const analysis = await analyzePainPoints(channel.recentComments, {
+        channelName: channel.name,
+        openaiApiKey: ctx.openaiApiKey
+      });
+      channel.painPoints = analysis.painPoints;
+      channel.painPointsSource = analysis.source;
+      channel.commentsAnalyzed = analysis.commentsAnalyzed;
+
+      completed++;
+      ctx.stageProgress(0.4 + (completed * 0.6 / targets.length), `Analyzed comments for ${channel.name} (${completed}/${targets.length})`);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(PAIN_POINT_CONCURRENCY, targets.length) }, analyzeNext));
+
+  ctx.throwIfCancelled();
+  return channels;
+}
+
+// --- Stage: sponsor history ---
+export async function detectChannelSponsors(channels, ctx) {
+  for (let i = 0; i < channels.length; i++) {
+    ctx.throwIfCancelled();
+    const channel = channels[i];
+    ctx.stageProgress(i / channels.length, `Looking for past sponsors of ${channel.name}...`);
+
+    const videos = channel.recentVideos || [];
+    // Same videos and page size as the pain-point sample, so these come from the cache
+    const creatorComments = videos.length > 0
+      ? await fetchCreatorComments(channel.id, videos.slice(0, COMMENT_SAMPLE_VIDEOS).map(v => v.id), COMMENTS_PER_VIDEO)
+      : [];
+
+    channel.sponsors = detectSponsors(videos, creatorComments, {
+      ownUrls: [...(channel.websites || []), ...(channel.linkInBio || [])]
+    });
+    if (channel.sponsors.brands.length > 0) {
+      console.log(`🤝 ${channel.name} worked with: ${channel.sponsors.brands.map(b => b.brand).join(", ")}`);
+    }
+  }
+
+  return channels;
+}
+
+// --- Stage: outreach ---
+export async function generateOutreach(channels, outreachTemplateId, ctx) {
+  for (let i = 0; i < channels.length; i++) {
+    ctx.throwIfCancelled();
+    const channel = channels[i];
+    ctx.stageProgress(i / channels.length, `Writing outreach for ${channel.name}...`);
+
+    await generateOutreachForChannel(channel, outreachTemplateId, ctx.openaiApiKey);
+  }
+
+  return channels;
+}
+
+async function generateOutreachForChannel(channel, templateId, openaiApiKey) {
+  try {
+    console.log(`🎯 Starting outreach generation for ${channel.name}...`);
+
+    // A template deleted mid-search falls back to the built-in one
+    const template = (await getOutreachTemplate(templateId)) || (await getOutreachTemplate());
+
+    const outreach = await generatePersonalizedOutreach({
+      channelName: channel.name,
+      description: channel.description,
+      recentVideos: channel.recentVideos || [],
+      recentComments: channel.recentComments || [],
+      painPoints: channel.painPoints || [],
+      ownerName: channel.name,
+      template,
+      variants: 1,
+      openaiApiKey
+    });
+
+    channel.aiSubjectLine = outreach.subjectLine || "";
+    channel.aiFirstLine = outreach.firstLine || "";
+    channel.aiEmailBody = outreach.body || "";
+    channel.aiFollowUps = outreach.followUps || [];
+    channel.aiOutreachSource = outreach.source;
+    channel.aiFallbackReason = outreach.fallbackReason || null;
+  } catch (err) {
+    console.error(`❌ Outreach generation failed for ${channel.name}:`, err.message);
+    channel.aiSubjectLine = "";
+    channel.aiFirstLine = "";
+    channel.aiEmailBody = "";
+    channel.aiFollowUps = [];
+    channel.aiOutreachSource = "fallback";
+    channel.aiFallbackReason = err.message;
+  }
+}
+
+// --- Stage: audience match ---
+export async function analyzeAudienceMatch(channels, targetAudience, ctx) {
+  // Imports may come without a target audience; there is nothing to match against then
+  if (!targetAudience) return channels;
+
+  // Comments tell the model who actually watches; the pain-point sample is reused when present
+  for (let i = 0; i < channels.length; i++) {
+    ctx.throwIfCancelled();
+    const channel = channels[i];
+    ctx.stageProgress(i * 0.4 / channels.length, `Sampling comments for ${channel.name}...`);
+
+    if (channel.recentVideo && !channel.recentComments) {
+      channel.recentComments = await fetchVideoComments(channel.recentVideo.id, 10);
+    }
+  }
+
+  const scores = await scoreAudienceMatch(channels, targetAudience, {
+    openaiApiKey: ctx.openaiApiKey,
+    onBatch: (done, total) => ctx.stageProgress(0.4 + (done * 0.6 / total), `Scored audience match for ${done}/${total} channels...`)
+  });
+  ctx.throwIfCancelled();
+
+  channels.forEach((channel, index) => {
+    const match = scores[index];
+    channel.audienceMatch = match.bucket;
+    channel.audienceScore = match.score;
+    channel.audienceRationale = match.rationale;
+    channel.audienceMatchSource = match.source;
+  });
+
+  return channels;
+}
+
+// --- Stage: Apify bulk emails ---
+export async function extractEmailsWithApifyBulk(channels, ctx) {
+  if (APIFY_API_TOKENS.length === 0 || channels.length === 0) {
+    return channels;
+  }
+
+  try {
+    const channelUrls = channels.map(ch => ch.url);
+
+    console.log(`📨 Sending ${channelUrls.length} channels to Apify for bulk email extraction...`);
+    const { results, chunks } = await runApifyEmailExtraction(channelUrls, {
+      signal: ctx.signal,
+      onChunk: (chunk, all) => {
+        const done = all.filter(c => c.status === "completed" || c.status === "failed").length;
+        ctx.stageProgress(done / all.length, `Apify email extraction: ${done}/${all.length} batches done`);
+      }
+    });
+    ctx.throwIfCancelled();
+    const failedChunks = chunks.filter(c => c.status === "failed");
+    if (failedChunks.length > 0) {
+      console.warn(`⚠️ ${failedChunks.length} Apify batches failed: ${failedChunks.map(c => c.error).join("; ")}`);
+    }
+
+    // Merge Apify results back into channels
+    return channels.map(channel => {
+      const apifyResult = results[channel.url];
+
+      if (apifyResult && apifyResult.emails && apifyResult.emails.length > 0) {
+        console.log(`✅ Apify found ${apifyResult.emails.length} emails for ${channel.name}`);
+
+        // Merge Apify emails with existing emails (remove duplicates)
+        const allEmails = [...new Set([
+          ...(channel.emails || []),
+          ...apifyResult.emails
+        ])];
+
+        const emailSources = { ...(channel.emailSources || {}) };
+        for (const email of apifyResult.emails) {
+          emailSources[email] = emailSources[email] || 'apify';
+        }
+        const contactSources = channel.contactSources || emptyContactSources();
+        recordContactSources(contactSources, "emails", apifyResult.emails, { source: "apify", url: channel.url, method: apifyResult.actorId });
+
+        return {
+          ...channel,
+          emails: allEmails,
+          emailSources,
+          contactSources,
+          email: allEmails[0] || '', // Update primary email if found
+          emailAvailable: allEmails.length > 0,
+          apifyStatus: apifyResult.status
+        };
+      }
+
+      return channel;
+    });
+  } catch (error) {
+    if (ctx.signal?.aborted) throw error;
+    console.error('❌ Bulk email extraction failed:', error.message);
+    return channels; // Return original channels if Apify fails
+  }
+}
+
+// --- Stage: email verification ---
+export async function verifyChannelEmails(channels, ctx) {
+  const withEmails = channels.filter(c => (c.emails || []).length > 0);
+  let completed = 0;
+
+  for (const channel of withEmails) {
+    ctx.throwIfCancelled();
+
+    const verified = await verifyEmails(channel.emails, { websites: channel.websites });
+    const best = pickBestEmail(verified);
+
+    channel.emailVerification = verified;
+    channel.emails = verified.filter(v => v.status !== 'invalid').map(v => v.email);
+    channel.email = best ? best.email : '';
+    channel.emailScore = best ? best.score : null;
+    channel.emailStatus = best ? best.status : 'invalid';
+    channel.emailAvailable = channel.emails.length > 0;
+
+    completed++;
+    ctx.stageProgress(completed / withEmails.length, `Verified emails for ${channel.name} (${completed}/${withEmails.length})`);
+  }
+
+  return channels;
+}
+
+/**
+ * Ordered pipeline stages. Each stage reads the job state and returns the
+ * fields it changed; a job resumes from the first stage not yet completed.
+ */
+export const SEARCH_STAGES = [
+  {
+    id: "generateSearchQueries",
+    progress: 5,
+    label: "Generating search queries...",
+    run: async (state, ctx) => {
+      if (state.params.importEntries?.length > 0) return { queries: [] };
+      if (state.params.seedChannels?.length > 0) {
+        // Lookalike mode: queries come from keywords the seeds share
+        const seedAnalysis = await analyzeSeeds(state.params.seedChannels);
+        if (seedAnalysis.unresolved.length > 0) {
+          console.warn(`⚠️ Could not resolve seed channels: ${seedAnalysis.unresolved.join(", ")}`);
+        }
+        console.log(`🌱 Expanding from ${seedAnalysis.seeds.length} seed channels with queries: ${seedAnalysis.queries.join(", ")}`);
+        return { queries: seedAnalysis.queries, seedAnalysis };
+      }
+      return { queries: await generateQueriesForSearch(state.params, ctx.openaiApiKey) };
+    }
+  },
+  {
+    id: "discoverChannels",
+    progress: 10,
+    label: "Discovering channels...",
+    run: async (state, ctx) => {
+      let discovered, rejected, unresolvedImports;
+      if (state.params.importEntries?.length > 0) {
+        ({ channels: discovered, unresolved: unresolvedImports } = await discoverImported(state.params.importEntries, ctx));
+        rejected = [];
+      } else {
+        ({ channels: discovered, rejected } = state.seedAnalysis
+          ? await discoverLookalikes(state.seedAnalysis, state.params, ctx)
+          : await discoverChannels(state.queries, state.params, ctx));
+      }
+
+      // Flag or drop channels from earlier searches, then record everything we saw
+      const { channels, skipped } = await applyKnownLeadPolicy(discovered, state.params.knownLeads);
+      await upsertLeads(discovered, ctx.searchId);
+      if (skipped > 0) {
+        console.log(`⏭️ Skipped ${skipped} channels already in the lead database`);
+        const keptIds = new Set(channels.map(c => c.id));
+        rejected.push(...discovered
+          .filter(c => !keptIds.has(c.id))
+          .map(c => toRejection(c, "discoverChannels", "knownLead", `Policy "${state.params.knownLeads}"`)));
+      }
+
+      return { channels, skippedKnownLeads: skipped, rejectedChannels: rejected, ...(unresolvedImports && { unresolvedImports }) };
+    }
+  },
+  {
+    id: "analyzeEngagement",
+    progress: 30,
+    label: "Analyzing engagement rates...",
+    run: async (state, ctx) => {
+      const { channels, rejected } = await analyzeEngagement(state.channels, state.params, ctx);
+      return { channels, rejectedChannels: [...(state.rejectedChannels || []), ...rejected] };
+    }
+  },
+  {
+    id: "collectContactInfo",
+    progress: 50,
+    label: "Collecting contact information...",
+    run: async (state, ctx) => ({
+      channels: await collectContactInfo(state.channels, ctx)
+    })
+  },
+  {
+    id: "crawlContactPages",
+    progress: 55,
+    label: "Crawling websites and link-in-bio pages...",
+    run: async (state, ctx) => ({
+      channels: await crawlContactPages(state.channels, ctx)
+    })
+  },
+  {
+    id: "getRecentVideos",
+    progress: 60,
+    label: "Fetching recent videos...",
+    run: async (state, ctx) => ({
+      channels: await getRecentVideos(state.channels, ctx)
+    })
+  },
+  {
+    id: "analyzeComments",
+    progress: 65,
+    label: "Analyzing audience comments...",
+    run: async (state, ctx) => ({
+      channels: await analyzeComments(state.channels, ctx)
+    })
+  },
+  {
+    id: "detectSponsors",
+    progress: 74,
+    label: "Detecting past sponsors...",
+    run: async (state, ctx) => ({
+      channels: await detectChannelSponsors(state.channels, ctx)
+    })
+  },
+  {
+    id: "analyzeAudienceMatch",
+    progress: 75,
+    label: "Analyzing audience match...",
+    run: async (state, ctx) => ({
+      channels: await analyzeAudienceMatch(state.channels, state.params.targetAudience, ctx)
+    })
+  },
+  {
+    id: "generateOutreach",
+    progress: 80,
+    label: "Writing personalized outreach...",
+    run: async (state, ctx) => ({
+      channels: await generateOutreach(state.channels, state.params.outreachTemplateId, ctx)
+    })
+  },
+  {
+    id: "extractEmailsWithApifyBulk",
+    progress: 85,
+    label: "Extracting emails with Apify...",
+    run: async (state, ctx) => {
+      if (APIFY_API_TOKENS.length === 0) {
+        console.warn('Apify not available, skipping bulk email extraction');
+        return {};
+      }
+      return { channels: await extractEmailsWithApifyBulk(state.channels, ctx) };
+    }
+  },
+  {
+    id: "verifyEmails",
+    progress: 90,
+    label: "Verifying email addresses...",
+    run: async (state, ctx) => ({
+      channels: await verifyChannelEmails(state.channels, ctx)
+    })
+  },
+  {
+    id: "scoreChannels",
+    progress: 93,
+    label: "Scoring and ranking channels...",
+    run: async (state) => {
+      // A profile deleted mid-search falls back to the built-in one
+      const profile = (await getScoringProfile(state.params.scoringProfileId)) || (await getScoringProfile());
+      const { channels, belowMinScore } = rankChannels(state.channels, profile);
+      if (state.seedAnalysis) {
+        // Lookalike results are ordered by how close they are to the seeds
+        channels.sort((a, b) => (b.similarity || 0) - (a.similarity || 0) || b.score - a.score);
+      }
+      if (belowMinScore === 0) return { channels, belowMinScore };
+
+      console.log(`📉 Dropped ${belowMinScore} channels below the minimum score of ${profile.thresholds.minScore}`);
+      const keptIds = new Set(channels.map(c => c.id));
+      const rejected = state.channels
+        .filter(c => !keptIds.has(c.id))
+        .map(c => toRejection(c, "scoreChannels", "minScore", `Score ${c.score} (minimum ${profile.thresholds.minScore})`));
+      return { channels, belowMinScore, rejectedChannels: [...(state.rejectedChannels || []), ...rejected] };
+    }
+  },
+  {
+    id: "finalizeResults",
+    progress: 95,
+    label: "Preparing results...",
+    run: async (state) => ({
+      results: state.channels.slice(0, state.params.channelCount)
+    })
+  },
+  {
+    id: "saveLeads",
+    progress: 98,
+    label: "Saving leads...",
+    run: async (state, ctx) => {
+      await upsertLeads(state.results, ctx.searchId, { qualified: true });
+      return {};
+    }
+  }
+];
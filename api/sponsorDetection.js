@@ -0,0 +1,290 @@
+// sponsorDetection.js
+// Brands a creator has already worked with, mined from recent video descriptions
+// and the creator's own (pinned) comments: sponsor phrases, promo codes,
+// affiliate links and shortened tracking links
+import { normalizeUrl, classifyUrl } from "../shared/contactExtraction.js";
+
+// Affiliate networks recognized by host; Amazon is recognized by its tag= parameter
+const AFFILIATE_NETWORKS = [
+  { type: "impact", hosts: ["sjv.io", "pxf.io", "evyy.net", "ojrq.net", "impact.com", "impactradius.com"] },
+  { type: "shareasale", hosts: ["shareasale.com", "shareasale-analytics.com"] },
+  { type: "cj", hosts: ["anrdoezrs.net", "dpbolvw.net", "jdoqocy.com", "kqzyfj.com", "tkqlhce.com"] },
+  { type: "rakuten", hosts: ["linksynergy.com"] },
+  { type: "awin", hosts: ["awin1.com"] },
+  { type: "partnerize", hosts: ["prf.hn"] }
+];
+
+const SHORTENER_HOSTS = [
+  "bit.ly", "tinyurl.com", "geni.us", "rebrand.ly", "ow.ly", "buff.ly", "cutt.ly",
+  "shorturl.at", "is.gd", "t.ly", "rb.gy", "fxo.co", "howl.me", "shopstyle.it"
+];
+
+// Query parameters affiliate programs hand out to identify a creator's traffic.
+// Generic analytics parameters (utm_*, ref, via) also tag ordinary links and are left out.
+const TRACKING_PARAMS = /^(?:aff|aff_id|affid|affiliate|affiliate_id|a_aid|tap_a|fpr|rfsn|irclickid|sca_ref|coupon|code|promo|discount)$/i;
+
+// Parameters that carry the real destination of a network link
+const DESTINATION_PARAMS = ["url", "urllink", "u", "murl", "ued", "destination", "p"];
+
+// Lead-ins that introduce a sponsor; the brand is read from the text that follows
+const SPONSOR_PHRASES = [
+  /\bsponsored by\s+([^\n.,!?;:()|]{2,60})/gi,
+  /\bbrought to you by\s+([^\n.,!?;:()|]{2,60})/gi,
+  /\b(?:paid )?partnership with\s+([^\n.,!?;:()|]{2,60})/gi,
+  /\b(?:today's|our|this video's|this week's) sponsor,?\s+([^\n.,!?;:()|]{2,60})/gi,
+  /\bthanks?(?: you)? to\s+([^\n.,!?;:()|]{2,60}?)\s+for\s+(?:sponsoring|supporting this|partnering|making this (?:video|episode) possible)/gi
+];
+
+const PROMO_CODE = /\b(?:promo |discount |coupon )?code\s*(?:is\s+)?[:\-–]?\s*["“'«]?([A-Za-z0-9][A-Za-z0-9_-]{2,19})\b/gi;
+const NOT_CODES = new Set(["HERE", "BELOW", "ABOVE", "AT", "FOR", "IN", "ON", "TO", "THE", "AND", "WILL", "LINK"]);
+
+// Words that are never a brand on their own
+const GENERIC_LABELS = new Set([
+  "link", "links", "here", "click", "shop", "store", "website", "site", "get", "try", "use", "download",
+  "sign", "up", "check", "out", "my", "our", "the", "this", "a", "an", "free", "off", "discount", "code"
+]);
+const CALL_TO_ACTION = /^(?:(?:go to|head to|visit|click|check out|try|get|grab|download|sign up for|shop|use|join)\s+)+/i;
+// Words that mark the text after them as a sponsor, e.g. "Sponsor: NordVPN code KETO"
+const SPONSOR_LEAD_IN = /\b(?:sponsors?|sponsored by|partner(?:ed with)?|partnership with|thanks?(?: you)? to|brought to you by|deal|offer|off)\b[\s:–-]*/gi;
+
+const MAX_LINKS_PER_BRAND = 3;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// "go.nordvpn.net" -> "nordvpn", "brand.co.uk" -> "brand"
+function domainBrand(host) {
+  const parts = host.split(".");
+  parts.pop();
+  if (parts.length > 1 && ["co", "com", "org", "net"].includes(parts[parts.length - 1])) parts.pop();
+  return parts[parts.length - 1] || null;
+}
+
+function brandKey(name) {
+  return (name || "").toLowerCase().replace(/\.(?:com|net|org|io|co)\b.*$/, "").replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * The brand name at the start of a phrase: capitalized words or a domain, up to four tokens
+ * @param {string} text
+ * @returns {string|null}
+ */
+function readBrandName(text) {
+  const tokens = text.trim().replace(/^@/, "").split(/\s+/);
+  const brand = [];
+  for (const token of tokens.slice(0, 4)) {
+    const isDomain = /^[\w-]+\.[a-z]{2,}(?:\/\S*)?$/i.test(token);
+    if (!/^[\p{Lu}\p{N}]/u.test(token) && !isDomain && !(brand.length > 0 && token === "&")) break;
+    brand.push(isDomain ? domainBrand(hostOf(`https://${token}`)) || token : token);
+    if (isDomain) break;
+  }
+  const name = brand.join(" ").replace(/['’]s$/, "").replace(/[&\s]+$/, "");
+  return name && !GENERIC_LABELS.has(name.toLowerCase()) ? name : null;
+}
+
+/**
+ * Text in front of a URL or code on its line, e.g. "NordVPN 👉 https://..." -> "NordVPN"
+ * @param {string} line
+ * @param {string} text - The URL or code
+ * @param {Object} [options]
+ * @param {boolean} [options.requireLeadIn] - Only read text after a sponsor lead-in ("Sponsor:", "20% off")
+ */
+function labelBefore(line, text, { requireLeadIn = false } = {}) {
+  const index = line.indexOf(text);
+  if (index <= 0) return null;
+  let before = line.slice(0, index);
+  if (requireLeadIn) {
+    const leadIn = [...before.matchAll(SPONSOR_LEAD_IN)].pop();
+    if (!leadIn) return null;
+    before = before.slice(leadIn.index + leadIn[0].length);
+  }
+  const label = before
+    .replace(/[^\p{L}\p{N}&'’.\s-]+/gu, " ")
+    .replace(/\s+(?:here|at|on|via|with|link)\s*$/i, "")
+    .replace(CALL_TO_ACTION, "")
+    .trim();
+  if (!label || label.split(/\s+/).length > 4 || label.length > 40) return null;
+  return readBrandName(label);
+}
+
+/**
+ * What kind of commercial link a URL is, and the brand behind it when the URL itself says
+ * @param {string} url - Normalized URL
+ * @param {Set<string>} ownHosts - The creator's own sites, never counted as sponsors
+ * @returns {{linkType: string, brand: string|null}|null}
+ */
+export function classifySponsorLink(url, ownHosts = new Set()) {
+  const host = hostOf(url);
+  if (!host || [...ownHosts].some(own => hostMatches(host, own))) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  if (hostMatches(host, "amzn.to")) return { linkType: "amazon", brand: "Amazon" };
+  if (/(?:^|\.)amazon\.[a-z.]+$/.test(host)) {
+    return parsed.searchParams.has("tag") ? { linkType: "amazon", brand: "Amazon" } : null;
+  }
+
+  const network = AFFILIATE_NETWORKS.find(n => n.hosts.some(domain => hostMatches(host, domain)));
+  if (network) {
+    const destination = DESTINATION_PARAMS
+      .map(param => normalizeUrl(parsed.searchParams.get(param)))
+      .find(Boolean);
+    // Impact vanity hosts look like brand.sjv.io
+    const vanity = network.hosts.find(domain => host.endsWith(`.${domain}`)) && host.split(".")[0];
+    return { linkType: network.type, brand: destination ? domainBrand(hostOf(destination)) : vanity || null };
+  }
+
+  if (SHORTENER_HOSTS.some(domain => hostMatches(host, domain))) return { linkType: "shortlink", brand: null };
+
+  // Social profiles, link-in-bio pages and YouTube itself are the creator's own presence
+  if (classifyUrl(url) !== "website") return null;
+
+  if ([...parsed.searchParams.keys()].some(param => TRACKING_PARAMS.test(param))) {
+    return { linkType: "tracking", brand: domainBrand(host) };
+  }
+  return null;
+}
+
+/**
+ * Sponsor signals in one piece of text
+ * @param {string} text
+ * @param {Set<string>} ownHosts
+ * @returns {{mentions: Array<{brand: string|null, signal: string, linkType?: string, code?: string, url?: string}>}}
+ */
+export function findSponsorMentions(text, ownHosts = new Set()) {
+  const mentions = [];
+  if (!text) return { mentions };
+
+  for (const pattern of SPONSOR_PHRASES) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const brand = readBrandName(match[1]);
+      if (brand) mentions.push({ brand, signal: "sponsorPhrase" });
+    }
+  }
+
+  for (const line of text.split(/\n/)) {
+    const lineBrands = [];
+
+    for (const [raw] of line.matchAll(/(?:https?:\/\/|www\.)[^\s"'<>)]+/gi)) {
+      const url = normalizeUrl(raw);
+      const link = url && classifySponsorLink(url, ownHosts);
+      if (!link) continue;
+      const brand = link.brand || labelBefore(line, raw);
+      mentions.push({
+        brand,
+        signal: link.linkType === "shortlink" ? "shortLink" : link.linkType === "tracking" ? "trackingLink" : "affiliateLink",
+        linkType: link.linkType,
+        url
+      });
+      if (brand) lineBrands.push(brand);
+    }
+
+    for (const match of line.matchAll(PROMO_CODE)) {
+      const code = match[1];
+      // Codes are written in capitals; "code below" and friends are not codes
+      if (code !== code.toUpperCase() || NOT_CODES.has(code)) continue;
+      const after = line.slice(match.index + match[0].length).match(/\b(?:at|on|from|for)\s+(?:\d+%\s+off\s+(?:at\s+)?)?([^\n.,!?;:()|]{2,40})/i);
+      // "Full code ABC" names no brand; the text before a code only counts after a sponsor lead-in
+      const brand = lineBrands[0] || (after && readBrandName(after[1])) || labelBefore(line, match[0], { requireLeadIn: true });
+      mentions.push({ brand, signal: "promoCode", code });
+    }
+  }
+
+  // A code or short link with no brand of its own belongs to the one sponsor named in the same text
+  const named = [...new Set(mentions.filter(m => m.brand).map(m => brandKey(m.brand)))];
+  if (named.length === 1) {
+    const brand = mentions.find(m => m.brand).brand;
+    for (const mention of mentions) mention.brand = mention.brand || brand;
+  }
+
+  return { mentions };
+}
+
+/**
+ * Sponsor history for a channel
+ * @param {Array} videos - Recent uploads {id, title, description, publishedAt, url}
+ * @param {Array} creatorComments - {videoId, text} from fetchCreatorComments
+ * @param {Object} [options]
+ * @param {string[]} [options.ownUrls] - The creator's own websites and link-in-bio pages
+ * @returns {{brands: Array, unattributed: Array, sponsoredVideoCount: number, lastSponsoredAt: string|null, videosScanned: number, creatorCommentsScanned: number}}
+ */
+export function detectSponsors(videos = [], creatorComments = [], options = {}) {
+  const ownHosts = new Set((options.ownUrls || []).map(hostOf).filter(Boolean));
+  const brands = new Map();
+  const unattributed = [];
+  const sponsoredVideos = new Set();
+
+  const sources = [
+    ...videos.map(video => ({ video, text: video.description, source: "description" })),
+    ...creatorComments.map(comment => ({ video: videos.find(v => v.id === comment.videoId), text: comment.text, source: "pinnedComment" }))
+  ].filter(entry => entry.video && entry.text);
+
+  for (const { video, text, source } of sources) {
+    for (const mention of findSponsorMentions(text, ownHosts).mentions) {
+      if (!mention.brand) {
+        unattributed.push({
+          signal: mention.signal,
+          ...(mention.linkType && { linkType: mention.linkType }),
+          value: mention.url || mention.code,
+          videoId: video.id,
+          publishedAt: video.publishedAt
+        });
+        continue;
+      }
+
+      const key = brandKey(mention.brand);
+      if (!key) continue;
+      const entry = brands.get(key) || {
+        brand: mention.brand,
+        firstSeen: video.publishedAt,
+        lastSeen: video.publishedAt,
+        signals: [],
+        linkTypes: [],
+        promoCodes: [],
+        links: [],
+        videos: []
+      };
+
+      // Names written out in a sponsor phrase read better than ones taken from a domain
+      if (mention.signal === "sponsorPhrase" && entry.brand === entry.brand.toLowerCase()) entry.brand = mention.brand;
+      if (video.publishedAt < entry.firstSeen) entry.firstSeen = video.publishedAt;
+      if (video.publishedAt > entry.lastSeen) entry.lastSeen = video.publishedAt;
+      if (!entry.signals.includes(mention.signal)) entry.signals.push(mention.signal);
+      if (mention.linkType && !entry.linkTypes.includes(mention.linkType)) entry.linkTypes.push(mention.linkType);
+      if (mention.code && !entry.promoCodes.includes(mention.code)) entry.promoCodes.push(mention.code);
+      if (mention.url && !entry.links.includes(mention.url) && entry.links.length < MAX_LINKS_PER_BRAND) entry.links.push(mention.url);
+      if (!entry.videos.some(v => v.id === video.id)) {
+        entry.videos.push({ id: video.id, title: video.title, url: video.url, publishedAt: video.publishedAt, source });
+      }
+
+      brands.set(key, entry);
+      sponsoredVideos.add(video.id);
+    }
+  }
+
+  const list = [...brands.values()].sort((a, b) => (b.lastSeen || "").localeCompare(a.lastSeen || ""));
+
+  return {
+    brands: list,
+    unattributed,
+    sponsoredVideoCount: sponsoredVideos.size,
+    lastSponsoredAt: list[0]?.lastSeen || null,
+    videosScanned: videos.length,
+    creatorCommentsScanned: creatorComments.length
+  };
+}
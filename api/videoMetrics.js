@@ -0,0 +1,119 @@
+// videoMetrics.js
+// Upload cadence, view and format metrics computed from a channel's most recent uploads
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Videos per channel pulled from the uploads playlist (playlistItems caps a page at 50)
+export const VIDEO_SAMPLE_SIZE = Math.min(Math.max(parseInt(process.env.VIDEO_SAMPLE_SIZE) || 15, 5), 50);
+
+// The API does not flag Shorts; anything this short (or tagged #shorts) is treated as one
+const SHORTS_MAX_SECONDS = parseInt(process.env.SHORTS_MAX_SECONDS) || 180;
+
+// Videos younger than this are still collecting views and would skew the trend
+const TREND_MIN_AGE_DAYS = 7;
+const TREND_MIN_VIDEOS = 4;
+const TREND_CHANGE_PCT = 20;
+
+/**
+ * Parse an ISO 8601 duration such as "PT1H2M3S"
+ * @param {string} duration
+ * @returns {number} Seconds (0 when missing or unparseable)
+ */
+export function parseIsoDuration(duration) {
+  const match = (duration || "").match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return 0;
+  const [, days, hours, minutes, seconds] = match.map(v => parseInt(v) || 0);
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * @param {number} durationSeconds
+ * @param {string} [title]
+ * @param {string} [description]
+ */
+export function isShortVideo(durationSeconds, title = "", description = "") {
+  if (/#shorts\b/i.test(`${title} ${description}`)) return true;
+  return durationSeconds > 0 && durationSeconds <= SHORTS_MAX_SECONDS;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Average (likes + comments) / views over videos that have views
+ * @param {Array} videos - {stats: {viewCount, likeCount, commentCount}}
+ * @returns {number} Engagement rate in percent
+ */
+export function calculateVideoEngagementRate(videos) {
+  const rates = [];
+
+  for (const video of videos || []) {
+    const views = parseInt(video.stats?.viewCount) || 0;
+    const likes = parseInt(video.stats?.likeCount) || 0;
+    const comments = parseInt(video.stats?.commentCount) || 0;
+    if (views > 0) rates.push(((likes + comments) / views) * 100);
+  }
+
+  return rates.length > 0 ? rates.reduce((a, b) => a + b, 0) / rates.length : 0;
+}
+
+/**
+ * Median views of the newer half against the older half. Uses long-form videos
+ * when there are enough of them, since Shorts views are on a different scale.
+ */
+function viewTrend(videos, now) {
+  const settled = videos.filter(v => now - new Date(v.publishedAt).getTime() >= TREND_MIN_AGE_DAYS * DAY_MS);
+  const longForm = settled.filter(v => !v.isShort);
+  const sample = longForm.length >= TREND_MIN_VIDEOS ? longForm : settled;
+  if (sample.length < TREND_MIN_VIDEOS) return { direction: "unknown", changePct: null };
+
+  const half = Math.floor(sample.length / 2);
+  const newer = median(sample.slice(0, half).map(v => parseInt(v.stats?.viewCount) || 0));
+  const older = median(sample.slice(sample.length - half).map(v => parseInt(v.stats?.viewCount) || 0));
+  if (older === 0) return { direction: newer > 0 ? "rising" : "unknown", changePct: null };
+
+  const changePct = Number((((newer - older) / older) * 100).toFixed(1));
+  const direction = changePct >= TREND_CHANGE_PCT ? "rising" : changePct <= -TREND_CHANGE_PCT ? "falling" : "steady";
+  return { direction, changePct };
+}
+
+/**
+ * Cadence, median views, view trend and Shorts share for a set of uploads
+ * @param {Array} videos - {publishedAt, stats, isShort}
+ * @returns {{videosAnalyzed: number, uploadsPerWeek: number|null, avgDaysBetweenUploads: number|null, daysSinceLastUpload: number|null, medianViews: number, viewTrend: string, viewTrendPct: number|null, shortsCount: number, longFormCount: number, shortsRatio: number}}
+ */
+export function computeVideoMetrics(videos = []) {
+  const now = Date.now();
+  const sorted = videos
+    .filter(v => Number.isFinite(new Date(v.publishedAt).getTime()))
+    .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  const dates = sorted.map(v => new Date(v.publishedAt).getTime());
+  let uploadsPerWeek = null;
+  let avgDaysBetweenUploads = null;
+  if (dates.length >= 2) {
+    const spanDays = Math.max((dates[0] - dates[dates.length - 1]) / DAY_MS, 1);
+    avgDaysBetweenUploads = Number((spanDays / (dates.length - 1)).toFixed(1));
+    uploadsPerWeek = Number(((dates.length - 1) / (spanDays / 7)).toFixed(2));
+  }
+
+  const shortsCount = sorted.filter(v => v.isShort).length;
+  const trend = viewTrend(sorted, now);
+
+  return {
+    videosAnalyzed: sorted.length,
+    uploadsPerWeek,
+    avgDaysBetweenUploads,
+    daysSinceLastUpload: dates.length > 0 ? Math.floor((now - dates[0]) / DAY_MS) : null,
+    medianViews: Math.round(median(sorted.map(v => parseInt(v.stats?.viewCount) || 0))),
+    viewTrend: trend.direction,
+    viewTrendPct: trend.changePct,
+    shortsCount,
+    longFormCount: sorted.length - shortsCount,
+    shortsRatio: sorted.length > 0 ? Number((shortsCount / sorted.length).toFixed(2)) : 0
+  };
+}
@@ -0,0 +1,371 @@
+// webhooks.js
+import { randomUUID, randomBytes, createHmac } from "crypto";
+import { readJsonFile, writeJsonFile, getOwnEntry } from "./dataStore.js";
+import { isFirstQualifiedIn } from "./leadStore.js";
+
+const WEBHOOKS_FILE = "webhooks.json";
+const DELIVERIES_FILE = "webhook-deliveries.json";
+
+/**
+ * search.completed  once per finished search, with every result
+ * lead.qualified    once per channel that passed the filters and was not already a known lead
+ * ping              sent by the test endpoint
+ */
+export const WEBHOOK_EVENTS = ["search.completed", "lead.qualified", "ping"];
+
+// Bump when a field is removed or changes meaning; adding fields is not a breaking change
+const PAYLOAD_VERSION = 1;
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_LOGGED_DELIVERIES = 1000;
+const MAX_LOGGED_RESPONSE = 500;
+
+let webhooksCache = null;
+let deliveriesCache = null;
+let writeQueue = Promise.resolve();
+
+async function loadWebhooks() {
+  if (!webhooksCache) {
+    webhooksCache = await readJsonFile(WEBHOOKS_FILE, {});
+  }
+  return webhooksCache;
+}
+
+async function loadDeliveries() {
+  if (!deliveriesCache) {
+    deliveriesCache = await readJsonFile(DELIVERIES_FILE, []);
+  }
+  return deliveriesCache;
+}
+
+// Serialize writes so deliveries finishing together cannot interleave partial saves
+function save(file, getData) {
+  writeQueue = writeQueue
+    .then(() => writeJsonFile(file, getData()))
+    .catch(err => console.error(`❌ Failed to save ${file}:`, err.message));
+  return writeQueue;
+}
+
+const saveWebhooks = () => save(WEBHOOKS_FILE, () => webhooksCache);
+const saveDeliveries = () => save(DELIVERIES_FILE, () => deliveriesCache);
+
+// Secrets are only shown in full when a webhook is created
+function toPublicWebhook(webhook, { includeSecret = false } = {}) {
+  return {
+    ...webhook,
+    secret: includeSecret ? webhook.secret : `${webhook.secret.slice(0, 6)}…`
+  };
+}
+
+/**
+ * Validate and clean webhook input. Throws on invalid values.
+ * @param {Object} input
+ * @param {boolean} partial - Only check the fields present (updates)
+ */
+function sanitizeWebhookInput(input = {}, partial = false) {
+  const clean = {};
+
+  if (!partial || input.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(input.url || ""));
+    } catch {
+      throw new Error("A valid webhook url is required");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error("Webhook url must use http or https");
+    }
+    clean.url = url.toString();
+  }
+
+  if (!partial || input.events !== undefined) {
+    const events = Array.isArray(input.events) ? input.events : ["search.completed", "lead.qualified"];
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0 || events.length === 0) {
+      throw new Error(`Invalid events. Expected any of: ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+    clean.events = [...new Set(events)];
+  }
+
+  if (input.description !== undefined) clean.description = input.description.toString().trim();
+  if (input.active !== undefined) clean.active = input.active !== false && input.active !== "false";
+  if (input.secret !== undefined) {
+    clean.secret = input.secret.toString();
+    if (clean.secret.length < 16) throw new Error("Webhook secret must be at least 16 characters");
+  }
+
+  return clean;
+}
+
+export async function listWebhooks() {
+  const webhooks = await loadWebhooks();
+  return Object.values(webhooks)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(webhook => toPublicWebhook(webhook));
+}
+
+export async function getWebhook(webhookId) {
+  const webhooks = await loadWebhooks();
+  const webhook = getOwnEntry(webhooks, webhookId);
+  return webhook ? toPublicWebhook(webhook) : null;
+}
+
+/**
+ * @param {Object} input - {url, events?, description?, secret?, active?}
+ * @returns {Promise<Object>} The webhook, including its signing secret
+ */
+export async function createWebhook(input) {
+  const webhooks = await loadWebhooks();
+  const now = new Date().toISOString();
+
+  const webhook = {
+    id: randomUUID(),
+    description: "",
+    active: true,
+    secret: randomBytes(24).toString("hex"),
+    ...sanitizeWebhookInput(input),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  webhooks[webhook.id] = webhook;
+  await saveWebhooks();
+  return toPublicWebhook(webhook, { includeSecret: true });
+}
+
+export async function updateWebhook(webhookId, input) {
+  const webhooks = await loadWebhooks();
+  const webhook = getOwnEntry(webhooks, webhookId);
+  if (!webhook) return null;
+
+  Object.assign(webhook, sanitizeWebhookInput(input, true), { updatedAt: new Date().toISOString() });
+  await saveWebhooks();
+  return toPublicWebhook(webhook, { includeSecret: input.secret !== undefined });
+}
+
+export async function deleteWebhook(webhookId) {
+  const webhooks = await loadWebhooks();
+  if (!getOwnEntry(webhooks, webhookId)) return false;
+
+  delete webhooks[webhookId];
+  await saveWebhooks();
+  return true;
+}
+
+/**
+ * List logged deliveries, newest first
+ * @param {Object} filters
+ * @param {string} [filters.webhookId]
+ * @param {string} [filters.status] - pending, retrying, delivered or failed
+ * @param {number} [filters.limit]
+ */
+export async function listDeliveries({ webhookId, status, limit = 50 } = {}) {
+  const deliveries = await loadDeliveries();
+  return deliveries
+    .filter(d => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+    .slice(-Math.min(Math.max(parseInt(limit) || 50, 1), 500))
+    .reverse();
+}
+
+/**
+ * The lead fields the results table shows, in a shape receivers can rely on
+ */
+export function toLeadPayload(channel) {
+  return {
+    channelId: channel.id,
+    name: channel.name,
+    url: channel.url,
+    score: channel.score ?? null,
+    scoreBreakdown: channel.scoreBreakdown || [],
+    similarity: channel.similarity ?? null,
+    subscribers: Number(channel.subscribers) || 0,
+    country: channel.country || null,
+    language: channel.language || null,
+    engagementRate: Number((channel.engagementRate || 0).toFixed(2)),
+    videoMetrics: channel.videoMetrics || null,
+    audienceMatch: channel.audienceMatch || null,
+    audienceScore: channel.audienceScore ?? null,
+    audienceRationale: channel.audienceRationale || null,
+    painPoints: channel.painPoints || [],
+    recentVideo: channel.recentVideo
+      ? { title: channel.recentVideo.title, url: channel.recentVideo.url, publishedAt: channel.recentVideo.publishedAt }
+      : null,
+    email: channel.email || null,
+    emails: channel.emails || [],
+    emailScore: channel.emailScore ?? null,
+    emailStatus: channel.emailStatus || null,
+    emailAvailable: !!channel.emailAvailable,
+    website: channel.website || null,
+    websites: channel.websites || [],
+    linkInBio: channel.linkInBio || [],
+    social: channel.social || {},
+    socialHandles: channel.socialHandles || {},
+    otherLinks: channel.otherLinks || [],
+    monetization: channel.monetization || null,
+    sponsors: channel.sponsors
+      ? channel.sponsors.brands.map(({ brand, firstSeen, lastSeen, linkTypes, promoCodes }) => ({ brand, firstSeen, lastSeen, linkTypes, promoCodes }))
+      : [],
+    description: channel.description || "",
+    aiSubjectLine: channel.aiSubjectLine || "",
+    aiFirstLine: channel.aiFirstLine || "",
+    aiOutreachSource: channel.aiOutreachSource || null,
+    knownLead: channel.knownLead || null
+  };
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded.
+ * Receivers recompute it with the webhook secret and compare to X-Webhook-Signature
+ * (after the "sha256=" prefix), and should reject stale timestamps.
+ */
+export function signPayload(secret, timestamp, body) {
+  return createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Queue one delivery per active webhook subscribed to the event.
+ * Deliveries run in the background; this resolves once they are logged.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ * @param {Object} [options]
+ * @param {string} [options.webhookId] - Only deliver to this webhook (used by the test endpoint)
+ * @returns {Promise<Array>} The queued deliveries
+ */
+export async function emitWebhookEvent(event, data, { webhookId } = {}) {
+  const webhooks = await loadWebhooks();
+  const targets = Object.values(webhooks).filter(w =>
+    webhookId ? w.id === webhookId : (w.active && w.events.includes(event))
+  );
+  if (targets.length === 0) return [];
+
+  const deliveries = await loadDeliveries();
+  const createdAt = new Date().toISOString();
+
+  const queued = targets.map(webhook => {
+    const id = randomUUID();
+    return {
+      id,
+      webhookId: webhook.id,
+      url: webhook.url,
+      event,
+      status: "pending",
+      createdAt,
+      nextAttemptAt: createdAt,
+      attempts: [],
+      payload: { id, event, version: PAYLOAD_VERSION, createdAt, data }
+    };
+  });
+
+  deliveries.push(...queued);
+  if (deliveries.length > MAX_LOGGED_DELIVERIES) {
+    deliveries.splice(0, deliveries.length - MAX_LOGGED_DELIVERIES);
+  }
+  await saveDeliveries();
+
+  queued.forEach(delivery => attemptDelivery(delivery));
+  return queued;
+}
+
+/**
+ * Fire search.completed, and lead.qualified for each lead that qualified for the first time
+ * @param {string} searchId
+ * @param {Object} params - Search params
+ * @param {Array} results - Final channels
+ */
+export async function notifySearchCompleted(searchId, params, results) {
+  const leads = results.map(toLeadPayload);
+
+  await emitWebhookEvent("search.completed", {
+    searchId,
+    niche: params.niche,
+    targetAudience: params.targetAudience,
+    resultsCount: leads.length,
+    leads
+  });
+
+  for (const lead of leads) {
+    if (!(await isFirstQualifiedIn(lead.channelId, searchId))) continue;
+    await emitWebhookEvent("lead.qualified", { searchId, niche: params.niche, lead });
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const webhooks = await loadWebhooks();
+  const webhook = getOwnEntry(webhooks, delivery.webhookId);
+  if (!webhook) {
+    delivery.status = "failed";
+    delivery.error = "Webhook was deleted";
+    await saveDeliveries();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = { at: new Date().toISOString() };
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "yt-channel-finder-webhooks/1",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      redirect: "manual"
+    });
+
+    attempt.statusCode = response.status;
+    attempt.response = (await response.text().catch(() => "")).slice(0, MAX_LOGGED_RESPONSE);
+    if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (err) {
+    attempt.error = err.name === "TimeoutError" ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : err.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = attempt.at;
+    delivery.nextAttemptAt = null;
+    console.log(`📬 Webhook ${delivery.event} delivered to ${webhook.url}`);
+  } else if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    console.error(`❌ Webhook ${delivery.event} to ${webhook.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  } else {
+    // Exponential backoff: base, 2x, 4x, ... with a little jitter
+    const backoff = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1) + Math.random() * 1000;
+    delivery.status = "retrying";
+    delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+    console.warn(`⚠️ Webhook ${delivery.event} to ${webhook.url} failed (${attempt.error}), retry ${delivery.attempts.length}/${WEBHOOK_MAX_ATTEMPTS - 1} in ${Math.round(backoff)}ms`);
+    setTimeout(() => attemptDelivery(delivery), backoff).unref();
+  }
+
+  await saveDeliveries();
+}
+
+/**
+ * Reschedule deliveries that were still pending when the server stopped
+ */
+export async function resumeWebhookDeliveries() {
+  const deliveries = await loadDeliveries();
+  const unfinished = deliveries.filter(d => d.status === "pending" || d.status === "retrying");
+
+  for (const delivery of unfinished) {
+    const wait = Math.max(new Date(delivery.nextAttemptAt || 0).getTime() - Date.now(), 0);
+    setTimeout(() => attemptDelivery(delivery), wait).unref();
+  }
+
+  if (unfinished.length > 0) {
+    console.log(`🔁 Resuming ${unfinished.length} webhook deliveries`);
+  }
+}
@@ -0,0 +1,437 @@
+// websiteCrawler.js
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { Readable } from "stream";
+import {
+  normalizeUrl,
+  extractHandle,
+  extractContactInfoFromHtml
+} from "../shared/contactExtraction.js";
+
+// Crawl limits per channel; override via env on hosts with more headroom
+const CRAWLER_MAX_DEPTH = parseInt(process.env.CRAWLER_MAX_DEPTH) || 2;
+const CRAWLER_MAX_PAGES = parseInt(process.env.CRAWLER_MAX_PAGES) || 8;
+const CRAWLER_MAX_SITES = parseInt(process.env.CRAWLER_MAX_SITES) || 3;
+const CRAWLER_TIMEOUT_MS = parseInt(process.env.CRAWLER_TIMEOUT_MS) || 8000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_ROBOTS_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 5;
+// Addresses exempt from the private-network block, e.g. a local stub site: CRAWLER_ALLOWED_ADDRESSES=127.0.0.1
+const CRAWLER_ALLOWED_ADDRESSES = process.env.CRAWLER_ALLOWED_ADDRESSES
+  ? process.env.CRAWLER_ALLOWED_ADDRESSES.split(',').map(s => s.trim()).filter(s => s.length > 0)
+  : [];
+
+// Token matched against robots.txt user-agent groups
+const ROBOTS_AGENT = "yt-scraper";
+const USER_AGENT = `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0; contact discovery)`;
+
+// Pages on a creator's own site that usually carry a business email
+const CONTACT_PATH_PATTERN = /\/(?:contact|about|impressum|imprint|business|press|media|work-with|collab|partner|sponsor)/i;
+const GUESSED_PATHS = ["/contact", "/about"];
+
+const ROBOTS_TTL = 24 * 60 * 60 * 1000;
+const robotsCache = new Map();
+
+/**
+ * Parse robots.txt into user-agent groups of allow/disallow rules
+ * @param {string} text
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>}>}
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+    }
+  }
+
+  return groups;
+}
+
+function robotsPatternMatches(pattern, path) {
+  const endAnchored = pattern.endsWith("$");
+  const body = (endAnchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${body}${endAnchored ? "$" : ""}`).test(path);
+}
+
+/**
+ * Whether robots rules allow a path for our agent (longest matching rule wins, Allow wins ties)
+ */
+function isPathAllowed(groups, path) {
+  const ours = groups.filter(g => g.agents.some(a => a === ROBOTS_AGENT));
+  const applicable = ours.length > 0 ? ours : groups.filter(g => g.agents.includes("*"));
+
+  let best = null;
+  for (const rule of applicable.flatMap(g => g.rules)) {
+    if (!robotsPatternMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+// Creator-supplied URLs must not reach loopback, private networks or cloud metadata endpoints
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+let lookupHost = createDefaultLookup();
+
+function createDefaultLookup() {
+  return hostname => dns.promises.lookup(hostname, { all: true, verbatim: true });
+}
+
+/**
+ * Swap the host lookup used to vet crawl targets. Anything returning
+ * [{ address, family }] for a hostname works. Pass null to restore the default.
+ * @param {Function|null} customLookup
+ */
+export function setHostLookup(customLookup) {
+  lookupHost = customLookup || createDefaultLookup();
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local, multicast or otherwise not public
+ * @param {string} address
+ */
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Every address the host resolves to has to be public
+ * @returns {Promise<{address: string, family: number}>} The address to connect to
+ */
+async function assertPublicHost(url) {
+  if (!/^https?:$/.test(url.protocol)) throw new Error(`Unsupported protocol ${url.protocol}`);
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await lookupHost(hostname);
+  const blocked = ({ address }) => isPrivateAddress(address) && !CRAWLER_ALLOWED_ADDRESSES.includes(address);
+  if (addresses.length === 0 || addresses.some(blocked)) {
+    throw new Error(`Refusing to fetch ${url.hostname}: not a public address`);
+  }
+  return addresses[0];
+}
+
+/**
+ * One GET over a connection to an address assertPublicHost already vetted. Host header
+ * and TLS still use the URL's hostname; only the DNS step is skipped, so a second,
+ * different answer (DNS rebinding) cannot point the connection somewhere private.
+ * @returns {Promise<{status: number, ok: boolean, headers: Headers, body: ReadableStream, url: string}>}
+ */
+function requestPinned(url, { address, family }, signal) {
+  const lookup = (hostname, options, callback) => (options?.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.request(url, {
+      headers: { "User-Agent": USER_AGENT, "Accept": "text/html,text/plain;q=0.9,*/*;q=0.5" },
+      lookup,
+      signal
+    }, response => {
+      const headers = new Headers();
+      for (let i = 0; i < response.rawHeaders.length; i += 2) {
+        headers.append(response.rawHeaders[i], response.rawHeaders[i + 1]);
+      }
+      resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers,
+        body: Readable.toWeb(response),
+        url: url.toString()
+      });
+    });
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+/**
+ * GET a URL, following redirects by hand so every hop is vetted by assertPublicHost
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @param {Object} [options]
+ * @param {boolean} [options.checkRobots] - Check robots.txt for every redirect target too
+ */
+async function fetchWithTimeout(url, signal, { checkRobots = false } = {}) {
+  const timeout = AbortSignal.timeout(CRAWLER_TIMEOUT_MS);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  let current = new URL(url);
+
+  for (let hop = 0; ; hop++) {
+    const pinned = await assertPublicHost(current);
+    if (hop > 0 && checkRobots && !isPathAllowed(await getRobotsRules(current.origin, signal), current.pathname + current.search)) {
+      throw Object.assign(new Error(`robots.txt disallows ${current}`), { blockedByRobots: true });
+    }
+    const response = await requestPinned(current, pinned, combined);
+
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+
+    await response.body?.cancel();
+    if (hop >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    current = new URL(location, current);
+  }
+}
+
+/**
+ * Read a response body as text, stopping after maxBytes so oversized pages are never buffered whole
+ * @param {{body: ReadableStream}} response
+ * @param {number} maxBytes
+ */
+async function readBodyCapped(response, maxBytes) {
+  if (!response.body) return "";
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = "";
+  try {
+    while (received < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, maxBytes - received);
+      received += chunk.length;
+      text += decoder.decode(chunk, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return text + decoder.decode();
+}
+
+// robots.txt per origin, cached for a day. Missing (4xx) means allow all;
+// an unreachable or failing (5xx) robots.txt means stay out.
+async function getRobotsRules(origin, signal) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL) return cached.groups;
+
+  let groups;
+  try {
+    const response = await fetchWithTimeout(`${origin}/robots.txt`, signal);
+    if (response.ok) {
+      groups = parseRobots(await readBodyCapped(response, MAX_ROBOTS_BYTES));
+    } else if (response.status >= 400 && response.status < 500) {
+      groups = [];
+    } else {
+      groups = [{ agents: ["*"], rules: [{ allow: false, path: "/" }] }];
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    groups = [{ agents: ["*"], rules: [{ allow: false, path: "/" }] }];
+  }
+
+  robotsCache.set(origin, { groups, fetchedAt: Date.now() });
+  return groups;
+}
+
+/**
+ * Fetch a page if robots.txt allows it
+ * @returns {Promise<{html?: string, url?: string, blocked?: boolean, error?: string}>}
+ */
+async function fetchPage(url, signal) {
+  const target = new URL(url);
+  try {
+    await assertPublicHost(target);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const rules = await getRobotsRules(target.origin, signal);
+  if (!isPathAllowed(rules, target.pathname + target.search)) {
+    return { blocked: true };
+  }
+
+  try {
+    const response = await fetchWithTimeout(url, signal, { checkRobots: true });
+    if (!response.ok) {
+      await response.body?.cancel();
+      return { error: `HTTP ${response.status}` };
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    const declaredLength = parseInt(response.headers.get("content-length"));
+    if (!contentType.includes("html") || declaredLength > MAX_PAGE_BYTES) {
+      await response.body?.cancel();
+      return {
+        error: contentType.includes("html")
+          ? `Page too large (${declaredLength} bytes)`
+          : `Not HTML (${contentType || "unknown"})`
+      };
+    }
+
+    const html = await readBodyCapped(response, MAX_PAGE_BYTES);
+    return { html, url: response.url };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (err.blockedByRobots) return { blocked: true };
+    return { error: err.message };
+  }
+}
+
+// Same-site links (relative ones included) that look like contact or about pages
+function findContactPageLinks(html, pageUrl) {
+  const base = new URL(pageUrl);
+  const links = new Set();
+
+  for (const m of html.matchAll(/href=["']([^"'#]+)["']/gi)) {
+    let resolved;
+    try {
+      resolved = new URL(m[1], base);
+    } catch {
+      continue;
+    }
+    if (resolved.hostname !== base.hostname || !/^https?:$/.test(resolved.protocol)) continue;
+    if (CONTACT_PATH_PATTERN.test(resolved.pathname)) {
+      links.add(resolved.origin + resolved.pathname.replace(/\/$/, ""));
+    }
+  }
+
+  return [...links];
+}
+
+/**
+ * Follow a channel's link-in-bio pages and websites looking for contact details.
+ * Link-in-bio pages are expanded into their individual links; websites are
+ * scanned on the home page plus /contact and /about style pages.
+ * @param {Object} sources
+ * @param {string[]} [sources.linkInBio] - Linktree, Beacons, Stan Store... URLs
+ * @param {string[]} [sources.websites] - The creator's own sites
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.maxDepth]
+ * @param {number} [options.maxPages]
+ */
+export async function crawlContactSources({ linkInBio = [], websites = [] } = {}, options = {}) {
+  const maxDepth = options.maxDepth ?? CRAWLER_MAX_DEPTH;
+  const maxPages = options.maxPages ?? CRAWLER_MAX_PAGES;
+  const signal = options.signal;
+
+  const result = {
+    emails: [],          // [{ email, source }]
+    social: {},
+    socialHandles: {},
+    websites: [],
+    sources: {},         // social or website URL -> page it was found on
+    pagesCrawled: [],
+    blockedByRobots: [],
+    errors: []
+  };
+
+  const seenEmails = new Set();
+  const visited = new Set();
+  const queue = [];
+
+  const enqueue = (url, depth, kind) => {
+    const normalized = normalizeUrl(url);
+    if (!normalized || visited.has(normalized) || depth > maxDepth) return;
+    visited.add(normalized);
+    queue.push({ url: normalized, depth, kind });
+  };
+
+  linkInBio.forEach(url => enqueue(url, 0, "linkinbio"));
+  websites.slice(0, CRAWLER_MAX_SITES).forEach(url => enqueue(url, 0, "website"));
+
+  while (queue.length > 0 && result.pagesCrawled.length < maxPages) {
+    if (signal?.aborted) break;
+    const { url, depth, kind } = queue.shift();
+
+    const page = await fetchPage(url, signal);
+    if (page.blocked) {
+      result.blockedByRobots.push(url);
+      continue;
+    }
+    if (page.error) {
+      result.errors.push({ url, error: page.error });
+      continue;
+    }
+    result.pagesCrawled.push(url);
+
+    // One page that fails to parse must not cost what the other pages already gave
+    try {
+      const info = extractContactInfoFromHtml(page.html);
+
+      for (const email of info.emails) {
+        if (seenEmails.has(email)) continue;
+        seenEmails.add(email);
+        result.emails.push({ email, source: url });
+      }
+
+      for (const [platform, socialUrl] of Object.entries(info.social)) {
+        if (result.social[platform]) continue;
+        result.social[platform] = socialUrl;
+        result.sources[socialUrl] = url;
+        const handle = info.socialHandles[platform] || extractHandle(platform, socialUrl);
+        if (handle) result.socialHandles[platform] = handle;
+      }
+
+      if (kind === "linkinbio") {
+        // An aggregator's outbound websites are the creator's; crawl them one level down
+        for (const site of info.websites) {
+          if (!result.websites.includes(site)) {
+            result.websites.push(site);
+            result.sources[site] = url;
+          }
+          enqueue(site, depth + 1, "website");
+        }
+        continue;
+      }
+
+      // Own site: follow contact/about links, and guess the usual paths from the home page
+      const origin = new URL(page.url).origin;
+      findContactPageLinks(page.html, page.url).forEach(link => enqueue(link, depth + 1, "page"));
+      if (kind === "website") {
+        GUESSED_PATHS.forEach(path => enqueue(`${origin}${path}`, depth + 1, "page"));
+      }
+    } catch (err) {
+      result.errors.push({ url, error: err.message });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,408 @@
+// youtube.js
+import { YOUTUBE_API_KEYS, acquireYouTubeKey, recordYouTubeUsage, benchYouTubeKey, getQuotaCost } from "./youtubeKeys.js";
+import { isCacheable, getCachedResponse, setCachedResponse } from "./youtubeCache.js";
+import { VIDEO_SAMPLE_SIZE, parseIsoDuration, isShortVideo } from "./videoMetrics.js";
+
+const YOUTUBE_API_BASE = "https://www.googleapis.com/youtube/v3";
+
+// 403 reasons that mean the key has no quota left today
+const QUOTA_REASONS = ["quotaExceeded", "dailyLimitExceeded"];
+
+/**
+ * Call a YouTube Data API v3 resource through the response cache and the quota-aware key pool.
+ * Keys that report an exhausted quota are benched and the call is retried on another key.
+ * @param {string} resource - e.g. "search", "channels", "videos"
+ * @param {Object} params - Query parameters (without key)
+ * @param {Object} [options]
+ * @param {boolean} [options.cache=true] - Set false to skip the cache read (the response is still stored)
+ */
+export async function youtubeRequest(resource, params, options = {}) {
+  const cacheable = isCacheable(resource);
+  if (cacheable && options.cache !== false) {
+    const cached = await getCachedResponse(resource, params);
+    if (cached) return cached;
+  }
+
+  const cost = getQuotaCost(resource);
+  const triedKeys = [];
+
+  while (true) {
+    const apiKey = acquireYouTubeKey(cost, triedKeys);
+    if (!apiKey) {
+      if (YOUTUBE_API_KEYS.length === 0) {
+        const err = new Error("No YouTube API keys provided");
+        err.status = 503;
+        throw err;
+      }
+      const err = new Error("No YouTube API key has quota left for this request");
+      err.status = 429;
+      throw err;
+    }
+    triedKeys.push(apiKey);
+
+    const query = new URLSearchParams({ ...params, key: apiKey });
+    const response = await fetch(`${YOUTUBE_API_BASE}/${resource}?${query}`);
+    recordYouTubeUsage(apiKey, cost);
+
+    if (response.ok) {
+      const data = await response.json();
+      if (cacheable) {
+        await setCachedResponse(resource, params, data).catch(err => {
+          console.warn(`⚠️ Failed to cache YouTube ${resource} response:`, err.message);
+        });
+      }
+      return data;
+    }
+
+    const body = await response.json().catch(() => ({}));
+    const reason = body.error?.errors?.[0]?.reason;
+
+    if (response.status === 403 && QUOTA_REASONS.includes(reason)) {
+      benchYouTubeKey(apiKey, reason);
+      continue;
+    }
+
+    const err = new Error(`YouTube API error: ${response.status}${reason ? ` (${reason})` : ""}`);
+    err.status = response.status;
+    throw err;
+  }
+}
+
+/**
+ * Search for channels matching a query and return their full channel resources
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.part="snippet,statistics"] - Channel parts to fetch for the matches
+ */
+export async function searchYouTubeChannels(query, { part = "snippet,statistics" } = {}) {
+  const data = await youtubeRequest("search", {
+    part: "snippet",
+    type: "channel",
+    q: query,
+    maxResults: 25
+  });
+
+  const channelIds = (data.items || []).map(item => item.id.channelId).join(',');
+  if (!channelIds) return [];
+
+  // Get detailed channel info
+  const channelsData = await youtubeRequest("channels", {
+    part,
+    id: channelIds
+  });
+
+  return channelsData.items || [];
+}
+
+/**
+ * Full channel resources for any number of ids, 50 per call
+ * @param {string[]} channelIds
+ * @param {string} [part]
+ */
+export async function fetchChannelsByIds(channelIds, part = "snippet,statistics") {
+  const channels = [];
+
+  for (let i = 0; i < channelIds.length; i += 50) {
+    const data = await youtubeRequest("channels", {
+      part,
+      id: channelIds.slice(i, i + 50).join(",")
+    });
+    channels.push(...(data.items || []));
+  }
+
+  return channels;
+}
+
+// youtube.com paths that are never a legacy custom channel name
+const RESERVED_PATHS = ["watch", "playlist", "results", "feed", "shorts", "embed", "live", "hashtag", "redirect", "account", "premium", "gaming", "music"];
+
+/**
+ * Work out what a channel reference points at, without calling the API.
+ * Accepts channel ids, @handles and youtube.com/channel, /@, /user, /c and bare custom URLs.
+ * @param {string} reference
+ * @returns {{channelId?: string, handle?: string, username?: string, customName?: string}|null}
+ */
+export function parseChannelReference(reference) {
+  const ref = (reference || "").toString().trim();
+  if (!ref) return null;
+
+  if (/^UC[\w-]{22}$/.test(ref)) return { channelId: ref };
+  if (/^@[\w.-]+$/.test(ref)) return { handle: ref.slice(1) };
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(ref) ? ref : `https://${ref}`);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)youtube\.com$/i.test(url.hostname)) return null;
+
+  let first, second;
+  try {
+    [first, second] = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Malformed percent-encoding, e.g. youtube.com/c/abc%E0
+    return null;
+  }
+  if (first === "channel" && /^UC[\w-]{22}$/.test(second || "")) return { channelId: second };
+  if (first?.startsWith("@")) return { handle: first.slice(1) };
+  if (first === "user" && second) return { username: second };
+  if (first === "c" && second) return { customName: second };
+  if (first && !second && /^[\w.-]+$/.test(first) && !RESERVED_PATHS.includes(first.toLowerCase())) {
+    return { customName: first };
+  }
+
+  return null;
+}
+
+async function lookupChannelId(lookup) {
+  const data = await youtubeRequest("channels", { part: "id", ...lookup });
+  return data.items?.[0]?.id || null;
+}
+
+/**
+ * Resolve one channel id, @handle or URL to a channel id.
+ * Handles and usernames cost one channels.list call; custom names may take two.
+ * @param {string} reference
+ * @returns {Promise<{channelId: string}|{reason: string}>}
+ */
+export async function resolveChannelReference(reference) {
+  const parsed = parseChannelReference(reference);
+  if (!parsed) return { reason: "Not a YouTube channel URL, @handle or channel ID" };
+  if (parsed.channelId) return { channelId: parsed.channelId };
+
+  try {
+    if (parsed.handle) {
+      const channelId = await lookupChannelId({ forHandle: parsed.handle });
+      return channelId ? { channelId } : { reason: `No channel with handle @${parsed.handle}` };
+    }
+    if (parsed.username) {
+      const channelId = await lookupChannelId({ forUsername: parsed.username });
+      return channelId ? { channelId } : { reason: `No channel with username ${parsed.username}` };
+    }
+
+    // Legacy custom URLs have no lookup of their own; most match the handle or username
+    const channelId = (await lookupChannelId({ forHandle: parsed.customName })) ||
+      (await lookupChannelId({ forUsername: parsed.customName }));
+    return channelId ? { channelId } : { reason: `Custom URL "${parsed.customName}" matches no handle or username` };
+  } catch (err) {
+    return { reason: `Lookup failed: ${err.message}` };
+  }
+}
+
+/**
+ * Resolve several channel ids, @handles or URLs
+ * @param {string[]} references
+ * @returns {Promise<{resolved: Array<{reference: string, channelId: string}>, unresolved: Array<{reference: string, reason: string}>}>}
+ */
+export async function resolveChannelReferences(references) {
+  const resolved = [];
+  const unresolved = [];
+
+  for (const reference of references) {
+    const { channelId, reason } = await resolveChannelReference(reference);
+    if (channelId) {
+      resolved.push({ reference, channelId });
+    } else {
+      unresolved.push({ reference, reason });
+    }
+  }
+
+  return { resolved, unresolved };
+}
+
+/**
+ * Channels a creator features on their channel page (channelSections)
+ * @param {string} channelId
+ * @returns {Promise<string[]>}
+ */
+export async function fetchFeaturedChannelIds(channelId) {
+  const data = await youtubeRequest("channelSections", {
+    part: "contentDetails",
+    channelId
+  });
+
+  const ids = (data.items || []).flatMap(section => section.contentDetails?.channels || []);
+  return [...new Set(ids)].filter(id => id !== channelId);
+}
+
+/**
+ * Every channel's uploads live in a playlist whose id swaps the "UC" prefix for "UU"
+ * @param {string} channelId
+ */
+export function getUploadsPlaylistId(channelId) {
+  return channelId.startsWith("UC") ? `UU${channelId.slice(2)}` : channelId;
+}
+
+/**
+ * Most recent uploads with snippet, statistics and duration, newest first.
+ * Lists the uploads playlist (1 quota unit) instead of search.list (100 units).
+ * The page size is fixed so every caller shares the same cached responses.
+ * @param {string} channelId
+ * @param {number} [maxResults=VIDEO_SAMPLE_SIZE]
+ */
+export async function fetchUploadedVideos(channelId, maxResults = VIDEO_SAMPLE_SIZE) {
+  const playlistData = await youtubeRequest("playlistItems", {
+    part: "contentDetails",
+    playlistId: getUploadsPlaylistId(channelId),
+    maxResults: Math.min(Math.max(VIDEO_SAMPLE_SIZE, maxResults), 50)
+  });
+
+  const videoIds = (playlistData.items || []).map(item => item.contentDetails.videoId);
+  if (videoIds.length === 0) return [];
+
+  const detailsData = await youtubeRequest("videos", {
+    part: "snippet,statistics,contentDetails",
+    id: videoIds.join(",")
+  });
+
+  return (detailsData.items || [])
+    // Scheduled premieres and streams have no views yet
+    .filter(v => v.snippet.liveBroadcastContent !== "upcoming")
+    .map(v => {
+      const durationSeconds = parseIsoDuration(v.contentDetails?.duration);
+      return {
+        id: v.id,
+        title: v.snippet.title,
+        description: v.snippet.description || "",
+        channelTitle: v.snippet.channelTitle,
+        publishedAt: v.snippet.publishedAt,
+        defaultAudioLanguage: v.snippet.defaultAudioLanguage || null,
+        url: `https://www.youtube.com/watch?v=${v.id}`,
+        durationSeconds,
+        isShort: isShortVideo(durationSeconds, v.snippet.title, v.snippet.description),
+        stats: v.statistics || {}
+      };
+    })
+    .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+    .slice(0, maxResults);
+}
+
+/**
+ * Fetch a channel's snippet and branding settings
+ * @param {string} channelId
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchChannelDetails(channelId) {
+  const data = await youtubeRequest("channels", {
+    part: "snippet,brandingSettings",
+    id: channelId
+  });
+
+  return (data.items || [])[0] || null;
+}
+
+/**
+ * Fetch recent videos for a channel, or an empty list when that fails
+ * @param {string} channelId 
+ * @param {number} maxResults 
+ */
+export async function fetchRecentVideos(channelId, maxResults = 5) {
+  try {
+    const videos = await fetchUploadedVideos(channelId, maxResults);
+    if (videos.length === 0) {
+      console.warn(`No videos found for channel: ${channelId}`);
+    }
+    return videos;
+  } catch (err) {
+    console.error(`Failed to fetch videos for ${channelId}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch top-level comments for a given video ID
+ * @param {string} videoId 
+ * @param {number} maxComments 
+ */
+export async function fetchVideoComments(videoId, maxComments = 20) {
+  try {
+    const data = await youtubeRequest("commentThreads", {
+      part: "snippet",
+      videoId,
+      maxResults: maxComments
+    });
+
+    if (!data.items) {
+      console.warn(`⚠️ No comments found for video: ${videoId}`);
+      return [];
+    }
+
+    return data.items.map(item => 
+      item.snippet.topLevelComment.snippet.textDisplay
+    );
+  } catch (err) {
+    console.error(`❌ Failed to fetch comments for ${videoId}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Sample top-level comments across several videos, most relevant first
+ * @param {string[]} videoIds
+ * @param {number} perVideo - Comments to request per video
+ * @param {number} maxComments - Cap on the combined sample
+ * @returns {Promise<string[]>} Plain-text comments
+ */
+export async function fetchCommentSample(videoIds, perVideo = 20, maxComments = 100) {
+  const comments = [];
+
+  for (const videoId of videoIds) {
+    if (comments.length >= maxComments) break;
+
+    try {
+      const data = await youtubeRequest("commentThreads", {
+        part: "snippet",
+        videoId,
+        order: "relevance",
+        textFormat: "plainText",
+        maxResults: perVideo
+      });
+
+      comments.push(...(data.items || []).map(item =>
+        item.snippet.topLevelComment.snippet.textDisplay
+      ));
+    } catch (err) {
+      // Comments are often disabled; that video just contributes nothing
+      console.warn(`⚠️ No comment sample for video ${videoId}:`, err.message);
+    }
+  }
+
+  return comments.slice(0, maxComments);
+}
+
+/**
+ * The channel's own top-level comments on its videos. The API has no pinned
+ * flag, but a creator comment near the top of the relevance order is almost
+ * always the pinned one. Request params match fetchCommentSample so videos
+ * already sampled for pain points are served from the cache.
+ * @param {string} channelId
+ * @param {string[]} videoIds
+ * @param {number} perVideo
+ * @returns {Promise<Array<{videoId: string, text: string, publishedAt: string}>>}
+ */
+export async function fetchCreatorComments(channelId, videoIds, perVideo = 20) {
+  const comments = [];
+
+  for (const videoId of videoIds) {
+    try {
+      const data = await youtubeRequest("commentThreads", {
+        part: "snippet",
+        videoId,
+        order: "relevance",
+        textFormat: "plainText",
+        maxResults: perVideo
+      });
+
+      for (const item of data.items || []) {
+        const comment = item.snippet.topLevelComment.snippet;
+        if (comment.authorChannelId?.value !== channelId) continue;
+        comments.push({ videoId, text: comment.textDisplay, publishedAt: comment.publishedAt });
+      }
+    } catch (err) {
+      console.warn(`⚠️ No creator comments for video ${videoId}:`, err.message);
+    }
+  }
+
+  return comments;
+}
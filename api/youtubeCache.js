@@ -0,0 +1,197 @@
+// youtubeCache.js
+import { createHash } from "crypto";
+import { readJsonFile, writeJsonFile, deleteJsonFile } from "./dataStore.js";
+import { getQuotaCost } from "./youtubeKeys.js";
+
+const CACHE_DIR = "youtube-cache";
+const INDEX_FILE = `${CACHE_DIR}/index.json`;
+
+const HOUR = 60 * 60 * 1000;
+
+// Default TTL per resource; override with e.g. YOUTUBE_CACHE_TTL_SEARCH=3600 (seconds)
+const DEFAULT_TTLS = {
+  search: 24 * HOUR,
+  channels: 24 * HOUR,
+  videos: 6 * HOUR,
+  playlistItems: 6 * HOUR,
+  commentThreads: 12 * HOUR,
+  channelSections: 24 * HOUR
+};
+
+export const CACHE_TTLS = Object.fromEntries(
+  Object.entries(DEFAULT_TTLS).map(([resource, ttl]) => {
+    const override = parseInt(process.env[`YOUTUBE_CACHE_TTL_${resource.toUpperCase()}`]);
+    return [resource, Number.isFinite(override) ? override * 1000 : ttl];
+  })
+);
+
+/**
+ * Index of cached entries, persisted next to them:
+ * { [cacheKey]: { resource, channelIds, storedAt, expiresAt, bytes } }
+ */
+let index = (await readJsonFile(INDEX_FILE, {})) || {};
+let indexSaveTimer = null;
+
+// Counters since process start
+const stats = {
+  startedAt: new Date().toISOString(),
+  byResource: {}
+};
+
+function resourceStats(resource) {
+  if (!stats.byResource[resource]) {
+    stats.byResource[resource] = { hits: 0, misses: 0, quotaUnitsSaved: 0 };
+  }
+  return stats.byResource[resource];
+}
+
+function scheduleIndexSave() {
+  if (indexSaveTimer) return;
+  indexSaveTimer = setTimeout(() => {
+    indexSaveTimer = null;
+    writeJsonFile(INDEX_FILE, index).catch(err => {
+      console.error("❌ Failed to save YouTube cache index:", err.message);
+    });
+  }, 1000);
+}
+
+function entryFile(cacheKey) {
+  return `${CACHE_DIR}/${cacheKey}.json`;
+}
+
+export function isCacheable(resource) {
+  return resource in CACHE_TTLS && CACHE_TTLS[resource] > 0;
+}
+
+function cacheKeyFor(resource, params) {
+  const sorted = Object.keys(params).sort().map(k => [k, String(params[k])]);
+  return createHash("sha1").update(`${resource}:${JSON.stringify(sorted)}`).digest("hex");
+}
+
+// Every channel a cached response is about, so it can be invalidated per channel
+function collectChannelIds(resource, params, data) {
+  const ids = new Set();
+
+  if (params.channelId) ids.add(params.channelId);
+  // Uploads playlists ("UU...") belong to the matching "UC..." channel
+  if (params.playlistId?.startsWith("UU")) ids.add(`UC${params.playlistId.slice(2)}`);
+  if (resource === "channels" && params.id) {
+    params.id.split(",").forEach(id => ids.add(id));
+  }
+
+  for (const item of data.items || []) {
+    if (resource === "channels" && item.id) ids.add(item.id);
+    if (item.id?.channelId) ids.add(item.id.channelId);
+    if (item.snippet?.channelId) ids.add(item.snippet.channelId);
+  }
+
+  return [...ids];
+}
+
+async function removeEntry(cacheKey) {
+  delete index[cacheKey];
+  await deleteJsonFile(entryFile(cacheKey));
+}
+
+/**
+ * Return a cached response, or null on a miss or an expired entry
+ * @param {string} resource
+ * @param {Object} params
+ */
+export async function getCachedResponse(resource, params) {
+  const cacheKey = cacheKeyFor(resource, params);
+  const meta = index[cacheKey];
+  const counters = resourceStats(resource);
+
+  if (!meta || meta.expiresAt <= Date.now()) {
+    if (meta) {
+      await removeEntry(cacheKey);
+      scheduleIndexSave();
+    }
+    counters.misses++;
+    return null;
+  }
+
+  const entry = await readJsonFile(entryFile(cacheKey));
+  if (!entry) {
+    delete index[cacheKey];
+    scheduleIndexSave();
+    counters.misses++;
+    return null;
+  }
+
+  counters.hits++;
+  counters.quotaUnitsSaved += getQuotaCost(resource);
+  return entry.data;
+}
+
+/**
+ * Store a successful API response
+ * @param {string} resource
+ * @param {Object} params
+ * @param {Object} data
+ */
+export async function setCachedResponse(resource, params, data) {
+  const cacheKey = cacheKeyFor(resource, params);
+  const storedAt = Date.now();
+  const body = { resource, params, data };
+
+  await writeJsonFile(entryFile(cacheKey), body);
+
+  index[cacheKey] = {
+    resource,
+    channelIds: collectChannelIds(resource, params, data),
+    storedAt,
+    expiresAt: storedAt + CACHE_TTLS[resource],
+    bytes: JSON.stringify(data).length
+  };
+  scheduleIndexSave();
+}
+
+/**
+ * Drop cached responses. With a channelId only entries about that channel go.
+ * @param {Object} [options]
+ * @param {string} [options.channelId]
+ * @param {string} [options.resource]
+ * @returns {Promise<number>} Entries removed
+ */
+export async function clearYouTubeCache({ channelId, resource } = {}) {
+  const keys = Object.entries(index)
+    .filter(([, meta]) => !channelId || meta.channelIds.includes(channelId))
+    .filter(([, meta]) => !resource || meta.resource === resource)
+    .map(([cacheKey]) => cacheKey);
+
+  for (const cacheKey of keys) {
+    await removeEntry(cacheKey);
+  }
+  scheduleIndexSave();
+
+  return keys.length;
+}
+
+export function getYouTubeCacheStats() {
+  const now = Date.now();
+  const entries = {};
+
+  for (const meta of Object.values(index)) {
+    const summary = entries[meta.resource] || (entries[meta.resource] = { entries: 0, expired: 0, bytes: 0 });
+    summary.entries++;
+    summary.bytes += meta.bytes || 0;
+    if (meta.expiresAt <= now) summary.expired++;
+  }
+
+  const totals = Object.values(stats.byResource).reduce((sum, r) => ({
+    hits: sum.hits + r.hits,
+    misses: sum.misses + r.misses,
+    quotaUnitsSaved: sum.quotaUnitsSaved + r.quotaUnitsSaved
+  }), { hits: 0, misses: 0, quotaUnitsSaved: 0 });
+
+  return {
+    ttlSeconds: Object.fromEntries(Object.entries(CACHE_TTLS).map(([r, ttl]) => [r, ttl / 1000])),
+    since: stats.startedAt,
+    ...totals,
+    hitRate: totals.hits + totals.misses > 0 ? totals.hits / (totals.hits + totals.misses) : 0,
+    byResource: stats.byResource,
+    stored: entries
+  };
+}
@@ -0,0 +1,171 @@
+// youtubeKeys.js
+import { readJsonFile, writeJsonFile } from "./dataStore.js";
+
+export const YOUTUBE_API_KEYS = process.env.YOUTUBE_API_KEY
+  ? process.env.YOUTUBE_API_KEY.split(',').map(k => k.trim()).filter(k => k.length > 0)
+  : [];
+
+// Default project quota is 10,000 units/day per key
+const DAILY_QUOTA_UNITS = parseInt(process.env.YOUTUBE_DAILY_QUOTA) || 10000;
+
+// Unit cost per resource (list calls). Anything not listed costs 1 unit.
+export const QUOTA_COSTS = {
+  search: 100,
+  channels: 1,
+  videos: 1,
+  playlistItems: 1,
+  commentThreads: 1,
+  channelSections: 1
+};
+
+const QUOTA_FILE = "youtube-quota.json";
+const PACIFIC_TZ = "America/Los_Angeles";
+
+/**
+ * Per-key usage for the current Pacific day:
+ * { [key]: { day, unitsUsed, benchedUntil } }
+ */
+let usage = (await readJsonFile(QUOTA_FILE, {})) || {};
+let saveTimer = null;
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeJsonFile(QUOTA_FILE, usage).catch(err => {
+      console.error("❌ Failed to save YouTube quota usage:", err.message);
+    });
+  }, 1000);
+}
+
+function pacificParts(date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: PACIFIC_TZ,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts.filter(p => p.type !== "literal").map(p => [p.type, parseInt(p.value)]));
+}
+
+function pacificDay(date = new Date()) {
+  const { year, month, day } = pacificParts(date);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * The instant quotas reset: the next midnight in Pacific time (DST-aware)
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export function nextPacificMidnight(from = new Date()) {
+  const { year, month, day } = pacificParts(from);
+
+  // Pacific offset from UTC at a given instant, in ms (negative)
+  const offsetAt = instant => {
+    const p = pacificParts(instant);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+  };
+
+  const midnightAsUtc = Date.UTC(year, month - 1, day + 1);
+  const guess = new Date(midnightAsUtc - offsetAt(from));
+  return new Date(midnightAsUtc - offsetAt(guess));
+}
+
+function getKeyUsage(key) {
+  const today = pacificDay();
+  let entry = usage[key];
+
+  // New Pacific day: quota has been reset
+  if (!entry || entry.day !== today) {
+    entry = { day: today, unitsUsed: 0, benchedUntil: null };
+    usage[key] = entry;
+  }
+
+  if (entry.benchedUntil && new Date(entry.benchedUntil) <= new Date()) {
+    entry.benchedUntil = null;
+  }
+
+  return entry;
+}
+
+export function getQuotaCost(resource) {
+  return QUOTA_COSTS[resource] || 1;
+}
+
+/**
+ * Pick the key with the most remaining budget that can afford this call
+ * @param {number} cost - Units the call will consume
+ * @param {string[]} [exclude] - Keys already tried for this call
+ * @returns {string|null}
+ */
+export function acquireYouTubeKey(cost, exclude = []) {
+  let best = null;
+  let bestRemaining = -1;
+
+  for (const key of YOUTUBE_API_KEYS) {
+    if (exclude.includes(key)) continue;
+
+    const entry = getKeyUsage(key);
+    if (entry.benchedUntil) continue;
+
+    const remaining = DAILY_QUOTA_UNITS - entry.unitsUsed;
+    if (remaining >= cost && remaining > bestRemaining) {
+      best = key;
+      bestRemaining = remaining;
+    }
+  }
+
+  return best;
+}
+
+export function recordYouTubeUsage(key, cost) {
+  getKeyUsage(key).unitsUsed += cost;
+  scheduleSave();
+}
+
+/**
+ * Take a key out of rotation until the Pacific-midnight quota reset
+ * @param {string} key
+ * @param {string} reason - Reason reported by the API (e.g. quotaExceeded)
+ */
+export function benchYouTubeKey(key, reason) {
+  const entry = getKeyUsage(key);
+  entry.benchedUntil = nextPacificMidnight().toISOString();
+  entry.benchReason = reason;
+  entry.unitsUsed = Math.max(entry.unitsUsed, DAILY_QUOTA_UNITS);
+  scheduleSave();
+
+  console.warn(`⚠️ YouTube key ...${key.slice(-4)} benched until ${entry.benchedUntil} (${reason})`);
+}
+
+/**
+ * Per-key quota report. Keys are masked to their last 4 characters.
+ */
+export function getYouTubeKeysStatus() {
+  const keys = YOUTUBE_API_KEYS.map((key, index) => {
+    const entry = getKeyUsage(key);
+    return {
+      index,
+      key: `...${key.slice(-4)}`,
+      unitsUsed: entry.unitsUsed,
+      remaining: Math.max(DAILY_QUOTA_UNITS - entry.unitsUsed, 0),
+      dailyLimit: DAILY_QUOTA_UNITS,
+      available: !entry.benchedUntil && entry.unitsUsed < DAILY_QUOTA_UNITS,
+      benchedUntil: entry.benchedUntil,
+      benchReason: entry.benchedUntil ? entry.benchReason || null : null
+    };
+  });
+
+  return {
+    keys,
+    totalRemaining: keys.reduce((sum, k) => sum + (k.available ? k.remaining : 0), 0),
+    resetsAt: nextPacificMidnight().toISOString()
+  };
+}
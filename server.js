@@ -4,56 +4,89 @@ import bodyParser from "body-parser";
 import path from "path";
 import { fileURLToPath } from "url";
 import { generatePersonalizedOutreach } from "./api/generatePersonalizedOutreach.js";
-import { ApifyClient } from 'apify-client';
-
-// Dynamic imports for puppeteer to handle cloud deployment issues
-let puppeteer;
-let StealthPlugin;
-
-try {
-  const puppeteerExtra = await import("puppeteer-extra");
-  const stealthPlugin = await import("puppeteer-extra-plugin-stealth");
-  puppeteer = puppeteerExtra.default;
-  StealthPlugin = stealthPlugin.default;
-  puppeteer.use(StealthPlugin());
-  console.log("✅ Puppeteer loaded successfully");
-} catch (error) {
-  console.warn("⚠️ Puppeteer failed to load:", error.message);
-  // Try fallback to regular puppeteer
-  try {
-    puppeteer = await import("puppeteer");
-    puppeteer = puppeteer.default;
-    console.log("✅ Fallback to regular Puppeteer successful");
-  } catch (fallbackError) {
-    console.error("❌ All Puppeteer options failed:", fallbackError.message);
-    puppeteer = null;
-  }
-}
+import { generateSearchQueries } from "./api/generateSearchQueries.js";
+import { scoreAudienceMatch } from "./api/scoreAudienceMatch.js";
+import { analyzePainPoints } from "./api/analyzePainPoints.js";
+import { isLlmConfigured, getLlmConfig, getLlmUsage } from "./api/llm.js";
+import {
+  OUTREACH_TONES,
+  listOutreachTemplates,
+  getOutreachTemplate,
+  createOutreachTemplate,
+  updateOutreachTemplate,
+  deleteOutreachTemplate
+} from "./api/outreachTemplates.js";
+import { YOUTUBE_API_KEYS, QUOTA_COSTS, getYouTubeKeysStatus } from "./api/youtubeKeys.js";
+import { youtubeRequest, fetchRecentVideos, fetchVideoComments, fetchCommentSample } from "./api/youtube.js";
+import { getYouTubeCacheStats, clearYouTubeCache } from "./api/youtubeCache.js";
+import { APIFY_API_TOKENS, getApifyStatus } from "./api/apifyEmails.js";
+import { createApifyEmailJob, getApifyEmailJob, cancelApifyEmailJob, summarizeApifyJob } from "./api/apifyJobs.js";
+import {
+  isPuppeteerAvailable,
+  resolveScraperMethod,
+  scrapeChannelAbout,
+  getScraperPoolStatus,
+  closeScraperPool
+} from "./api/aboutScraper.js";
+import { normalizeSearchParams } from "./api/searchPipeline.js";
+import { REJECTION_REASONS, summarizeRejections } from "./api/channelFilters.js";
+import { parseImportList } from "./api/channelImport.js";
+import {
+  createSearchJob,
+  getSearchJob,
+  listSearchJobs,
+  cancelSearchJob,
+  resumeSearchJob,
+  subscribeToSearchJob,
+  summarizeJob
+} from "./api/searchJobs.js";
+import { LEAD_STATUSES, listLeads, getLead, updateLead } from "./api/leadStore.js";
+import {
+  SCORING_SIGNALS,
+  listScoringProfiles,
+  getScoringProfile,
+  createScoringProfile,
+  updateScoringProfile,
+  deleteScoringProfile
+} from "./api/channelScoring.js";
+import {
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch,
+  listSavedSearchRuns,
+  getSavedSearchRunDiff,
+  startSavedSearchScheduler
+} from "./api/savedSearches.js";
+import {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  emitWebhookEvent,
+  resumeWebhookDeliveries
+} from "./api/webhooks.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  EXPORT_PRESETS,
+  resolveExportColumns,
+  exportSearchResults
+} from "./api/exportResults.js";
 
 // Environment variables
-const YOUTUBE_API_KEYS = process.env.YOUTUBE_API_KEY 
-  ? process.env.YOUTUBE_API_KEY.split(',').map(k => k.trim()).filter(k => k.length > 0)
-  : [];
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 
-const APIFY_API_TOKENS = process.env.APIFY_API_TOKENS 
-  ? process.env.APIFY_API_TOKENS.split(',').map(k => k.trim()).filter(k => k.length > 0)
-  : [];
-
 console.log(`✅ Apify API Tokens loaded: ${APIFY_API_TOKENS.length} tokens`);
 
-// Add rotation counter
-let currentApifyTokenIndex = -1;
-
-// Add rotation function
-function getNextApifyToken() {
-  if (APIFY_API_TOKENS.length === 0) return null;
-  currentApifyTokenIndex = (currentApifyTokenIndex + 1) % APIFY_API_TOKENS.length;
-  return APIFY_API_TOKENS[currentApifyTokenIndex];
-}
-
 console.log(`✅ YouTube API Keys loaded: ${YOUTUBE_API_KEYS.length} keys`);
 console.log(`✅ OpenAI API Key loaded: ${!!OPENAI_API_KEY}`);
+console.log(`✅ LLM provider: ${getLlmConfig().provider} (${getLlmConfig().model}), available: ${isLlmConfigured(OPENAI_API_KEY)}`);
 
 const app = express();
 
@@ -62,6 +95,11 @@ app.use(cors());
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
+// Express 4 does not see rejected promises from async handlers; hand them to the error middleware
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
 // For ES modules (__dirname fix)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -71,7 +109,8 @@ app.get("/api/health", (req, res) => {
   res.json({ 
     status: "ok", 
     message: "Server is running 🚀",
-    puppeteerAvailable: !!puppeteer,
+    puppeteerAvailable: isPuppeteerAvailable(),
+    scraperPool: getScraperPoolStatus(),
     nodeVersion: process.version,
     platform: process.platform
   });
@@ -82,254 +121,80 @@ app.get("/api/keys-status", (req, res) => {
   res.json({
     youtubeKeysAvailable: YOUTUBE_API_KEYS.length > 0,
     youtubeKeysCount: YOUTUBE_API_KEYS.length,
-    openaiKeyAvailable: !!OPENAI_API_KEY
+    youtubeQuota: getYouTubeKeysStatus(),
+    openaiKeyAvailable: !!OPENAI_API_KEY,
+    llmAvailable: isLlmConfigured(OPENAI_API_KEY),
+    llm: getLlmConfig()
   });
 });
 
+// LLM token usage and request counts since the server started
+app.get("/api/llm/usage", (req, res) => {
+  res.json({ success: true, usage: getLlmUsage() });
+});
+
 app.get("/api/apify-status", (req, res) => {
   res.json({
     apifyAvailable: APIFY_API_TOKENS.length > 0,
-    apifyTokensCount: APIFY_API_TOKENS.length
+    apifyTokensCount: APIFY_API_TOKENS.length,
+    ...getApifyStatus()
   });
 });
 
-// Provide YouTube API keys for frontend
-app.get("/api/youtube-keys", (req, res) => {
-  if (YOUTUBE_API_KEYS.length === 0) {
-    return res.status(503).json({ error: "No YouTube API keys configured" });
+// YouTube Data API proxy: the browser never sees keys; calls go through the quota-aware pool
+app.get("/api/youtube/:resource", asyncHandler(async (req, res) => {
+  const { resource } = req.params;
+  if (!Object.keys(QUOTA_COSTS).includes(resource)) {
+    return res.status(400).json({ error: `Unsupported YouTube resource: ${resource}` });
   }
-  res.json({ keys: YOUTUBE_API_KEYS });
-});
-
-// --- Enhanced scraper helper ---
-async function extractContactInfoFromPage(page) {
-  const result = await page.evaluate(() => {
-    const uniq = arr => [...new Set(arr.filter(Boolean))];
-
-    // Email regex
-    const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-    const pageText = document.body ? document.body.innerText : "";
-    const emails = (pageText.match(emailRegex) || []).map(e => e.toLowerCase());
-
-    // Enhanced business inquiry detection
-    const hasBusinessInquiry = (() => {
-      try {
-        // Check for business inquiry buttons/text
-        const businessTexts = [
-          'business inquir', 'business email', 'business contact',
-          'press inquir', 'media inquir', 'collaboration', 'partnership',
-          'sponsor', 'brand deal', 'work with me', 'business@', 'contact@'
-        ];
-        
-        const pageTextLower = pageText.toLowerCase();
-        const hasBusinessText = businessTexts.some(text => pageTextLower.includes(text));
-        
-        // Check for mailto links
-        const mailtoLinks = Array.from(document.querySelectorAll('a[href^="mailto:"]')).length > 0;
-        
-        // Check for business inquiry buttons
-        const businessButtons = Array.from(document.querySelectorAll("button, a, tp-yt-paper-button"))
-          .some(el => {
-            const text = (el.innerText || '').toLowerCase();
-            return text.includes("business") || text.includes("inquiry") || text.includes("contact");
-          });
-
-        return hasBusinessText || mailtoLinks || businessButtons || emails.length > 0;
-      } catch {
-        return emails.length > 0; // Fallback to email presence
-      }
-    })();
-
-    // Collect all links from various sources
-    const allLinks = [];
-
-    // Regular anchor links
-    const anchors = Array.from(document.querySelectorAll("a[href]"))
-      .map(a => a.href)
-      .filter(Boolean);
-    allLinks.push(...anchors);
-
-    // External links from YouTube's custom sections
-    const externalLinks = Array.from(document.querySelectorAll([
-      '.yt-channel-external-link-view-model-wiz__container a',
-      '[data-target-new-window="true"]',
-      '.about-stats__item a',
-      '.channel-header-links a'
-    ].join(', ')))
-      .map(a => a.href)
-      .filter(Boolean);
-    allLinks.push(...externalLinks);
-
-    // JSON-LD structured data
-    const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
-      .map(s => {
-        try {
-          return JSON.parse(s.textContent);
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean);
-
-    let sameAsLinks = [];
-    jsonLd.forEach(obj => {
-      if (Array.isArray(obj)) {
-        obj.forEach(o => {
-          if (o.sameAs) sameAsLinks = sameAsLinks.concat(Array.isArray(o.sameAs) ? o.sameAs : [o.sameAs]);
-        });
-      } else if (obj.sameAs) {
-        sameAsLinks = sameAsLinks.concat(Array.isArray(obj.sameAs) ? obj.sameAs : [obj.sameAs]);
-      }
-    });
-    allLinks.push(...sameAsLinks);
-
-    // Categorize links
-    const social = {};
-    const websites = [];
-    const otherLinks = [];
-
-    const classify = href => {
-      try {
-        const url = new URL(href);
-        const host = url.hostname.replace(/^www\./, "").toLowerCase();
-        
-        // Social media classification
-        if (host.includes("instagram.com") || host === "instagr.am") return "instagram";
-        if (host.includes("twitter.com") || host === "x.com") return "twitter";
-        if (host.includes("facebook.com") || host === "fb.com" || host === "fb.me") return "facebook";
-        if (host.includes("tiktok.com")) return "tiktok";
-        if (host.includes("linkedin.com")) return "linkedin";
-        if (host.includes("patreon.com")) return "patreon";
-        if (host.includes("ko-fi.com")) return "kofi";
-        if (host.includes("buymeacoffee.com")) return "buymeacoffee";
-        if (host.includes("discord.gg") || host.includes("discord.com")) return "discord";
-        if (host.includes("twitch.tv")) return "twitch";
-        if (host.includes("reddit.com")) return "reddit";
-        if (host.includes("pinterest.com")) return "pinterest";
-        if (host.includes("snapchat.com")) return "snapchat";
-        if (host.includes("threads.net")) return "threads";
-        if (host.includes("onlyfans.com")) return "onlyfans";
-        if (host.includes("substack.com")) return "substack";
-        if (host.includes("medium.com")) return "medium";
-        if (host.includes("github.com")) return "github";
-        if (host.includes("telegram.me") || host === "t.me") return "telegram";
-        
-        // Ignore YouTube and CDN links
-        if (
-          host.includes("youtube.com") ||
-          host.includes("youtu.be") ||
-          host.includes("ytimg.com") ||
-          host.includes("googleusercontent.com") ||
-          host.includes("ggpht.com")
-        ) {
-          return "ignore";
-        }
-        
-        return "website";
-      } catch {
-        return "other";
-      }
-    };
-
-    // Process all unique links
-    const uniqueLinks = uniq(allLinks);
-    uniqueLinks.forEach(href => {
-      const type = classify(href);
-      if (type === "ignore") return;
-      if (type === "website") {
-        websites.push(href);
-      } else if (type === "other") {
-        otherLinks.push(href);
-      } else if (type && !social[type]) {
-        social[type] = href; // Only set if not already found
-      }
-    });
 
-    return {
-      emails: uniq(emails),
-      social,
-      websites: uniq(websites),
-      otherLinks: uniq(otherLinks),
-      hasBusinessInquiry,
-      totalLinksFound: uniqueLinks.length,
-      socialLinksFound: Object.keys(social).length
-    };
-  });
+  const { key, nocache, ...params } = req.query;
 
-  return result;
-}
-
-/**
- * Fetch recent videos for a channel
- * @param {string} channelId 
- * @param {string} apiKey 
- * @param {number} maxResults 
- */
-async function fetchRecentVideos(channelId, apiKey, maxResults = 5) {
   try {
-    const url = `https://www.googleapis.com/youtube/v3/search?part=snippet&channelId=${channelId}&type=video&order=date&maxResults=${maxResults}&key=${apiKey}`;
-    const resp = await fetch(url);
-    const data = await resp.json();
-
-    if (!data.items) {
-      console.warn(`No videos found for channel: ${channelId}`);
-      return [];
-    }
-
-    return data.items;
+    res.json(await youtubeRequest(resource, params, { cache: nocache === undefined }));
   } catch (err) {
-    console.error(`Failed to fetch videos for ${channelId}:`, err.message);
-    return [];
+    console.error(`❌ YouTube proxy ${resource} failed:`, err.message);
+    res.status(err.status || 500).json({ error: err.message });
   }
-}
+}));
 
-/**
- * Fetch top-level comments for a given video ID
- * @param {string} videoId 
- * @param {string} apiKey 
- * @param {number} maxComments 
- */
-async function fetchVideoComments(videoId, apiKey, maxComments = 20) {
-  try {
-    const url = `https://www.googleapis.com/youtube/v3/commentThreads?part=snippet&videoId=${videoId}&maxResults=${maxComments}&key=${apiKey}`;
-    const resp = await fetch(url);
-    const data = await resp.json();
+// --- YouTube response cache ---
+app.get("/api/youtube-cache/stats", (req, res) => {
+  res.json({ success: true, stats: getYouTubeCacheStats() });
+});
 
-    if (!data.items) {
-      console.warn(`⚠️ No comments found for video: ${videoId}`);
-      return [];
-    }
+// Clear everything, or only entries for ?channelId= and/or ?resource=
+app.delete("/api/youtube-cache", asyncHandler(async (req, res) => {
+  const { channelId, resource } = req.query;
 
-    return data.items.map(item => 
-      item.snippet.topLevelComment.snippet.textDisplay
-    );
+  try {
+    const removed = await clearYouTubeCache({ channelId, resource });
+    console.log(`🧹 Cleared ${removed} YouTube cache entries${channelId ? ` for ${channelId}` : ""}`);
+    res.json({ success: true, removed });
   } catch (err) {
-    console.error(`❌ Failed to fetch comments for ${videoId}:`, err.message);
-    return [];
+    res.status(500).json({ success: false, error: err.message });
   }
-}
+}));
 
 // --- New pipeline: fetch videos + comments for outreach ---
-app.get("/api/channel-data", async (req, res) => {
+app.get("/api/channel-data", asyncHandler(async (req, res) => {
   const { channelId } = req.query;
   if (!channelId) return res.status(400).json({ error: "Missing channelId" });
   if (YOUTUBE_API_KEYS.length === 0) return res.status(503).json({ error: "No YouTube API keys available" });
 
-  const apiKey = YOUTUBE_API_KEYS[Math.floor(Math.random() * YOUTUBE_API_KEYS.length)];
-
   try {
-    const videos = await fetchRecentVideos(channelId, apiKey, 5);
+    const videos = await fetchRecentVideos(channelId, 5);
 
     const recentVideos = [];
     let recentComments = [];
 
     for (const v of videos) {
       recentVideos.push({
-        title: v.snippet.title,
-        description: v.snippet.description
+        title: v.title,
+        description: v.description
       });
 
-      const comments = await fetchVideoComments(v.id.videoId, apiKey, 10);
+      const comments = await fetchVideoComments(v.id, 10);
       recentComments.push(...comments);
     }
 
@@ -346,17 +211,49 @@ app.get("/api/channel-data", async (req, res) => {
     console.error("❌ Channel data fetch failed:", err.message);
     res.status(500).json({ success: false, error: err.message });
   }
-});
+}));
+
+// --- Audience pain points: recurring questions, complaints and requests in comments ---
+app.get("/api/channel-pain-points", asyncHandler(async (req, res) => {
+  const { channelId } = req.query;
+  if (!channelId) return res.status(400).json({ success: false, error: "Missing channelId" });
+  if (YOUTUBE_API_KEYS.length === 0) return res.status(503).json({ success: false, error: "No YouTube API keys available" });
+
+  const videoCount = Math.min(Math.max(parseInt(req.query.videos) || 5, 1), 10);
+  const maxComments = Math.min(Math.max(parseInt(req.query.maxComments) || 100, 10), 200);
+
+  try {
+    const videos = await fetchRecentVideos(channelId, videoCount);
+    const comments = await fetchCommentSample(
+      videos.map(v => v.id),
+      Math.ceil(maxComments / Math.max(videos.length, 1)),
+      maxComments
+    );
+
+    const analysis = await analyzePainPoints(comments, {
+      channelName: videos[0]?.channelTitle,
+      openaiApiKey: OPENAI_API_KEY
+    });
+
+    res.json({ success: true, channelId, videosSampled: videos.length, ...analysis });
+  } catch (err) {
+    console.error("❌ Pain-point analysis failed:", err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
 
 // --- Enhanced Scrape About Page ---
-app.get("/api/scrape-about", async (req, res) => {
+app.get("/api/scrape-about", asyncHandler(async (req, res) => {
   const { channelId } = req.query;
   if (!channelId) return res.status(400).json({ error: "Missing channelId" });
 
-  // Check if puppeteer is available
-  if (!puppeteer) {
-    return res.status(503).json({ 
-      error: "Puppeteer not available in this environment",
+  // Without a browser the scraper falls back to plain HTTP; `method` says which ran
+  try {
+    const result = await scrapeChannelAbout(channelId);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ 
+      error: err.message, 
       channelId,
       success: false,
       emails: [],
@@ -366,170 +263,81 @@ app.get("/api/scrape-about", async (req, res) => {
       hasBusinessInquiry: false
     });
   }
+}));
 
-  let browser;
-  try {
-    console.log(`Starting scrape for channel: ${channelId}`);
-    
-    // Cloud-optimized browser launch with Chromium executable detection
-    const launchOptions = {
-      headless: "new",
-      args: [
-        "--no-sandbox", 
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-accelerated-2d-canvas",
-        "--no-first-run",
-        "--no-zygote",
-        "--disable-gpu",
-        "--disable-background-timer-throttling",
-        "--disable-backgrounding-occluded-windows",
-        "--disable-renderer-backgrounding",
-        "--disable-features=TranslateUI",
-        "--disable-ipc-flooding-protection"
-      ],
-      timeout: 60000
-    };
-
-    // Dynamically find Chrome in Puppeteer cache
-    const fs = await import('fs');
-    let foundChrome = false;
+// --- Batch About-page scraping ---
+// Streams one NDJSON line per channel as soon as its scrape finishes, then a final "done" line.
+const MAX_BATCH_CHANNELS = 200;
 
-    // First, try to scan the puppeteer cache directory for ANY chrome version
-    const puppeteerCachePath = '/opt/render/.cache/puppeteer/chrome';
-    try {
-      if (fs.existsSync(puppeteerCachePath)) {
-        const versions = fs.readdirSync(puppeteerCachePath);
-        console.log(`📁 Found Chrome versions in cache:`, versions);
-    
-        // Sort versions to get the latest
-        const sortedVersions = versions.sort().reverse();
-    
-        for (const version of sortedVersions) {
-          const chromePath = `${puppeteerCachePath}/${version}/chrome-linux64/chrome`;
-          if (fs.existsSync(chromePath)) {
-            launchOptions.executablePath = chromePath;
-            console.log(`✅ Found Chromium at: ${chromePath}`);
-            foundChrome = true;
-            break;
-          }
-        }
-      }
-    } catch (err) {
-      console.warn('Could not scan puppeteer cache:', err.message);
-    }
-
-    // Fallback to system Chrome if not found in cache
-    if (!foundChrome) {
-      const systemPaths = [
-        '/usr/bin/chromium-browser',
-        '/usr/bin/chromium',
-        '/usr/bin/google-chrome',
-        '/usr/bin/google-chrome-stable',
-        process.env.PUPPETEER_EXECUTABLE_PATH
-      ].filter(Boolean);
-  
-      for (const path of systemPaths) {
-        try {
-          if (fs.existsSync(path)) {
-            launchOptions.executablePath = path;
-            console.log(`✅ Found system Chrome at: ${path}`);
-            foundChrome = true;
-            break;
-          }
-        } catch (e) {
-          console.warn(`Failed to check path ${path}:`, e.message);
-        }
-      }
-    }
-
-    // If still no executable found, throw error
-    if (!foundChrome) {
-      console.error('❌ No Chromium executable found anywhere');
-      throw new Error('Chromium executable not found. Please ensure build command ran successfully.');
-    }
-
-    browser = await puppeteer.launch(launchOptions);
-    
-    const page = await browser.newPage();
-    
-    // Set realistic user agent and viewport
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-    );
-    await page.setViewport({ width: 1920, height: 1080 });
-
-    const url = `https://www.youtube.com/channel/${channelId}/about`;
-    console.log(`Navigating to: ${url}`);
-    
-    // Navigate with timeout
-    await page.goto(url, { 
-      waitUntil: "networkidle2", 
-      timeout: 30000 
-    });
+app.post("/api/scrape-about/batch", asyncHandler(async (req, res) => {
+  const { channelIds } = req.body;
+  if (!Array.isArray(channelIds) || channelIds.length === 0) {
+    return res.status(400).json({ error: "No channelIds provided" });
+  }
 
-    // Wait for dynamic content
-    await page.waitForTimeout(2000);
+  const uniqueIds = [...new Set(channelIds.filter(id => typeof id === "string" && id.trim()).map(id => id.trim()))];
+  if (uniqueIds.length > MAX_BATCH_CHANNELS) {
+    return res.status(400).json({ error: `At most ${MAX_BATCH_CHANNELS} channels per batch` });
+  }
 
-    // Check if page loaded correctly
-    const title = await page.title();
-    console.log(`Page title: ${title}`);
-    
-    if (title.includes('404') || title.includes('not found')) {
-      throw new Error('Channel not found or About page not accessible');
-    }
+  res.set({
+    "Content-Type": "application/x-ndjson",
+    "Cache-Control": "no-cache",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
 
-    // Extract contact information
-    const contacts = await extractContactInfoFromPage(page);
-    
-    console.log(`✅ Scrape results for ${channelId}:`, {
-      emailsFound: contacts.emails.length,
-      websitesFound: contacts.websites.length,
-      socialLinksFound: contacts.socialLinksFound,
-      totalLinksFound: contacts.totalLinksFound,
-      hasBusinessInquiry: contacts.hasBusinessInquiry
-    });
+  // Stop queued scrapes if the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-    await browser.close();
+  const writeLine = obj => {
+    if (!res.writableEnded) res.write(JSON.stringify(obj) + "\n");
+  };
 
-    res.json({ 
-      channelId, 
-      aboutUrl: url,
-      success: true,
-      ...contacts 
-    });
+  console.log(`🚀 Batch scrape started for ${uniqueIds.length} channels`);
+  let succeeded = 0;
+  let failed = 0;
 
-  } catch (err) {
-    console.error(`❌ Error scraping channel ${channelId}:`, err.message);
-    
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeErr) {
-        console.error("Error closing browser:", closeErr.message);
-      }
+  await Promise.all(uniqueIds.map(async channelId => {
+    try {
+      const result = await scrapeChannelAbout(channelId, { signal: controller.signal });
+      succeeded++;
+      writeLine({ type: "result", ...result });
+    } catch (err) {
+      failed++;
+      writeLine({
+        type: "result",
+        error: err.message,
+        channelId,
+        success: false,
+        emails: [],
+        social: {},
+        websites: [],
+        otherLinks: [],
+        hasBusinessInquiry: false
+      });
     }
+  }));
 
-    res.status(500).json({ 
-      error: err.message, 
-      channelId,
-      success: false,
-      emails: [],
-      social: {},
-      websites: [],
-      otherLinks: [],
-      hasBusinessInquiry: false
-    });
-  }
-});
+  writeLine({ type: "done", total: uniqueIds.length, succeeded, failed });
+  res.end();
+}));
 
 // Updated outreach endpoint with comments support
-app.post("/api/outreach", async (req, res) => {
+app.post("/api/outreach", asyncHandler(async (req, res) => {
   try {
-    const { channelName, description, recentVideos, recentComments, ownerName } = req.body;
+    const { channelName, description, recentVideos, recentComments, painPoints, ownerName, templateId, followUps, variants } = req.body;
 
-    console.log(`🚀 Outreach request for: ${channelName}`);
-    console.log(`Using server-side OpenAI key: ${!!OPENAI_API_KEY}`);
+    const template = await getOutreachTemplate(templateId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: "Outreach template not found" });
+    }
+
+    console.log(`🚀 Outreach request for: ${channelName} (template: ${template.name})`);
+    console.log(`LLM available: ${isLlmConfigured(OPENAI_API_KEY)}`);
     console.log(`Comments provided: ${Array.isArray(recentComments) ? recentComments.length : 0}`);
 
     const outreach = await generatePersonalizedOutreach({
@@ -537,14 +345,27 @@ app.post("/api/outreach", async (req, res) => {
       description,
       recentVideos: recentVideos || [],
       recentComments: recentComments || [], 
+      painPoints: Array.isArray(painPoints) ? painPoints : [],
       ownerName: ownerName || "",
+      template,
+      followUps: followUps !== undefined ? Math.min(Math.max(parseInt(followUps) || 0, 0), 5) : undefined,
+      variants: variants !== undefined ? Math.min(Math.max(parseInt(variants) || 1, 1), 5) : undefined,
       openaiApiKey: OPENAI_API_KEY  // Use server-side key
     });
 
-    console.log(`✅ Outreach result for ${channelName}:`, outreach);
+    console.log(`✅ Outreach result for ${channelName}:`, outreach.subjectLine);
 
     res.json({
       success: true,
+      templateId: template.id,
+      subject: outreach.subjectLine,
+      opener: outreach.firstLine,
+      body: outreach.body,
+      followUps: outreach.followUps,
+      variants: outreach.variants,
+      source: outreach.source,
+      fallbackReason: outreach.fallbackReason,
+      usage: outreach.usage,
       aiSubjectLine: outreach.subjectLine,
       aiFirstLine: outreach.firstLine
     });
@@ -557,78 +378,581 @@ app.post("/api/outreach", async (req, res) => {
       aiFirstLine: ""
     });
   }
-});
+}));
 
-// --- New endpoint for Apify bulk email extraction ---
-app.post("/api/extract-emails-bulk", async (req, res) => {
-  const { channelUrls } = req.body;
-  
-  if (!channelUrls || !Array.isArray(channelUrls) || channelUrls.length === 0) {
-    return res.status(400).json({ error: "No channel URLs provided" });
+// --- Outreach templates ---
+app.get("/api/outreach-templates", asyncHandler(async (req, res) => {
+  res.json({ success: true, tones: OUTREACH_TONES, templates: await listOutreachTemplates() });
+}));
+
+app.get("/api/outreach-templates/:id", asyncHandler(async (req, res) => {
+  const template = await getOutreachTemplate(req.params.id);
+  if (!template) return res.status(404).json({ success: false, error: "Outreach template not found" });
+
+  res.json({ success: true, template });
+}));
+
+app.post("/api/outreach-templates", asyncHandler(async (req, res) => {
+  try {
+    const template = await createOutreachTemplate(req.body);
+    console.log(`📝 Outreach template created: ${template.name}`);
+    res.status(201).json({ success: true, template });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
   }
+}));
 
-  if (!APIFY_API_TOKENS) {
-    return res.status(503).json({ 
-      error: "Apify API token not configured",
-      success: false,
-      results: []
+app.patch("/api/outreach-templates/:id", asyncHandler(async (req, res) => {
+  try {
+    const template = await updateOutreachTemplate(req.params.id, req.body);
+    if (!template) return res.status(404).json({ success: false, error: "Outreach template not found" });
+
+    res.json({ success: true, template });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+app.delete("/api/outreach-templates/:id", asyncHandler(async (req, res) => {
+  try {
+    const deleted = await deleteOutreachTemplate(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: "Outreach template not found" });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+// --- Scoring profiles: signal weights and thresholds used to rank results ---
+app.get("/api/scoring-profiles", asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    signals: Object.entries(SCORING_SIGNALS).map(([id, signal]) => ({ id, label: signal.label })),
+    profiles: await listScoringProfiles()
+  });
+}));
+
+app.get("/api/scoring-profiles/:id", asyncHandler(async (req, res) => {
+  const profile = await getScoringProfile(req.params.id);
+  if (!profile) return res.status(404).json({ success: false, error: "Scoring profile not found" });
+
+  res.json({ success: true, profile });
+}));
+
+app.post("/api/scoring-profiles", asyncHandler(async (req, res) => {
+  try {
+    const profile = await createScoringProfile(req.body);
+    console.log(`⚖️ Scoring profile created: ${profile.name}`);
+    res.status(201).json({ success: true, profile });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+app.patch("/api/scoring-profiles/:id", asyncHandler(async (req, res) => {
+  try {
+    const profile = await updateScoringProfile(req.params.id, req.body);
+    if (!profile) return res.status(404).json({ success: false, error: "Scoring profile not found" });
+
+    res.json({ success: true, profile });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+app.delete("/api/scoring-profiles/:id", asyncHandler(async (req, res) => {
+  try {
+    const deleted = await deleteScoringProfile(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: "Scoring profile not found" });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+// --- Webhooks ---
+// Deliveries are POSTed as JSON and signed: X-Webhook-Signature = sha256=HMAC(secret, "<X-Webhook-Timestamp>.<body>")
+app.get("/api/webhooks", asyncHandler(async (req, res) => {
+  res.json({ success: true, events: WEBHOOK_EVENTS, webhooks: await listWebhooks() });
+}));
+
+app.get("/api/webhooks/:id", asyncHandler(async (req, res) => {
+  const webhook = await getWebhook(req.params.id);
+  if (!webhook) return res.status(404).json({ success: false, error: "Webhook not found" });
+
+  res.json({ success: true, webhook });
+}));
+
+app.post("/api/webhooks", asyncHandler(async (req, res) => {
+  try {
+    const webhook = await createWebhook(req.body);
+    console.log(`🪝 Webhook created: ${webhook.url} (${webhook.events.join(", ")})`);
+    res.status(201).json({ success: true, webhook });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+app.patch("/api/webhooks/:id", asyncHandler(async (req, res) => {
+  try {
+    const webhook = await updateWebhook(req.params.id, req.body);
+    if (!webhook) return res.status(404).json({ success: false, error: "Webhook not found" });
+
+    res.json({ success: true, webhook });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+app.delete("/api/webhooks/:id", asyncHandler(async (req, res) => {
+  const deleted = await deleteWebhook(req.params.id);
+  if (!deleted) return res.status(404).json({ success: false, error: "Webhook not found" });
+
+  res.json({ success: true });
+}));
+
+// Send a signed "ping" to one webhook, even if it is inactive
+app.post("/api/webhooks/:id/test", asyncHandler(async (req, res) => {
+  if (!(await getWebhook(req.params.id))) {
+    return res.status(404).json({ success: false, error: "Webhook not found" });
+  }
+
+  const [delivery] = await emitWebhookEvent("ping", { message: "Test delivery" }, { webhookId: req.params.id });
+  res.status(202).json({ success: true, deliveryId: delivery.id });
+}));
+
+// Delivery log, newest first: ?webhookId=&status=pending|retrying|delivered|failed&limit=
+app.get("/api/webhook-deliveries", asyncHandler(async (req, res) => {
+  const { webhookId, status, limit } = req.query;
+  res.json({ success: true, deliveries: await listDeliveries({ webhookId, status, limit }) });
+}));
+
+// --- Search query generation (OpenAI with template fallback) ---
+app.post("/api/generate-queries", asyncHandler(async (req, res) => {
+  const { niche, targetAudience, count, longTail, languages } = req.body;
+
+  if (!niche || !niche.toString().trim()) {
+    return res.status(400).json({ success: false, error: "Missing niche" });
+  }
+  if (languages !== undefined && !Array.isArray(languages)) {
+    return res.status(400).json({ success: false, error: "languages must be an array" });
+  }
+
+  try {
+    const { queries, source, fallbackReason } = await generateSearchQueries({
+      niche: niche.toString().trim(),
+      targetAudience: (targetAudience || "").toString().trim(),
+      count,
+      longTail: !!longTail,
+      languages: (languages || []).map(l => l.toString().trim()).filter(Boolean),
+      openaiApiKey: OPENAI_API_KEY  // Use server-side key
     });
+
+    res.json({ success: true, source, fallbackReason, count: queries.length, queries });
+  } catch (err) {
+    console.error("❌ Query generation error:", err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
+
+// --- Audience match scoring (OpenAI in batches, keyword fallback) ---
+const MAX_AUDIENCE_MATCH_CHANNELS = 50;
+
+app.post("/api/audience-match", asyncHandler(async (req, res) => {
+  const { targetAudience, channels } = req.body;
+
+  if (!targetAudience || !targetAudience.toString().trim()) {
+    return res.status(400).json({ success: false, error: "Missing targetAudience" });
+  }
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return res.status(400).json({ success: false, error: "No channels provided" });
+  }
+  if (channels.length > MAX_AUDIENCE_MATCH_CHANNELS) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_AUDIENCE_MATCH_CHANNELS} channels per request` });
   }
 
   try {
-    console.log(`🚀 Starting Apify bulk email extraction for ${channelUrls.length} channels...`);
-    
-    const token = getNextApifyToken();
-    if (!token) {
-      return res.status(503).json({ 
-        error: "No Apify tokens available",
-        success: false,
-        results: {}
-      });
-    }
+    const results = await scoreAudienceMatch(
+      channels.map((c, index) => ({
+        id: c.id || c.channelId || String(index),
+        name: c.name || c.channelName || "",
+        description: c.description || "",
+        recentVideos: Array.isArray(c.recentVideos) ? c.recentVideos : [],
+        recentComments: Array.isArray(c.recentComments) ? c.recentComments : []
+      })),
+      targetAudience.toString().trim(),
+      { openaiApiKey: OPENAI_API_KEY }  // Use server-side key
+    );
 
-    const client = new ApifyClient({ token });
-    console.log(`Using Apify token index: ${currentApifyTokenIndex + 1}/${APIFY_API_TOKENS.length}`);
-    
-    // Format input for the Actor
-    const input = {
-      urls: channelUrls.map(url => ({ url }))
+    res.json({ success: true, results });
+  } catch (err) {
+    console.error("❌ Audience match error:", err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
+
+// --- Apify bulk email extraction ---
+// Runs in the background: POST returns a job right away, GET polls it until results are in.
+const MAX_APIFY_URLS = 5000;
+
+app.post("/api/extract-emails-bulk", asyncHandler(async (req, res) => {
+  const { channelUrls } = req.body;
+
+  if (!channelUrls || !Array.isArray(channelUrls) || channelUrls.length === 0) {
+    return res.status(400).json({ success: false, error: "No channel URLs provided" });
+  }
+  const urls = channelUrls.filter(url => typeof url === "string" && url.trim()).map(url => url.trim());
+  if (urls.length > MAX_APIFY_URLS) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_APIFY_URLS} channel URLs per extraction` });
+  }
+
+  if (APIFY_API_TOKENS.length === 0) {
+    return res.status(503).json({ success: false, error: "Apify API token not configured" });
+  }
+
+  console.log(`🚀 Starting Apify bulk email extraction for ${urls.length} channels...`);
+  const job = await createApifyEmailJob(urls);
+  res.status(202).json({ success: true, job: summarizeApifyJob(job) });
+}));
+
+app.get("/api/extract-emails-bulk/:id", asyncHandler(async (req, res) => {
+  const job = await getApifyEmailJob(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Extraction not found" });
+  res.json({ success: true, job: summarizeApifyJob(job, { includeResults: true }) });
+}));
+
+app.post("/api/extract-emails-bulk/:id/cancel", asyncHandler(async (req, res) => {
+  const job = await cancelApifyEmailJob(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Extraction not found" });
+  res.json({ success: true, job: summarizeApifyJob(job) });
+}));
+
+// --- Server-side search jobs ---
+app.post("/api/searches", asyncHandler(async (req, res) => {
+  const { params, error } = normalizeSearchParams(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (YOUTUBE_API_KEYS.length === 0) {
+    return res.status(503).json({ success: false, error: "No YouTube API keys available" });
+  }
+  if (!(await getOutreachTemplate(params.outreachTemplateId))) {
+    return res.status(400).json({ success: false, error: "Outreach template not found" });
+  }
+  if (!(await getScoringProfile(params.scoringProfileId))) {
+    return res.status(400).json({ success: false, error: "Scoring profile not found" });
+  }
+
+  try {
+    const job = await createSearchJob(params, { openaiApiKey: OPENAI_API_KEY });
+    console.log(`🚀 Search ${job.id} started for niche "${params.niche}"`);
+    res.status(202).json({ success: true, search: summarizeJob(job) });
+  } catch (err) {
+    console.error("❌ Failed to start search:", err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
+
+// Enrich an existing list: `text` is a CSV or one channel per line, `channels` an array of
+// URLs / @handles / ids. Resolved channels skip discovery; other search fields are optional.
+app.post("/api/imports", asyncHandler(async (req, res) => {
+  const { text, channels, ...options } = req.body;
+
+  let importList;
+  if (Array.isArray(channels)) {
+    importList = {
+      entries: channels.map((input, index) => ({ row: index + 1, input: (input || "").toString().trim() })).filter(e => e.input),
+      column: 0,
+      hasHeader: false
     };
+  } else if (typeof text === "string") {
+    importList = parseImportList(text);
+  } else {
+    return res.status(400).json({ success: false, error: "Provide text (CSV or one channel per line) or a channels array" });
+  }
+  if (importList.entries.length === 0) {
+    return res.status(400).json({ success: false, error: "No channels found in the import" });
+  }
 
-    // Run the Actor
-    const run = await client.actor("exporter24/youtube-email-bulk-scraper").call(input);
-    
-    // Fetch results from the dataset
-    const { items } = await client.dataset(run.defaultDatasetId).listItems();
-    
-    console.log(`✅ Apify extraction complete. Found emails for ${items.filter(i => i.email.length > 0).length} channels`);
-
-    // Transform results into a lookup map for easy merging
-    const resultsMap = {};
-    items.forEach(item => {
-      resultsMap[item.url] = {
-        emails: item.email || [],
-        status: item.status
-      };
-    });
+  const { params, error } = normalizeSearchParams({ ...options, importEntries: importList.entries });
+  if (error) return res.status(400).json({ success: false, error });
+  if (YOUTUBE_API_KEYS.length === 0) {
+    return res.status(503).json({ success: false, error: "No YouTube API keys available" });
+  }
+  if (!(await getOutreachTemplate(params.outreachTemplateId))) {
+    return res.status(400).json({ success: false, error: "Outreach template not found" });
+  }
+  if (!(await getScoringProfile(params.scoringProfileId))) {
+    return res.status(400).json({ success: false, error: "Scoring profile not found" });
+  }
 
-    res.json({
+  try {
+    const job = await createSearchJob(params, { openaiApiKey: OPENAI_API_KEY });
+    console.log(`📋 Import ${job.id} started for ${importList.entries.length} channels`);
+    res.status(202).json({
       success: true,
-      results: resultsMap
+      search: summarizeJob(job),
+      import: { rows: importList.entries.length, column: importList.column, hasHeader: importList.hasHeader }
     });
+  } catch (err) {
+    console.error("❌ Failed to start import:", err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
 
+app.get("/api/searches", asyncHandler(async (req, res) => {
+  try {
+    res.json({ success: true, searches: await listSearchJobs() });
   } catch (err) {
-    console.error("❌ Apify extraction failed:", err.message);
-    res.status(500).json({ 
-      error: err.message,
-      success: false,
-      results: {}
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
+
+app.get("/api/searches/:id", asyncHandler(async (req, res) => {
+  const job = await getSearchJob(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Search not found" });
+
+  res.json({ success: true, search: summarizeJob(job, { includeResults: true }) });
+}));
+
+// Channels that were discovered but filtered out, with the reason. ?reason=language narrows it down.
+app.get("/api/searches/:id/rejected", asyncHandler(async (req, res) => {
+  const { reason } = req.query;
+  if (reason && !REJECTION_REASONS[reason]) {
+    return res.status(400).json({ success: false, error: `Invalid reason. Expected one of: ${Object.keys(REJECTION_REASONS).join(", ")}` });
+  }
+
+  const job = await getSearchJob(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Search not found" });
+
+  const rejected = job.state.rejectedChannels || [];
+  res.json({
+    success: true,
+    searchId: job.id,
+    reasons: REJECTION_REASONS,
+    total: rejected.length,
+    byReason: summarizeRejections(rejected),
+    rejected: reason ? rejected.filter(entry => entry.reason === reason) : rejected
+  });
+}));
+
+// Server-Sent Events: progress, stage completions and the final status.
+// Browsers reconnect automatically and send Last-Event-ID so missed events are replayed.
+app.get("/api/searches/:id/events", asyncHandler(async (req, res) => {
+  const job = await getSearchJob(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Search not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId) || 0;
+  const unsubscribe = subscribeToSearchJob(job, lastEventId, event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}));
+
+// Download results as csv, xlsx, json or ndjson.
+// ?columns=name,email,... picks columns; ?preset=instantly|lemlist|hubspot|apollo uses a CRM import layout.
+app.get("/api/searches/:id/export", asyncHandler(async (req, res) => {
+  const format = (req.query.format || "csv").toLowerCase();
+  const preset = req.query.preset ? req.query.preset.toLowerCase() : undefined;
+  const columns = req.query.columns ? req.query.columns.split(",").map(c => c.trim()).filter(Boolean) : undefined;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: `Invalid format. Expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+  try {
+    resolveExportColumns({ preset, columns });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  const job = await getSearchJob(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Search not found" });
+  if (!job.state.results) {
+    return res.status(409).json({ success: false, error: "Search has no results yet" });
+  }
+
+  try {
+    const { body, rowCount } = await exportSearchResults(job.state.results, { format, preset, columns });
+    const fileName = `youtube_channels_${preset || "all"}_${job.createdAt.split("T")[0]}.${EXPORT_FORMATS[format].extension}`;
+
+    console.log(`📤 Exported ${rowCount} rows from search ${job.id} as ${format}${preset ? ` (${preset})` : ""}`);
+    res.set({
+      "Content-Type": EXPORT_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`
     });
+    res.send(body);
+  } catch (err) {
+    console.error("❌ Export failed:", err.message);
+    res.status(500).json({ success: false, error: err.message });
   }
+}));
+
+app.post("/api/searches/:id/cancel", asyncHandler(async (req, res) => {
+  const job = await cancelSearchJob(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Search not found" });
+
+  res.json({ success: true, search: summarizeJob(job) });
+}));
+
+app.post("/api/searches/:id/resume", asyncHandler(async (req, res) => {
+  try {
+    const job = await resumeSearchJob(req.params.id, { openaiApiKey: OPENAI_API_KEY });
+    if (!job) return res.status(404).json({ success: false, error: "Search not found" });
+
+    console.log(`🔁 Search ${job.id} resumed`);
+    res.status(202).json({ success: true, search: summarizeJob(job) });
+  } catch (err) {
+    res.status(409).json({ success: false, error: err.message });
+  }
+}));
+
+// --- Saved searches: stored definitions with optional cron schedules (UTC) ---
+app.get("/api/saved-searches", asyncHandler(async (req, res) => {
+  res.json({ success: true, savedSearches: await listSavedSearches() });
+}));
+
+app.get("/api/saved-searches/:id", asyncHandler(async (req, res) => {
+  const savedSearch = await getSavedSearch(req.params.id);
+  if (!savedSearch) return res.status(404).json({ success: false, error: "Saved search not found" });
+
+  res.json({ success: true, savedSearch });
+}));
+
+app.post("/api/saved-searches", asyncHandler(async (req, res) => {
+  try {
+    const savedSearch = await createSavedSearch(req.body);
+    console.log(`🗓️ Saved search created: ${savedSearch.name}${savedSearch.schedule ? ` (${savedSearch.schedule})` : ""}`);
+    res.status(201).json({ success: true, savedSearch });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+app.patch("/api/saved-searches/:id", asyncHandler(async (req, res) => {
+  try {
+    const savedSearch = await updateSavedSearch(req.params.id, req.body);
+    if (!savedSearch) return res.status(404).json({ success: false, error: "Saved search not found" });
+
+    res.json({ success: true, savedSearch });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
+app.delete("/api/saved-searches/:id", asyncHandler(async (req, res) => {
+  const deleted = await deleteSavedSearch(req.params.id);
+  if (!deleted) return res.status(404).json({ success: false, error: "Saved search not found" });
+
+  res.json({ success: true });
+}));
+
+app.post("/api/saved-searches/:id/run", asyncHandler(async (req, res) => {
+  if (YOUTUBE_API_KEYS.length === 0) {
+    return res.status(503).json({ success: false, error: "No YouTube API keys available" });
+  }
+
+  try {
+    const job = await runSavedSearch(req.params.id, { openaiApiKey: OPENAI_API_KEY });
+    if (!job) return res.status(404).json({ success: false, error: "Saved search not found" });
+
+    res.status(202).json({ success: true, search: summarizeJob(job) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
+
+app.get("/api/saved-searches/:id/runs", asyncHandler(async (req, res) => {
+  const runs = await listSavedSearchRuns(req.params.id);
+  if (!runs) return res.status(404).json({ success: false, error: "Saved search not found" });
+
+  res.json({ success: true, runs });
+}));
+
+// New, dropped and changed channels compared with the previous completed run.
+// Without :searchId the latest completed run is used.
+app.get(["/api/saved-searches/:id/diff", "/api/saved-searches/:id/runs/:searchId/diff"], asyncHandler(async (req, res) => {
+  if (!(await getSavedSearch(req.params.id))) {
+    return res.status(404).json({ success: false, error: "Saved search not found" });
+  }
+
+  const diff = await getSavedSearchRunDiff(req.params.id, req.params.searchId);
+  if (!diff) return res.status(404).json({ success: false, error: "No completed run found" });
+
+  res.json({ success: true, diff });
+}));
+
+// Formats, columns and CRM presets available to the export endpoint
+app.get("/api/export-options", (req, res) => {
+  res.json({
+    success: true,
+    formats: Object.keys(EXPORT_FORMATS),
+    columns: Object.entries(EXPORT_COLUMNS).map(([id, column]) => ({ id, label: column.label, structured: !!column.structured })),
+    presets: Object.entries(EXPORT_PRESETS).map(([id, preset]) => ({
+      id,
+      name: preset.name,
+      columns: preset.columns.map(column => column.header)
+    }))
+  });
 });
 
+// --- Lead database ---
+app.get("/api/leads", asyncHandler(async (req, res) => {
+  const { status, q } = req.query;
+  if (status && !LEAD_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Invalid status. Expected one of: ${LEAD_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const { total, leads } = await listLeads({
+      status,
+      q,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ success: true, total, leads });
+  } catch (err) {
+    console.error("❌ Lead listing failed:", err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}));
+
+app.get("/api/leads/:channelId", asyncHandler(async (req, res) => {
+  const lead = await getLead(req.params.channelId);
+  if (!lead) return res.status(404).json({ success: false, error: "Lead not found" });
+
+  res.json({ success: true, lead });
+}));
+
+app.patch("/api/leads/:channelId", asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  try {
+    const lead = await updateLead(req.params.channelId, { status, note });
+    if (!lead) return res.status(404).json({ success: false, error: "Lead not found" });
+
+    res.json({ success: true, lead });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}));
+
 // --- Test endpoint to verify scraping is working ---
-app.get("/api/test-scrape", async (req, res) => {
+app.get("/api/test-scrape", asyncHandler(async (req, res) => {
   const testChannelId = "UCofomcxxyhNuZ6qeHzInm3Q"; // From your test data
   
   try {
@@ -639,20 +963,23 @@ app.get("/api/test-scrape", async (req, res) => {
       message: "Scraper test completed",
       testChannelId,
       scrapingWorking: scrapeResp.ok,
-      puppeteerAvailable: !!puppeteer,
+      puppeteerAvailable: isPuppeteerAvailable(),
+      method: scrapeData.method || null,
       results: scrapeData
     });
   } catch (err) {
     res.status(500).json({
       message: "Scraper test failed",
       error: err.message,
-      puppeteerAvailable: !!puppeteer
+      puppeteerAvailable: isPuppeteerAvailable()
     });
   }
-});
+}));
 
 // --- Serve frontend ---
 app.use(express.static(path.join(__dirname, "public")));
+// Modules shared between the server and the browser
+app.use("/shared", express.static(path.join(__dirname, "shared")));
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
@@ -660,13 +987,27 @@ app.get("/", (req, res) => {
 // --- Error handling middleware ---
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error', message: err.message });
+  if (res.headersSent) return next(err);
+  res.status(500).json({ success: false, error: 'Internal server error', message: err.message });
 });
 
 // --- Start server ---
 const PORT = process.env.PORT || 10000;
 app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
-  console.log(`🔧 Puppeteer available: ${!!puppeteer}`);
+  console.log(`🔧 Puppeteer available: ${isPuppeteerAvailable()}`);
+  resolveScraperMethod().then(method => console.log(`🔎 About-page scraper method: ${method}`));
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  resumeWebhookDeliveries()
+    .catch(err => console.error("❌ Failed to resume webhook deliveries:", err.message));
+  startSavedSearchScheduler({ openaiApiKey: OPENAI_API_KEY });
 });
+
+// Close the shared scraper browser on shutdown
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, async () => {
+    await closeScraperPool();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,511 @@
+// contactExtraction.js
+// Shared by the server (Node) and the browser (served at /shared/contactExtraction.js).
+// Keep this file free of Node- or DOM-only APIs.
+
+/**
+ * Social platforms we recognise. A URL belongs to a platform when its host
+ * equals one of `hosts` or is a subdomain of one.
+ */
+export const PLATFORMS = {
+  instagram: { name: "Instagram", hosts: ["instagram.com", "instagr.am", "ig.me"] },
+  twitter: { name: "Twitter/X", hosts: ["twitter.com", "x.com"] },
+  facebook: { name: "Facebook", hosts: ["facebook.com", "fb.com", "fb.me"] },
+  tiktok: { name: "TikTok", hosts: ["tiktok.com"] },
+  linkedin: { name: "LinkedIn", hosts: ["linkedin.com"] },
+  twitch: { name: "Twitch", hosts: ["twitch.tv"] },
+  discord: { name: "Discord", hosts: ["discord.gg", "discord.com"] },
+  reddit: { name: "Reddit", hosts: ["reddit.com"] },
+  pinterest: { name: "Pinterest", hosts: ["pinterest.com", "pin.it"] },
+  snapchat: { name: "Snapchat", hosts: ["snapchat.com"] },
+  threads: { name: "Threads", hosts: ["threads.net", "threads.com"] },
+  tumblr: { name: "Tumblr", hosts: ["tumblr.com"] },
+  vimeo: { name: "Vimeo", hosts: ["vimeo.com"] },
+  patreon: { name: "Patreon", hosts: ["patreon.com"] },
+  kofi: { name: "Ko-fi", hosts: ["ko-fi.com"] },
+  buymeacoffee: { name: "Buy Me a Coffee", hosts: ["buymeacoffee.com"] },
+  onlyfans: { name: "OnlyFans", hosts: ["onlyfans.com"] },
+  substack: { name: "Substack", hosts: ["substack.com"] },
+  medium: { name: "Medium", hosts: ["medium.com"] },
+  github: { name: "GitHub", hosts: ["github.com"] },
+  telegram: { name: "Telegram", hosts: ["t.me", "telegram.me"] }
+};
+
+// Link-in-bio aggregators: one page listing all of a creator's links
+export const LINK_IN_BIO_HOSTS = [
+  "linktr.ee", "beacons.ai", "beacons.page", "stan.store", "lnk.bio", "bio.link",
+  "linkin.bio", "campsite.bio", "solo.to", "tap.bio", "hoo.be", "komi.io", "msha.ke"
+];
+
+// YouTube itself, Google redirectors and image CDNs are never contact links
+const IGNORED_HOSTS = [
+  "youtube.com", "youtu.be", "ytimg.com", "googleusercontent.com", "ggpht.com",
+  "gstatic.com", "googleapis.com", "schema.org", "w3.org"
+];
+
+// First path segments that are site features rather than profiles
+const NON_HANDLE_SEGMENTS = [
+  "share", "sharer", "sharer.php", "intent", "p", "reel", "reels", "tv", "watch", "hashtag",
+  "explore", "home", "login", "signup", "search", "hashtag", "i", "status", "video", "embed",
+  "privacy", "terms", "about", "help", "legal", "settings", "policies", "tos"
+];
+
+// Redirect wrappers whose real destination sits in a query parameter
+const REDIRECT_WRAPPERS = [
+  { host: "youtube.com", path: "/redirect", param: "q" },
+  { host: "google.com", path: "/url", param: "q" },
+  { host: "l.facebook.com", path: "/l.php", param: "u" },
+  { host: "l.instagram.com", path: "/", param: "u" },
+  { host: "linktr.ee", path: "/redirect", param: "url" }
+];
+
+export const BUSINESS_INQUIRY_PHRASES = [
+  'business inquir', 'business email', 'business contact',
+  'press inquir', 'media inquir', 'collaboration', 'partnership',
+  'sponsor', 'brand deal', 'work with me', 'business@', 'contact@'
+];
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+
+// Words that commonly precede a plain " at " in prose ("reach us at example.com")
+const AT_WORD_STOPLIST = [
+  "me", "us", "him", "her", "them", "you", "it", "is", "are", "was", "were", "here", "there",
+  "email", "mail", "contact", "reach", "find", "look", "available", "live", "based", "work", "works"
+];
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode the HTML entities creators (and YouTube) use to hide "@" and "."
+ * @param {string} text
+ */
+export function decodeEntities(text) {
+  return (text || "")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&commat;/gi, "@")
+    .replace(/&period;/gi, ".")
+    .replace(/&amp;/gi, "&")
+    .replace(/&quot;/gi, '"')
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&nbsp;/gi, " ");
+}
+
+/**
+ * decodeURIComponent that returns the input unchanged when its percent-encoding is malformed
+ * ("100%off@site.com", a truncated "%E0%A4%A"), so one bad link cannot abort an extraction
+ * @param {string} value
+ */
+export function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Follow redirect wrappers (youtube.com/redirect?q=, google.com/url?q=, ...) to the real URL
+ * @param {string} url
+ * @returns {string}
+ */
+export function unwrapRedirect(url) {
+  let current = url;
+
+  for (let depth = 0; depth < 3; depth++) {
+    const parsed = parseUrl(current);
+    if (!parsed) return current;
+
+    const host = parsed.hostname.replace(/^www\./, "").toLowerCase();
+    const wrapper = REDIRECT_WRAPPERS.find(w => hostMatches(host, w.host) && parsed.pathname === w.path);
+    const target = wrapper && parsed.searchParams.get(wrapper.param);
+    if (!target) return current;
+
+    current = target;
+  }
+
+  return current;
+}
+
+/**
+ * Clean a raw URL: add a scheme, trim trailing punctuation, unwrap redirects
+ * and lowercase the host. Returns null for anything that is not a web URL.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+export function normalizeUrl(raw) {
+  if (!raw) return null;
+
+  let url = decodeEntities(String(raw)).trim().replace(/[.,;:!?)\]'"]+$/, "");
+  if (/^www\./i.test(url)) url = `https://${url}`;
+  if (!/^https?:\/\//i.test(url)) return null;
+
+  url = unwrapRedirect(url);
+
+  const parsed = parseUrl(url);
+  if (!parsed || !parsed.hostname.includes(".")) return null;
+
+  parsed.hostname = parsed.hostname.toLowerCase();
+  parsed.hash = "";
+  return parsed.toString().replace(/\/$/, "");
+}
+
+/**
+ * Which platform a URL belongs to
+ * @param {string} url - Normalized URL
+ * @returns {string} Platform id, "linkinbio", "website", "ignore", or "other" for unparseable input
+ */
+export function classifyUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return "other";
+
+  const host = parsed.hostname.replace(/^www\./, "").toLowerCase();
+
+  for (const [platform, config] of Object.entries(PLATFORMS)) {
+    if (config.hosts.some(domain => hostMatches(host, domain))) return platform;
+  }
+
+  if (IGNORED_HOSTS.some(domain => hostMatches(host, domain))) return "ignore";
+  if (LINK_IN_BIO_HOSTS.some(domain => hostMatches(host, domain))) return "linkinbio";
+
+  return "website";
+}
+
+/**
+ * The normalized account handle in a social URL (lowercase, no "@"), or null
+ * when the URL points at a post, share dialog or other non-profile page.
+ * @param {string} platform
+ * @param {string} url
+ */
+export function extractHandle(platform, url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+
+  const host = parsed.hostname.replace(/^www\./, "").toLowerCase();
+  const segments = parsed.pathname.split("/").filter(Boolean).map(safeDecodeURIComponent);
+  const clean = handle => {
+    const h = (handle || "").replace(/^@/, "").trim().toLowerCase();
+    return h && !NON_HANDLE_SEGMENTS.includes(h) ? h : null;
+  };
+
+  switch (platform) {
+    case "linkedin":
+      return ["in", "company", "school"].includes(segments[0]) ? clean(segments[1]) : null;
+    case "reddit":
+      return ["r", "u", "user"].includes(segments[0]) && segments[1]
+        ? `${segments[0] === "r" ? "r" : "u"}/${segments[1].toLowerCase()}`
+        : null;
+    case "snapchat":
+      return segments[0] === "add" ? clean(segments[1]) : null;
+    case "discord":
+      if (host === "discord.gg") return clean(segments[0]);
+      return segments[0] === "invite" ? clean(segments[1]) : null;
+    case "facebook":
+      if (segments[0] === "profile.php") return parsed.searchParams.get("id");
+      return clean(segments[0]);
+    case "substack":
+    case "medium": {
+      const sub = host.split(".")[0];
+      if (host.split(".").length > 2 && sub !== "www") return clean(sub);
+      return segments[0]?.startsWith("@") ? clean(segments[0]) : null;
+    }
+    case "telegram":
+    case "tiktok":
+    case "threads":
+    default:
+      return clean(segments[0]);
+  }
+}
+
+/**
+ * Rewrite obfuscated addresses ("name [at] domain [dot] com", "name AT domain DOT com", "name(at)domain.com",
+ * entity-encoded or split across lines) into plain emails so a normal regex finds them.
+ * @param {string} text
+ */
+export function deobfuscateEmails(text) {
+  let out = decodeEntities(text);
+
+  // Bracketed tokens are unambiguous: [at] (at) {at} <at> and the same for dot
+  out = out
+    .replace(/\s*[\[({<]\s*(?:at|@)\s*[\])}>]\s*/gi, "@")
+    .replace(/\s*[\[({<]\s*(?:dot|\.)\s*[\])}>]\s*/gi, ".");
+
+  // Emails broken over a line: "name@\ndomain.com", "name\n@domain.com", "name@domain\n.com"
+  out = out
+    .replace(/([a-z0-9._%+-]+@)[ \t]*\r?\n\s*(?=[a-z0-9-])/gi, "$1")
+    .replace(/([a-z0-9._%+-]+)[ \t]*\r?\n\s*(@[a-z0-9-])/gi, "$1$2")
+    .replace(/(@[a-z0-9.-]+)[ \t]*\r?\n\s*(\.[a-z]{2,}\b)/gi, "$1$2")
+    .replace(/(@[a-z0-9-]+\.)[ \t]*\r?\n\s*([a-z]{2,}\b)/gi, "$1$2");
+
+  // Spelled-out markers: "name AT domain DOT com". Both markers have to be written in capitals;
+  // lowercase "at" and "dot" are ordinary prose ("Sold out at store dot com")
+  out = out.replace(
+    /\b([A-Za-z0-9._%+-]+)\s+AT\s+([A-Za-z0-9-]+(?:\s+DOT\s+[A-Za-z0-9-]+)+)\b/g,
+    (match, local, domain) => {
+      if (AT_WORD_STOPLIST.includes(local.toLowerCase()) || /^[\d.]+$/.test(local)) return match;
+      return `${local}@${domain.replace(/\s+DOT\s+/g, ".")}`;
+    }
+  );
+
+  // "name at domain.com" where the local part looks like an address, not a word or a number:
+  // letters joined by a separator ("jane.doe", "team_mkbhd"), so "Version 2 at example.com" is left alone
+  out = out.replace(
+    /\b((?=[a-z0-9._+-]*[a-z])[a-z0-9]+(?:[._+-][a-z0-9]+)+)\s+at\s+([a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})\b/gi,
+    "$1@$2"
+  );
+
+  return out;
+}
+
+/**
+ * All email addresses in a block of text, de-obfuscated, lowercased and de-duplicated
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractEmails(text) {
+  if (!text) return [];
+  const matches = deobfuscateEmails(text).match(EMAIL_REGEX) || [];
+  return [...new Set(matches.map(e => e.toLowerCase().replace(/^[._%+-]+/, "")))];
+}
+
+export function mentionsBusinessInquiry(text) {
+  const lower = (text || "").toLowerCase();
+  return BUSINESS_INQUIRY_PHRASES.some(phrase => lower.includes(phrase));
+}
+
+/**
+ * Every URL in a text or HTML blob, including the links YouTube embeds in
+ * ytInitialData, normalized and de-duplicated by origin + path.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractUrls(text) {
+  if (!text) return [];
+
+  const raw = [];
+
+  // Links embedded in YouTube's page JSON
+  const jsonMatch = text.match(/ytInitial(?:Data|AboutResults)"?\]?\s*=\s*({.*?});\s*(?:var |<\/script>)/s);
+  if (jsonMatch) {
+    for (const m of jsonMatch[1].matchAll(/"url":"(https?:(?:\\\/|\/){2}[^"]+)"/g)) {
+      try {
+        raw.push(decodeURIComponent(JSON.parse(`"${m[1]}"`)));
+      } catch {
+        raw.push(m[1]);
+      }
+    }
+  }
+
+  // href attributes (saved HTML) and bare URLs (descriptions, comments)
+  for (const m of text.matchAll(/href="([^"]+)"/gi)) raw.push(m[1]);
+  raw.push(...(decodeEntities(text).match(/https?:\/\/[^\s"'<>)]+/gi) || []));
+  raw.push(...(text.match(/(?:^|\s)www\.[^\s"'<>)]+/gi) || []).map(u => u.trim()));
+
+  const byKey = new Map();
+  for (const candidate of raw) {
+    const url = normalizeUrl(candidate);
+    if (!url || classifyUrl(url) === "ignore") continue;
+
+    const parsed = parseUrl(url);
+    const key = parsed.origin + parsed.pathname.replace(/\/$/, "");
+    if (!byKey.has(key)) byKey.set(key, url);
+  }
+
+  return [...byKey.values()];
+}
+
+/**
+ * Sort URLs into social profiles (first per platform), link-in-bio pages, websites and unparseable leftovers
+ * @param {string[]} urls
+ */
+export function categorizeLinks(urls) {
+  const social = {};
+  const socialHandles = {};
+  const websites = [];
+  const linkInBio = [];
+  const otherLinks = [];
+  const seen = new Set();
+
+  for (const raw of urls || []) {
+    const url = normalizeUrl(raw);
+    if (!url) {
+      if (raw && !seen.has(raw)) otherLinks.push(raw);
+      seen.add(raw);
+      continue;
+    }
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const type = classifyUrl(url);
+    if (type === "ignore") continue;
+
+    if (type === "website") {
+      websites.push(url);
+    } else if (type === "linkinbio") {
+      linkInBio.push(url);
+    } else if (type === "other") {
+      otherLinks.push(url);
+    } else if (!social[type]) {
+      // Prefer profile links over post/share links for the same platform
+      const handle = extractHandle(type, url);
+      social[type] = url;
+      if (handle) socialHandles[type] = handle;
+    } else if (!socialHandles[type]) {
+      const handle = extractHandle(type, url);
+      if (handle) {
+        social[type] = url;
+        socialHandles[type] = handle;
+      }
+    }
+  }
+
+  return {
+    social,
+    socialHandles,
+    websites,
+    linkInBio,
+    otherLinks,
+    totalLinksFound: seen.size
+  };
+}
+
+// Section headers creators use above their link lists
+const LINK_SECTION_PATTERNS = [
+  // English patterns
+  /(?:^|\n)(?:LINKS?|SOCIAL\s*MEDIA|FOLLOW\s*ME|CONNECT|FIND\s*ME|MY\s*LINKS|SOCIAL\s*LINKS|WHERE\s*TO\s*FIND\s*ME|CONNECT\s*WITH\s*ME|SOCIAL\s*NETWORKS?)[\s:]*\n([\s\S]*?)(?:\n\s*\n|\n[A-Z][A-Z\s]+:|\n━|$)/gim,
+
+  // More flexible patterns
+  /(?:^|\n)(?:🔗|📱|🌐|💬).*(?:LINKS?|SOCIAL|FOLLOW|CONNECT).*?\n([\s\S]*?)(?:\n\s*\n|\n[A-Z][A-Z\s]+:|\n━|$)/gim,
+
+  // Emoji-based sections
+  /(?:^|\n)(?:🔗|📱|🌐|💬|📲|🌍)[\s]*\n([\s\S]*?)(?:\n\s*\n|\n[A-Z][A-Z\s]+:|\n━|$)/gim,
+
+  // Non-English patterns (basic)
+  /(?:^|\n)(?:REDES\s*SOCIALES|MIS\s*REDES|SÍGUEME|CONTACTO|LIENS|RÉSEAUX\s*SOCIAUX|SEGUIR|FOLGEN|SOCIAL\s*MEDIA)[\s:]*\n([\s\S]*?)(?:\n\s*\n|\n[A-Z][A-Z\s]+:|\n━|$)/gim
+];
+
+const SOCIAL_SECTION_INDICATORS = [
+  'links', 'social', 'follow', 'connect', 'find me', 'contact',
+  'redes sociales', 'sígueme', 'contacto', 'réseaux sociaux'
+];
+
+/**
+ * Blocks of a description that sit under a "links" / "follow me" style header
+ * @param {string} description
+ * @returns {string[]}
+ */
+export function extractLinkSections(description) {
+  const sections = [];
+
+  for (const pattern of LINK_SECTION_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(description)) !== null) {
+      if (match[1] && match[1].trim()) sections.push(match[1].trim());
+    }
+  }
+
+  // Also look for lines that start a social section followed by a divider
+  let currentSection = '';
+  let inSocialSection = false;
+
+  for (const line of description.split('\n')) {
+    const trimmed = line.trim().toLowerCase();
+
+    const isStart = SOCIAL_SECTION_INDICATORS.some(indicator =>
+      trimmed.includes(indicator) && (trimmed.includes(':') || trimmed.includes('━') || trimmed.includes('—'))
+    );
+    if (isStart) {
+      inSocialSection = true;
+      currentSection = '';
+      continue;
+    }
+
+    const isEnd = trimmed === '' || trimmed.includes('━') || trimmed.includes('—') ||
+      trimmed.startsWith('►') || trimmed.startsWith('▼');
+    if (inSocialSection && isEnd) {
+      if (currentSection.trim()) sections.push(currentSection.trim());
+      inSocialSection = false;
+      currentSection = '';
+      continue;
+    }
+
+    if (inSocialSection) currentSection += line + '\n';
+  }
+
+  if (inSocialSection && currentSection.trim()) sections.push(currentSection.trim());
+
+  return sections;
+}
+
+/**
+ * Emails, social profiles and websites found in free text such as a channel
+ * or video description. Links under a "links" header are ranked first.
+ * @param {string} text
+ */
+export function extractContactInfo(text) {
+  if (!text) {
+    return { emails: [], social: {}, socialHandles: {}, websites: [], linkInBio: [], otherLinks: [], allUrls: [], sectionsFound: 0 };
+  }
+
+  const sections = extractLinkSections(text);
+  const allUrls = [...new Set([
+    ...sections.flatMap(section => extractUrls(section)),
+    ...extractUrls(text)
+  ])];
+
+  const { social, socialHandles, websites, linkInBio, otherLinks } = categorizeLinks(allUrls);
+
+  return {
+    emails: extractEmails(text),
+    social,
+    socialHandles,
+    websites,
+    linkInBio,
+    otherLinks,
+    allUrls,
+    sectionsFound: sections.length
+  };
+}
+
+/**
+ * Contact info from a saved or fetched HTML page (no DOM needed)
+ * @param {string} html
+ */
+export function extractContactInfoFromHtml(html) {
+  const text = decodeEntities(
+    (html || "")
+      .replace(/<script[\s\S]*?<\/script>/gi, " ")
+      .replace(/<style[\s\S]*?<\/style>/gi, " ")
+      .replace(/<br\s*\/?>|<\/(?:p|div|li|h\d)>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+  );
+
+  const mailtoEmails = [...(html || "").matchAll(/href="mailto:([^"?]+)/gi)]
+    .map(m => decodeEntities(safeDecodeURIComponent(m[1])).toLowerCase());
+
+  const emails = [...new Set([...mailtoEmails, ...extractEmails(text)])];
+  const { social, socialHandles, websites, linkInBio, otherLinks, totalLinksFound } = categorizeLinks(extractUrls(html));
+
+  return {
+    emails,
+    social,
+    socialHandles,
+    websites,
+    linkInBio,
+    otherLinks,
+    hasBusinessInquiry: mailtoEmails.length > 0 || emails.length > 0 || mentionsBusinessInquiry(text),
+    totalLinksFound,
+    socialLinksFound: Object.keys(social).length
+  };
+}
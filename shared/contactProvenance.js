@@ -0,0 +1,76 @@
+// contactProvenance.js
+// Where each email, website and social link on a channel was found.
+// Shared by the server (Node) and the browser (served at /shared/contactProvenance.js).
+
+/**
+ * Places a contact value can come from
+ */
+export const CONTACT_SOURCES = {
+  aboutPage: "About page",
+  channelDescription: "Channel description",
+  videoDescription: "Video description",
+  websiteCrawl: "Website crawl",
+  apify: "Apify"
+};
+
+// Fields tracked per channel; social links are keyed by URL like the others
+export const CONTACT_FIELDS = ["emails", "websites", "linkInBio", "social"];
+
+export function emptyContactSources() {
+  return Object.fromEntries(CONTACT_FIELDS.map(field => [field, {}]));
+}
+
+/**
+ * Note that `value` was found in `source`. Repeat sightings from the same place are kept once.
+ * @param {Object} contactSources - channel.contactSources, mutated
+ * @param {string} field - One of CONTACT_FIELDS
+ * @param {string} value - Email address or URL
+ * @param {Object} entry
+ * @param {string} entry.source - Key of CONTACT_SOURCES
+ * @param {string} [entry.url] - Page the value was found on
+ * @param {string} [entry.videoId] - Video whose description held it
+ * @param {string} [entry.method] - About-page scrape method
+ */
+export function recordContactSource(contactSources, field, value, entry) {
+  if (!value) return;
+  const byValue = contactSources[field] || (contactSources[field] = {});
+  const entries = byValue[value] || (byValue[value] = []);
+
+  const duplicate = entries.some(existing =>
+    existing.source === entry.source && existing.url === entry.url && existing.videoId === entry.videoId
+  );
+  if (duplicate) return;
+
+  entries.push({
+    source: entry.source,
+    foundAt: new Date().toISOString(),
+    ...(entry.url && { url: entry.url }),
+    ...(entry.videoId && { videoId: entry.videoId }),
+    ...(entry.method && { method: entry.method })
+  });
+}
+
+/**
+ * Record every value of a field from one source
+ * @param {Object} contactSources
+ * @param {string} field
+ * @param {string[]} values
+ * @param {Object} entry - As for recordContactSource
+ */
+export function recordContactSources(contactSources, field, values, entry) {
+  for (const value of values || []) recordContactSource(contactSources, field, value, entry);
+}
+
+/**
+ * One line per sighting, for a hover tooltip
+ * @param {Array} entries - contactSources[field][value]
+ * @returns {string}
+ */
+export function formatContactSources(entries) {
+  return (entries || []).map(entry => [
+    CONTACT_SOURCES[entry.source] || entry.source,
+    entry.method ? `(${entry.method})` : "",
+    entry.videoId ? `video ${entry.videoId}` : entry.url || "",
+    entry.foundAt ? `· ${entry.foundAt.slice(0, 16).replace("T", " ")}` : ""
+  ].filter(Boolean).join(" ")).join("\n");
+}
@@ -0,0 +1,139 @@
+// aboutHttpExtractor.test.js
+// Saved About pages served through a stub fetch: the inline panel, the
+// continuation request the page makes, and pages without ytInitialData
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import {
+  parseAboutChannelViewModel,
+  parseInitialData,
+  parseJoinedDate,
+  scrapeChannelAboutHttp
+} from "../api/aboutHttpExtractor.js";
+
+const fixture = name => readFileSync(new URL(`./fixtures/about-http/${name}`, import.meta.url), "utf8");
+
+// Responses by URL without the query string; anything else is a 404
+let routes = {};
+let requests = [];
+const realFetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push({ url: String(url), method: init.method || "GET", body: init.body ? JSON.parse(init.body) : null });
+    const route = routes[String(url).split("?")[0]];
+    if (!route) return new Response("Not found", { status: 404 });
+    return new Response(route.body, { status: route.status || 200 });
+  };
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+beforeEach(() => {
+  routes = {};
+  requests = [];
+});
+
+const ABOUT_URL = id => `https://www.youtube.com/channel/${id}/about`;
+const BROWSE_URL = "https://www.youtube.com/youtubei/v1/browse";
+
+test("parseInitialData reads both the var and the window[] assignment", () => {
+  assert.equal(parseInitialData(fixture("inline-panel.html")).metadata.channelMetadataRenderer.title, "Vegan Bites");
+  assert.equal(parseInitialData(fixture("continuation-page.html")).metadata.channelMetadataRenderer.title, "Keto Chef Kitchen");
+  assert.equal(parseInitialData(fixture("consent-wall.html")), null);
+  assert.equal(parseInitialData('<script>var ytInitialData = {"broken": };</script>'), null);
+});
+
+test("parseJoinedDate turns the English label into an ISO date", () => {
+  assert.equal(parseJoinedDate("Joined Mar 5, 2012"), "2012-03-05");
+  assert.equal(parseJoinedDate("Joined Jan 15, 2019"), "2019-01-15");
+  assert.equal(parseJoinedDate("Joined September 30, 2021"), "2021-09-30");
+  assert.equal(parseJoinedDate("Joined Feb 30, 2021"), null);
+  assert.equal(parseJoinedDate("Beigetreten am 05.03.2012"), null);
+  assert.equal(parseJoinedDate(""), null);
+});
+
+test("parseAboutChannelViewModel prefers tap targets, unwraps redirects and completes bare links", () => {
+  const data = parseInitialData(fixture("inline-panel.html"));
+  const about = data.contents.twoColumnBrowseResultsRenderer.tabs[0].tabRenderer.content.sectionListRenderer
+    .contents[0].itemSectionRenderer.contents[0].aboutChannelRenderer.metadata.aboutChannelViewModel;
+
+  assert.deepEqual(parseAboutChannelViewModel(about), {
+    description: about.description,
+    links: ["https://www.instagram.com/veganbites/", "https://veganbites.co/shop", "https://linktr.ee/veganbites"],
+    hasBusinessEmail: true,
+    country: "United Kingdom",
+    joinedDate: "2012-03-05",
+    joinedDateText: "Joined Mar 5, 2012"
+  });
+});
+
+test("an About panel inline in the page is read without a continuation request", async () => {
+  routes[ABOUT_URL("UC_vegan")] = { body: fixture("inline-panel.html") };
+
+  const result = await scrapeChannelAboutHttp("UC_vegan");
+
+  assert.deepEqual(requests.map(r => r.url), [`${ABOUT_URL("UC_vegan")}?hl=en&gl=US`]);
+  assert.equal(result.success, true);
+  assert.equal(result.aboutUrl, ABOUT_URL("UC_vegan"));
+  assert.deepEqual(result.emails, ["collabs@veganbites.co"]);
+  assert.equal(result.social.instagram, "https://www.instagram.com/veganbites");
+  assert.deepEqual(result.websites, ["https://veganbites.co/shop"]);
+  assert.deepEqual(result.linkInBio, ["https://linktr.ee/veganbites"]);
+  assert.equal(result.hasBusinessEmail, true);
+  assert.equal(result.hasBusinessInquiry, true);
+  assert.equal(result.country, "United Kingdom");
+  assert.equal(result.joinedDate, "2012-03-05");
+});
+
+test("an About panel behind a continuation is fetched with the page's ytcfg", async () => {
+  routes[ABOUT_URL("UC_keto")] = { body: fixture("continuation-page.html") };
+  routes[BROWSE_URL] = { body: fixture("continuation-response.json") };
+
+  const result = await scrapeChannelAboutHttp("UC_keto");
+
+  assert.equal(requests.length, 2);
+  const browse = requests[1];
+  assert.equal(browse.method, "POST");
+  assert.equal(browse.url, `${BROWSE_URL}?prettyPrint=false&key=AIzaKetoKey`);
+  assert.equal(browse.body.continuation, "4qmFsgKlARIYVUNrZXRvQ2hlZktpdGNoZW4wMDAwMDAx");
+  assert.deepEqual(browse.body.context.client, {
+    clientName: "WEB",
+    clientVersion: "2.20240715.00.00",
+    hl: "en",
+    gl: "US",
+    visitorData: "CgtLZXRvVmlzaXQ"
+  });
+
+  assert.deepEqual(result.emails, ["hello@ketochefkitchen.com"]);
+  assert.equal(result.social.tiktok, "https://www.tiktok.com/@ketochefkitchen");
+  assert.deepEqual(result.websites, ["https://ketochefkitchen.com"]);
+  assert.equal(result.hasBusinessEmail, false);
+  assert.equal(result.country, "United States");
+  assert.equal(result.joinedDate, "2019-01-15");
+});
+
+test("a failed continuation falls back to the header description", async () => {
+  routes[ABOUT_URL("UC_keto")] = { body: fixture("continuation-page.html") };
+  routes[BROWSE_URL] = { status: 500, body: "{}" };
+
+  const result = await scrapeChannelAboutHttp("UC_keto");
+
+  assert.equal(requests.length, 2);
+  assert.deepEqual(result.emails, ["hello@ketochefkitchen.com"]);
+  assert.equal(result.social.instagram, "https://www.instagram.com/ketochefkitchen");
+  assert.equal(result.country, null);
+  assert.equal(result.joinedDate, null);
+});
+
+test("missing channels and pages without ytInitialData are errors", async () => {
+  await assert.rejects(scrapeChannelAboutHttp("UC_missing"), /Channel not found/);
+
+  routes[ABOUT_URL("UC_consent")] = { body: fixture("consent-wall.html") };
+  await assert.rejects(scrapeChannelAboutHttp("UC_consent"), /did not include ytInitialData/);
+
+  routes[ABOUT_URL("UC_limited")] = { status: 429, body: "" };
+  await assert.rejects(scrapeChannelAboutHttp("UC_limited"), /About page request failed \(429\)/);
+});
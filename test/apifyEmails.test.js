@@ -0,0 +1,152 @@
+// apifyEmails.test.js
+// Bulk email extraction against a local stub of the Apify API
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+
+// What the stub Actor finds per channel: a list, a delimited string, or nothing
+const CONTACTS = {
+  "https://www.youtube.com/@ketochef": ["Collabs@KetoChef.com", "not-an-email"],
+  "https://www.youtube.com/@veganbites": "hello@veganbites.com; press@veganbites.com",
+  "https://www.youtube.com/@quietcreator": undefined
+};
+
+const runs = new Map();
+let requests = [];
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const stub = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    const url = new URL(req.url, "http://stub");
+    const token = url.searchParams.get("token") || (req.headers.authorization || "").replace(/^Bearer /, "");
+    requests.push({ method: req.method, path: url.pathname, token });
+
+    if (token === "bad-token") return send(res, 401, { error: { type: "token-not-valid", message: "Authentication token is not valid" } });
+
+    let match;
+    if ((match = url.pathname.match(/^\/v2\/actors\/([^/]+)\/runs$/))) {
+      if (match[1] === "gone~actor") return send(res, 404, { error: { type: "record-not-found", message: "Actor was not found" } });
+      const id = `run-${runs.size + 1}`;
+      runs.set(id, { urls: JSON.parse(body).channelUrls, polls: 0 });
+      return send(res, 201, { data: { id, status: "READY", defaultDatasetId: `dataset-${id}` } });
+    }
+    if ((match = url.pathname.match(/^\/v2\/actor-runs\/([^/]+)\/abort$/))) {
+      return send(res, 200, { data: { id: match[1], status: "ABORTED" } });
+    }
+    if ((match = url.pathname.match(/^\/v2\/actor-runs\/([^/]+)$/))) {
+      const run = runs.get(match[1]);
+      run.polls++;
+      // Runs over the slow channel never finish on their own
+      const done = run.polls >= 2 && !run.urls.some(u => u.includes("@slowcreator"));
+      return send(res, 200, { data: { id: match[1], status: done ? "SUCCEEDED" : "RUNNING", defaultDatasetId: `dataset-${match[1]}` } });
+    }
+    if ((match = url.pathname.match(/^\/v2\/datasets\/dataset-([^/]+)\/items$/))) {
+      // Echo URLs the way real Actors do: no www, trailing slash, different case
+      const items = runs.get(match[1]).urls.map(u => ({
+        result: { channel: `${u.replace("https://www.", "https://").toUpperCase()}/`, contacts: CONTACTS[u] }
+      }));
+      items.push({ result: { channel: "https://youtube.com/@someoneelse", contacts: "x@y.com" } });
+      return send(res, 200, items);
+    }
+    send(res, 404, { error: { type: "page-not-found", message: "Not found" } });
+  });
+});
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "apify-test-"));
+
+let apify;
+let apifyJobs;
+
+before(async () => {
+  await new Promise(resolve => stub.listen(0, "127.0.0.1", resolve));
+
+  // Tokens, Actors and polling are configured when the modules load
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    APIFY_BASE_URL: `http://127.0.0.1:${stub.address().port}`,
+    APIFY_API_TOKENS: "bad-token, good-token",
+    APIFY_ACTORS: JSON.stringify([
+      { id: "gone/actor", input: { field: "channelUrls", format: "strings" }, fields: { url: "result.channel", emails: "result.contacts" } },
+      { id: "acme/emails", input: { field: "channelUrls", format: "strings" }, fields: { url: ["url", "result.channel"], emails: "result.contacts" } }
+    ]),
+    APIFY_CHUNK_SIZE: "2",
+    APIFY_CHUNK_CONCURRENCY: "1",
+    APIFY_POLL_INTERVAL_MS: "10"
+  });
+  apify = await import("../api/apifyEmails.js");
+  apifyJobs = await import("../api/apifyJobs.js");
+});
+
+after(async () => {
+  stub.close();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+test("a rejected token is benched and a missing Actor falls through to the next one", async () => {
+  const { results, chunks } = await apify.runApifyEmailExtraction(Object.keys(CONTACTS));
+
+  assert.deepEqual(chunks.map(c => c.status), ["completed", "completed"]);
+  assert.deepEqual(chunks.map(c => c.actorId), ["acme/emails", "acme/emails"]);
+  assert.deepEqual(chunks[0].attempts.map(a => a.actorId), ["gone/actor", "gone/actor"]);
+  assert.match(chunks[0].attempts[0].error, /not valid/);
+  assert.match(chunks[0].attempts[1].error, /not found/);
+
+  // Benched after its first 401, so the second chunk never tries it
+  assert.equal(requests.filter(r => r.token === "bad-token").length, 1);
+  const status = apify.getApifyStatus();
+  assert.deepEqual(status.tokens.map(t => t.available), [false, true]);
+  assert.equal(status.tokens[0].benchReason, "token-not-valid");
+  assert.deepEqual(status.actors, ["gone/actor", "acme/emails"]);
+  assert.equal(Object.keys(results).length, 3);
+});
+
+test("dataset items are matched back to input URLs and email fields of any shape are mapped", async () => {
+  const { results } = await apify.runApifyEmailExtraction(Object.keys(CONTACTS));
+
+  assert.deepEqual(results["https://www.youtube.com/@ketochef"], {
+    emails: ["collabs@ketochef.com"],
+    status: "found",
+    actorId: "acme/emails"
+  });
+  assert.deepEqual(results["https://www.youtube.com/@veganbites"].emails, ["hello@veganbites.com", "press@veganbites.com"]);
+  assert.deepEqual(results["https://www.youtube.com/@quietcreator"], { emails: [], status: "not_found", actorId: "acme/emails" });
+  assert.equal(results["https://youtube.com/@someoneelse"], undefined);
+});
+
+test("cancelling a job aborts its Actor run on Apify", async () => {
+  const job = await apifyJobs.createApifyEmailJob(["https://www.youtube.com/@slowcreator"]);
+
+  const deadline = Date.now() + 10000;
+  while (!job.chunks[0]?.runId) {
+    if (Date.now() > deadline) throw new Error("The Actor run never started");
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const { runId } = job.chunks[0];
+
+  const cancelling = await apifyJobs.cancelApifyEmailJob(job.id);
+  assert.equal(apifyJobs.summarizeApifyJob(cancelling).status, "cancelling");
+
+  // Once the runner has stopped, the job is dropped from memory and read back from disk
+  let finished;
+  while ((finished = await apifyJobs.getApifyEmailJob(job.id)) === job) {
+    if (Date.now() > deadline) throw new Error(`Job is still ${job.status}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  assert.ok(requests.some(r => r.method === "POST" && r.path === `/v2/actor-runs/${runId}/abort`));
+  assert.equal(apifyJobs.summarizeApifyJob(finished).status, "cancelled");
+  assert.equal(finished.error, "Apify extraction cancelled");
+});
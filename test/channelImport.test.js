@@ -0,0 +1,78 @@
+// channelImport.test.js
+// CSV parsing, channel column detection and reference parsing; nothing here calls the API
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseImportList, resolveImportEntries } from "../api/channelImport.js";
+import { parseChannelReference } from "../api/youtube.js";
+
+const CHANNEL_ID = "UC_x5XG1OV2P6uZZ5FSM9Ttw";
+
+test("parseCsv handles quoted commas, escaped quotes, newlines inside quotes and CRLF", () => {
+  const rows = parseCsv('\uFEFFName,URL\r\n"Keto, Chef","https://youtube.com/@ketochef"\r\n"Say ""hi""\nthere",@veganbites\r\n');
+
+  assert.deepEqual(rows, [
+    ["Name", "URL"],
+    ["Keto, Chef", "https://youtube.com/@ketochef"],
+    ['Say "hi"\nthere', "@veganbites"]
+  ]);
+});
+
+test("parseCsv detects semicolon and tab delimiters and keeps blank rows", () => {
+  assert.deepEqual(parseCsv("name;url\nA;@a\n\nB;@b"), [["name", "url"], ["A", "@a"], [""], ["B", "@b"]]);
+  assert.deepEqual(parseCsv("name\turl\nA\t@a"), [["name", "url"], ["A", "@a"]]);
+});
+
+test("parseImportList picks the header column that holds references and numbers rows like the sheet", () => {
+  const { entries, column, hasHeader } = parseImportList([
+    "Channel Name,Channel URL,Notes",
+    "Keto Chef,https://www.youtube.com/@ketochef,great",
+    ",,",
+    "Vegan Bites,youtube.com/c/veganbites,",
+    "Broken,youtube.com/c/abc%E0,"
+  ].join("\n"));
+
+  assert.equal(hasHeader, true);
+  assert.equal(column, 1);
+  assert.deepEqual(entries, [
+    { row: 2, input: "https://www.youtube.com/@ketochef" },
+    { row: 4, input: "youtube.com/c/veganbites" },
+    { row: 5, input: "youtube.com/c/abc%E0" }
+  ]);
+});
+
+test("parseImportList without a header takes the column with the most references", () => {
+  const { entries, column, hasHeader } = parseImportList(`Keto Chef\t@ketochef\nVegan Bites\t${CHANNEL_ID}\nSomeone\tnot a channel`);
+
+  assert.equal(hasHeader, false);
+  assert.equal(column, 1);
+  assert.deepEqual(entries.map(e => e.input), ["@ketochef", CHANNEL_ID, "not a channel"]);
+});
+
+test("parseChannelReference recognizes every supported form", () => {
+  assert.deepEqual(parseChannelReference(CHANNEL_ID), { channelId: CHANNEL_ID });
+  assert.deepEqual(parseChannelReference("@ketochef"), { handle: "ketochef" });
+  assert.deepEqual(parseChannelReference(`https://www.youtube.com/channel/${CHANNEL_ID}`), { channelId: CHANNEL_ID });
+  assert.deepEqual(parseChannelReference("m.youtube.com/@ketochef/videos"), { handle: "ketochef" });
+  assert.deepEqual(parseChannelReference("youtube.com/user/KetoChef"), { username: "KetoChef" });
+  assert.deepEqual(parseChannelReference("youtube.com/c/caf%C3%A9"), { customName: "café" });
+  assert.deepEqual(parseChannelReference("youtube.com/ketochef"), { customName: "ketochef" });
+  assert.equal(parseChannelReference("youtube.com/watch?v=abc"), null);
+  assert.equal(parseChannelReference("https://vimeo.com/ketochef"), null);
+});
+
+test("malformed percent-encoding is an unresolvable row, not an error", async () => {
+  assert.equal(parseChannelReference("youtube.com/c/abc%E0"), null);
+  assert.equal(parseChannelReference("https://www.youtube.com/@%E0%A4%A"), null);
+
+  const ctx = { throwIfCancelled() {}, stageProgress() {} };
+  const { channels, unresolved } = await resolveImportEntries([
+    { row: 2, input: "youtube.com/c/abc%E0" },
+    { row: 3, input: "https://vimeo.com/ketochef" }
+  ], ctx);
+
+  assert.deepEqual(channels, []);
+  assert.deepEqual(unresolved.map(u => [u.row, u.reason]), [
+    [2, "Not a YouTube channel URL, @handle or channel ID"],
+    [3, "Not a YouTube channel URL, @handle or channel ID"]
+  ]);
+});
@@ -0,0 +1,90 @@
+// contactExtraction.test.js
+// Fixture-based tests: a saved About page and real-world style descriptions
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import {
+  categorizeLinks,
+  extractContactInfo,
+  extractContactInfoFromHtml,
+  extractEmails,
+  extractHandle,
+  extractUrls,
+  safeDecodeURIComponent
+} from "../shared/contactExtraction.js";
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("About page: links from anchors and ytInitialData, unwrapped from YouTube redirects", () => {
+  const info = extractContactInfoFromHtml(fixture("about-page.html"));
+
+  assert.equal(info.social.instagram, "https://www.instagram.com/ketochefkitchen");
+  assert.equal(info.social.twitter, "https://x.com/ketochefk");
+  assert.equal(info.social.patreon, "https://www.patreon.com/ketochef");
+  assert.equal(info.socialHandles.instagram, "ketochefkitchen");
+  assert.equal(info.socialHandles.twitter, "ketochefk");
+  assert.deepEqual(info.websites, ["https://ketochefkitchen.com/shop"]);
+  assert.deepEqual(info.linkInBio, ["https://linktr.ee/ketochef"]);
+  assert.equal(info.hasBusinessInquiry, true);
+});
+
+test("About page: mailto links and obfuscated text emails, without prose false positives", () => {
+  const { emails } = extractContactInfoFromHtml(fixture("about-page.html"));
+
+  assert.ok(emails.includes("collabs@ketochefkitchen.com"));
+  assert.ok(emails.includes("hello@ketochefkitchen.com"));
+  assert.ok(emails.includes("jane.doe@bigtalent.co"));
+  assert.ok(!emails.includes("2@example.com"));
+});
+
+test("About page: malformed percent-encoding does not abort the extraction", () => {
+  const info = extractContactInfoFromHtml(fixture("about-page.html"));
+
+  // Undecodable mailto addresses and profile paths are kept as written
+  assert.ok(info.emails.includes("100%off@ketochefkitchen.com"));
+  assert.equal(info.social.tiktok, "https://www.tiktok.com/%E0%A4%A");
+});
+
+test("description: links under section headers, share links losing to profiles", () => {
+  const info = extractContactInfo(fixture("descriptions/link-sections.txt"));
+
+  assert.ok(info.sectionsFound >= 1);
+  assert.equal(info.social.instagram, "https://instagram.com/ketochefkitchen");
+  assert.equal(info.socialHandles.tiktok, "ketochefkitchen");
+  assert.equal(info.social.twitter, "https://x.com/ketochefk");
+  assert.equal(info.socialHandles.twitter, "ketochefk");
+  assert.deepEqual(info.websites, ["https://www.ketochefkitchen.com/shop"]);
+  assert.deepEqual(info.linkInBio, ["https://beacons.ai/ketochef"]);
+  assert.ok(!info.websites.some(url => url.includes("youtube.com")));
+});
+
+test("description: obfuscated emails are recovered", () => {
+  const emails = extractEmails(fixture("descriptions/obfuscated-emails.txt"));
+
+  assert.deepEqual(emails.sort(), [
+    "hello@ketochefkitchen.com",
+    "jane.doe@bigtalent.co",
+    "partners@ketochef.co.uk",
+    "press@ketochefkitchen.com",
+    "recipes@ketochefkitchen.com"
+  ]);
+});
+
+test("description: numbers and prose before \"at\" are not turned into emails", () => {
+  assert.deepEqual(extractEmails(fixture("descriptions/false-positives.txt")), []);
+});
+
+test("description: a malformed link survives URL extraction", () => {
+  const urls = extractUrls(fixture("descriptions/false-positives.txt"));
+  assert.ok(urls.some(url => url.includes("%E0%A4%A")));
+});
+
+test("malformed percent-encoding in social profile paths", () => {
+  assert.equal(safeDecodeURIComponent("%E0%A4%A"), "%E0%A4%A");
+  assert.equal(safeDecodeURIComponent("caf%C3%A9"), "café");
+  assert.equal(extractHandle("instagram", "https://instagram.com/%E0%A4%A"), "%e0%a4%a");
+
+  const { social } = categorizeLinks(["https://instagram.com/%E0%A4%A", "https://twitter.com/ok_handle"]);
+  assert.equal(social.instagram, "https://instagram.com/%E0%A4%A");
+  assert.equal(social.twitter, "https://twitter.com/ok_handle");
+});
@@ -0,0 +1,56 @@
+// cron.test.js
+// Cron parsing and next-run calculation, all in UTC
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron, nextCronRun } from "../api/cron.js";
+
+const at = iso => new Date(iso);
+const next = (expression, from) => nextCronRun(expression, at(from)).toISOString();
+
+test("parseCron expands lists, ranges, steps, aliases and Sunday as 7", () => {
+  const cron = parseCron("0,30 9-17/4 1,15 */6 7");
+
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+  assert.deepEqual([...cron.month], [1, 7]);
+  assert.deepEqual([...cron.dayOfWeek].sort(), [0, 7]);
+  assert.deepEqual(cron.restrictedDays, { dom: true, dow: true });
+
+  assert.deepEqual(parseCron("@Weekly"), parseCron("0 0 * * 1"));
+});
+
+test("parseCron rejects malformed and out-of-range fields", () => {
+  assert.throws(() => parseCron("0 9 * *"), /needs 5 fields/);
+  assert.throws(() => parseCron(""), /needs 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute out of range/);
+  assert.throws(() => parseCron("0 9 * 0 *"), /month out of range/);
+  assert.throws(() => parseCron("0 9 5-1 * *"), /day of month out of range/);
+  assert.throws(() => parseCron("*/0 * * * *"), /minute out of range/);
+  assert.throws(() => parseCron("0 9 * * mon"), /Invalid cron day of week/);
+});
+
+test("parseCron rejects days of month that never occur in the selected months", () => {
+  assert.throws(() => parseCron("0 0 30 2 *"), /day of month "30" never occurs in month "2"/);
+  assert.throws(() => parseCron("0 0 31 4,6,9,11 *"), /never occurs/);
+
+  // Feb 29 exists in leap years, and one possible month is enough
+  assert.doesNotThrow(() => parseCron("0 0 29 2 *"));
+  assert.doesNotThrow(() => parseCron("0 0 31 2,3 *"));
+  // With both day fields restricted, the day of week alone can match
+  assert.doesNotThrow(() => parseCron("0 0 30 2 1"));
+});
+
+test("nextCronRun returns the first matching minute strictly after the start", () => {
+  assert.equal(next("*/15 * * * *", "2024-05-01T10:07:30Z"), "2024-05-01T10:15:00.000Z");
+  assert.equal(next("*/15 * * * *", "2024-05-01T10:15:00Z"), "2024-05-01T10:30:00.000Z");
+  assert.equal(next("@daily", "2024-12-31T23:59:00Z"), "2025-01-01T00:00:00.000Z");
+  assert.equal(next("30 9 * * 1-5", "2024-05-03T10:00:00Z"), "2024-05-06T09:30:00.000Z");
+  assert.equal(next("0 0 29 2 *", "2024-03-01T00:00:00Z"), "2028-02-29T00:00:00.000Z");
+});
+
+test("nextCronRun matches either day field when both are restricted", () => {
+  // The 15th, or any Monday: Monday 2024-05-06 comes first
+  assert.equal(next("0 12 15 * 1", "2024-05-01T00:00:00Z"), "2024-05-06T12:00:00.000Z");
+  assert.equal(next("0 12 15 * 1", "2024-05-13T13:00:00Z"), "2024-05-15T12:00:00.000Z");
+});
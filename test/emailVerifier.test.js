@@ -0,0 +1,128 @@
+// emailVerifier.test.js
+// MX lookups go through a stub resolver, so these run without network access
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { verifyEmail, verifyEmails, pickBestEmail, setDnsResolver } from "../api/emailVerifier.js";
+
+const MX_RECORDS = {
+  "ketochefkitchen.com": [{ exchange: "mx1.ketochefkitchen.com", priority: 10 }],
+  "gmail.com": [{ exchange: "gmail-smtp-in.l.google.com", priority: 5 }],
+  "mailinator.com": [{ exchange: "mail.mailinator.com", priority: 10 }],
+  "creatorbrand.com": [{ exchange: "mx.creatorbrand.com", priority: 10 }],
+  "nullmx.com": [{ exchange: ".", priority: 0 }]
+};
+
+// Domains that exist but publish no MX records
+const ADDRESS_RECORDS = {
+  "selfhosted.com": ["203.0.113.10"],
+  "parked.com": []
+};
+
+function dnsError(code) {
+  return Object.assign(new Error(`query failed: ${code}`), { code });
+}
+
+let lookups;
+
+function stubResolver() {
+  return {
+    async resolveMx(domain) {
+      lookups.push(domain);
+      if (domain === "flaky-dns.com") throw dnsError("ETIMEOUT");
+      if (MX_RECORDS[domain]) return MX_RECORDS[domain];
+      throw dnsError(ADDRESS_RECORDS[domain] ? "ENODATA" : "ENOTFOUND");
+    },
+    async resolve4(domain) {
+      if (ADDRESS_RECORDS[domain]?.length) return ADDRESS_RECORDS[domain];
+      throw dnsError(ADDRESS_RECORDS[domain] ? "ENODATA" : "ENOTFOUND");
+    },
+    async resolve6(domain) {
+      throw dnsError(ADDRESS_RECORDS[domain] ? "ENODATA" : "ENOTFOUND");
+    }
+  };
+}
+
+beforeEach(() => {
+  lookups = [];
+  setDnsResolver(stubResolver());
+});
+
+after(() => setDnsResolver(null));
+
+test("business address on the creator's own domain is valid with a high score", async () => {
+  const result = await verifyEmail("Business@KetoChefKitchen.com", { websites: ["https://www.ketochefkitchen.com/shop"] });
+
+  assert.equal(result.email, "business@ketochefkitchen.com");
+  assert.equal(result.status, "valid");
+  assert.equal(result.checks.mx, true);
+  assert.equal(result.checks.business, true);
+  assert.equal(result.checks.matchesWebsite, true);
+  assert.equal(result.score, 100);
+});
+
+test("asset filenames, placeholders and no-reply mailboxes are invalid without a lookup", async () => {
+  for (const email of ["logo@2x.png", "yourname@example.com", "noreply@ketochefkitchen.com", "not an email"]) {
+    assert.equal((await verifyEmail(email)).status, "invalid", email);
+  }
+  assert.deepEqual(lookups, []);
+});
+
+test("generic mailbox names on a real domain are not placeholders", async () => {
+  for (const email of ["email@creatorbrand.com", "name@creatorbrand.com", "user@creatorbrand.com"]) {
+    const result = await verifyEmail(email);
+    assert.equal(result.checks.placeholder, false, email);
+    assert.notEqual(result.status, "invalid", email);
+  }
+});
+
+test("domains without MX records are invalid", async () => {
+  assert.equal((await verifyEmail("hello@no-such-domain.com")).status, "invalid");
+  assert.equal((await verifyEmail("hello@nullmx.com")).status, "invalid");
+});
+
+test("a domain without MX records still takes mail at its address record", async () => {
+  const personal = await verifyEmail("jane@selfhosted.com");
+  assert.equal(personal.checks.mx, true);
+  assert.equal(personal.checks.implicitMx, true);
+  assert.equal(personal.status, "risky");
+
+  const business = await verifyEmail("business@selfhosted.com");
+  assert.equal(business.status, "valid");
+  assert.ok(business.score < (await verifyEmail("business@ketochefkitchen.com")).score);
+
+  // Neither MX nor address records: nowhere to deliver
+  assert.equal((await verifyEmail("hello@parked.com")).status, "invalid");
+});
+
+test("a failing lookup is unknown rather than invalid, and is retried next time", async () => {
+  const first = await verifyEmail("hello@flaky-dns.com");
+  assert.equal(first.status, "unknown");
+  assert.equal(first.checks.mx, null);
+
+  await verifyEmail("hello@flaky-dns.com");
+  assert.deepEqual(lookups, ["flaky-dns.com", "flaky-dns.com"]);
+});
+
+test("disposable domains are risky and free mail scores lower than the creator's domain", async () => {
+  assert.equal((await verifyEmail("collab@mailinator.com")).status, "risky");
+
+  const free = await verifyEmail("ketochef@gmail.com");
+  const own = await verifyEmail("ketochef@ketochefkitchen.com");
+  assert.equal(free.checks.freeMail, true);
+  assert.ok(free.score < own.score);
+});
+
+test("verifyEmails collapses case duplicates and pickBestEmail prefers the business mailbox", async () => {
+  const verified = await verifyEmails([
+    "ketochef@gmail.com",
+    "KETOCHEF@gmail.com",
+    "hello@ketochefkitchen.com",
+    "collabs@ketochefkitchen.com",
+    "logo@2x.png"
+  ]);
+
+  assert.equal(verified.length, 4);
+  assert.equal(verified[0].email, "collabs@ketochefkitchen.com");
+  assert.equal(pickBestEmail(verified).email, "collabs@ketochefkitchen.com");
+  assert.equal(pickBestEmail(verified.filter(v => v.status === "invalid")), null);
+});
@@ -0,0 +1,103 @@
+// exportResults.test.js
+// Export formats: stable JSON keys, and formula-like cells neutralized in CSV and XLSX
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { promises as fs } from "fs";
+
+// Lead status is read from the lead store under DATA_DIR
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "export-test-"));
+process.env.DATA_DIR = dataDir;
+const { exportSearchResults, escapeSpreadsheetFormula } = await import("../api/exportResults.js");
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const CHANNELS = [
+  {
+    id: "UC_keto",
+    name: "=HYPERLINK(\"http://evil.example\",\"Keto Chef\")",
+    url: "https://www.youtube.com/channel/UC_keto",
+    subscribers: "12000",
+    engagementRate: 4.567,
+    email: "business@ketochefkitchen.com",
+    description: "@everyone new video",
+    contactSources: { emails: { "business@ketochefkitchen.com": [{ source: "about" }] } }
+  },
+  { id: "UC_vegan", name: "Vegan Bites", url: "https://www.youtube.com/channel/UC_vegan", subscribers: 800, engagementRate: 1, description: "-5 kg in a month" }
+];
+
+// Entries of a stored or deflated ZIP, by name
+function unzip(buffer) {
+  const files = {};
+  for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034b50;) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString("utf8", offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(start, start + size);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString("utf8");
+    offset = start + size;
+  }
+  return files;
+}
+
+test("JSON and NDJSON records are keyed by column id, not display label", async () => {
+  const { body, rowCount } = await exportSearchResults(CHANNELS, { format: "json", columns: ["channelId", "subscribers", "engagementRate", "contactSources"] });
+  const records = JSON.parse(body);
+
+  assert.equal(rowCount, 2);
+  assert.deepEqual(records[0], {
+    channelId: "UC_keto",
+    subscribers: 12000,
+    engagementRate: 4.57,
+    contactSources: CHANNELS[0].contactSources
+  });
+
+  const { body: ndjson } = await exportSearchResults(CHANNELS, { format: "ndjson", columns: ["channelId", "engagementRate"] });
+  assert.deepEqual(ndjson.trim().split("\n").map(line => JSON.parse(line)), [
+    { channelId: "UC_keto", engagementRate: 4.57 },
+    { channelId: "UC_vegan", engagementRate: 1 }
+  ]);
+});
+
+test("JSON exports with a preset use the tool's field names and skip channels without email", async () => {
+  const { body } = await exportSearchResults(CHANNELS, { format: "json", preset: "instantly" });
+  const records = JSON.parse(body);
+
+  assert.equal(records.length, 1);
+  assert.equal(records[0].email, "business@ketochefkitchen.com");
+  assert.equal(records[0].youtube_url, "https://www.youtube.com/channel/UC_keto");
+});
+
+test("escapeSpreadsheetFormula quotes text a spreadsheet would evaluate and leaves numbers alone", () => {
+  assert.equal(escapeSpreadsheetFormula("=1+1"), "'=1+1");
+  assert.equal(escapeSpreadsheetFormula("+44 20 7946 0000"), "'+44 20 7946 0000");
+  assert.equal(escapeSpreadsheetFormula("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(escapeSpreadsheetFormula("\tcmd"), "'\tcmd");
+  assert.equal(escapeSpreadsheetFormula("Keto Chef"), "Keto Chef");
+  assert.equal(escapeSpreadsheetFormula(-5), -5);
+});
+
+test("CSV cells starting with a formula character are prefixed with a quote", async () => {
+  const { body } = await exportSearchResults(CHANNELS, { format: "csv", columns: ["name", "subscribers", "description"] });
+  const lines = body.replace(/^\uFEFF/, "").split("\r\n");
+
+  assert.equal(lines[0], '"Channel Name","Subscribers","Description"');
+  assert.equal(lines[1], '"\'=HYPERLINK(""http://evil.example"",""Keto Chef"")",12000,"\'@everyone new video"');
+  assert.equal(lines[2], '"Vegan Bites",800,"\'-5 kg in a month"');
+});
+
+test("XLSX text cells starting with a formula character use the quote-prefix style", async () => {
+  const { body } = await exportSearchResults(CHANNELS, { format: "xlsx", columns: ["name", "subscribers", "description"] });
+  const files = unzip(body);
+  const sheet = files["xl/worksheets/sheet1.xml"];
+
+  assert.match(files["xl/styles.xml"], /quotePrefix="1"/);
+  assert.ok(!/<f>/.test(sheet));
+  const styledCells = [...sheet.matchAll(/<c r="([A-Z]+\d+)"[^>]*\ss="1"/g)].map(m => m[1]);
+  assert.deepEqual(styledCells, ["A2", "C2", "C3"]);
+});
@@ -0,0 +1,56 @@
+// llm.mock.test.js
+// The mock provider: deterministic AI output and usage reporting without any network
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Provider config is read when llm.js loads
+process.env.LLM_PROVIDER = "mock";
+const { getLlmConfig, getLlmUsage, isLlmConfigured } = await import("../api/llm.js");
+const { generatePersonalizedOutreach } = await import("../api/generatePersonalizedOutreach.js");
+const { analyzePainPoints } = await import("../api/analyzePainPoints.js");
+
+const channel = {
+  channelName: "Keto Chef Kitchen",
+  ownerName: "Sam",
+  recentVideos: [{ id: "v1", title: "5 keto breads I actually bake" }]
+};
+
+test("mock provider needs no API key", () => {
+  assert.equal(getLlmConfig().provider, "mock");
+  assert.equal(isLlmConfigured(), true);
+});
+
+test("outreach from the mock provider is marked as AI and is deterministic", async () => {
+  const template = { name: "Test", tone: "friendly", followUpCount: 2, followUpIntervalDays: 4, variantCount: 2 };
+  const first = await generatePersonalizedOutreach({ ...channel, template });
+  const second = await generatePersonalizedOutreach({ ...channel, template });
+
+  assert.equal(first.source, "ai");
+  assert.equal(first.fallbackReason, undefined);
+  assert.equal(first.variants.length, 2);
+  assert.match(first.firstLine, /^Hey Sam, watched some of your recent videos like the one about 5 keto breads/);
+  assert.deepEqual(first.followUps.map(f => f.sendAfterDays), [4, 8]);
+  assert.deepEqual({ ...second, usage: null }, { ...first, usage: null });
+});
+
+test("pain-point analysis runs through the mock provider", async () => {
+  const result = await analyzePainPoints([
+    "How do you keep the bread from getting soggy?",
+    "Mine always gets soggy, how do you stop that?",
+    "Can you do a video on keto pizza dough please?"
+  ], { channelName: "Keto Chef Kitchen" });
+
+  assert.equal(result.source, "ai");
+  assert.equal(result.commentsAnalyzed, 3);
+  assert.ok(Array.isArray(result.painPoints));
+});
+
+test("usage is reported per purpose with token estimates", () => {
+  const usage = getLlmUsage();
+
+  assert.equal(usage.byPurpose.outreach.requests, 2);
+  assert.equal(usage.byPurpose.painPoints.requests, 1);
+  assert.equal(usage.failures, 0);
+  assert.ok(usage.totalTokens > 0);
+  assert.equal(usage.totalTokens, usage.promptTokens + usage.completionTokens);
+});
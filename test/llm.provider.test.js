@@ -0,0 +1,118 @@
+// llm.provider.test.js
+// The OpenAI-compatible provider against a local stub server: retries, fallback and the concurrency limit
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// Each queued reply is { status, content?, delayMs? }; an empty queue answers with a valid completion
+let replies = [];
+let requests = 0;
+let inFlight = 0;
+let maxInFlight = 0;
+
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on("end", () => {
+    requests++;
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+
+    const reply = replies.shift() || { status: 200, content: '{"ok": true}' };
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(reply.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply.status === 200
+        ? {
+          id: "chatcmpl-test",
+          object: "chat.completion",
+          model: "stub",
+          choices: [{ index: 0, message: { role: "assistant", content: reply.content }, finish_reason: "stop" }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        }
+        : { error: { message: `stub error ${reply.status}` } }));
+    }, reply.delayMs || 0);
+  });
+});
+
+let llm;
+let generatePersonalizedOutreach;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  // Provider config is read when llm.js loads
+  Object.assign(process.env, {
+    LLM_PROVIDER: "openai-compatible",
+    LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    LLM_MODEL: "stub-model",
+    LLM_MAX_RETRIES: "2",
+    LLM_RETRY_BASE_MS: "5",
+    LLM_MAX_CONCURRENCY: "2"
+  });
+  llm = await import("../api/llm.js");
+  ({ generatePersonalizedOutreach } = await import("../api/generatePersonalizedOutreach.js"));
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  replies = [];
+  requests = 0;
+  maxInFlight = 0;
+});
+
+test("rate limits and server errors are retried with backoff", async () => {
+  replies = [{ status: 429 }, { status: 503 }, { status: 200, content: '{"answer": 42}' }];
+  const retriesBefore = llm.getLlmUsage().retries;
+
+  const result = await llm.completeJson({ prompt: "p", purpose: "test" });
+
+  assert.deepEqual(result.data, { answer: 42 });
+  assert.equal(result.provider, "openai-compatible");
+  assert.equal(result.model, "stub-model");
+  assert.deepEqual(result.usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+  assert.equal(requests, 3);
+  assert.equal(llm.getLlmUsage().retries - retriesBefore, 2);
+});
+
+test("client errors are not retried", async () => {
+  replies = [{ status: 400 }];
+
+  await assert.rejects(llm.completeJson({ prompt: "p", purpose: "test" }), err => {
+    assert.equal(err.name, "LLMError");
+    assert.equal(err.status, 400);
+    return true;
+  });
+  assert.equal(requests, 1);
+});
+
+test("JSON wrapped in prose by a local model is still parsed", async () => {
+  replies = [{ status: 200, content: 'Sure! Here it is:\n```json\n{"painPoints": []}\n```' }];
+
+  const result = await llm.completeJson({ prompt: "p", purpose: "test" });
+  assert.deepEqual(result.data, { painPoints: [] });
+});
+
+test("outreach falls back to canned text once retries are exhausted, and says so", async () => {
+  replies = [{ status: 500 }, { status: 500 }, { status: 500 }];
+
+  const outreach = await generatePersonalizedOutreach({
+    channelName: "Keto Chef Kitchen",
+    recentVideos: [{ id: "v1", title: "5 keto breads I actually bake" }]
+  });
+
+  assert.equal(requests, 3);
+  assert.equal(outreach.source, "fallback");
+  assert.match(outreach.fallbackReason, /500/);
+  assert.match(outreach.firstLine, /^Hey Keto, watched your recent video about 5 keto breads/);
+});
+
+test("no more than LLM_MAX_CONCURRENCY requests are in flight", async () => {
+  replies = Array.from({ length: 6 }, () => ({ status: 200, content: '{"ok": true}', delayMs: 30 }));
+
+  await Promise.all(Array.from({ length: 6 }, () => llm.completeJson({ prompt: "p", purpose: "test" })));
+
+  assert.equal(requests, 6);
+  assert.equal(maxInFlight, 2);
+  assert.equal(llm.getLlmUsage().active, 0);
+});
@@ -0,0 +1,50 @@
+// outreachTemplates.test.js
+// Template number fields: strict validation, and 0 kept as a real value through to the outreach
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+
+// The template store and the LLM provider are configured when the modules load
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "templates-test-"));
+Object.assign(process.env, { DATA_DIR: dataDir, LLM_PROVIDER: "mock" });
+const { createOutreachTemplate, updateOutreachTemplate } = await import("../api/outreachTemplates.js");
+const { generatePersonalizedOutreach } = await import("../api/generatePersonalizedOutreach.js");
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+test("number fields accept whole numbers and numeric strings, and reject anything else", async () => {
+  const template = await createOutreachTemplate({ name: "Short pitch", followUpCount: "3", followUpIntervalDays: 0 });
+  assert.equal(template.followUpCount, 3);
+  assert.equal(template.followUpIntervalDays, 0);
+  assert.equal(template.variantCount, 1);
+
+  for (const followUpIntervalDays of ["", "3 days", 2.5, -1, null, "0x10"]) {
+    await assert.rejects(
+      createOutreachTemplate({ name: "Bad", followUpIntervalDays }),
+      /followUpIntervalDays must be a non-negative whole number/,
+      String(followUpIntervalDays)
+    );
+  }
+
+  const updated = await updateOutreachTemplate(template.id, { followUpIntervalDays: "7" });
+  assert.equal(updated.followUpIntervalDays, 7);
+  await assert.rejects(updateOutreachTemplate(template.id, { variantCount: 0 }), /variantCount must be between 1 and 5/);
+});
+
+test("a follow-up interval of 0 days schedules every follow-up for the same day", async () => {
+  const template = await createOutreachTemplate({ name: "Same day", followUpCount: 2, followUpIntervalDays: 0 });
+  const outreach = await generatePersonalizedOutreach({
+    channelName: "Keto Chef Kitchen",
+    recentVideos: [{ id: "v1", title: "5 keto breads I actually bake" }],
+    template
+  });
+
+  assert.deepEqual(outreach.followUps.map(f => f.sendAfterDays), [0, 0]);
+
+  // A template without the field still gets the default interval
+  const { followUpIntervalDays, ...withoutInterval } = template;
+  const fallback = await generatePersonalizedOutreach({ channelName: "Keto Chef Kitchen", template: withoutInterval });
+  assert.deepEqual(fallback.followUps.map(f => f.sendAfterDays), [3, 6]);
+});
@@ -0,0 +1,101 @@
+// savedSearches.test.js
+// Saved-search validation against the template and profile stores, and run diffs
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+
+// All stores live under DATA_DIR, read when the modules load
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "saved-searches-test-"));
+process.env.DATA_DIR = dataDir;
+const { createSavedSearch, updateSavedSearch, diffSearchResults } = await import("../api/savedSearches.js");
+const { createOutreachTemplate, deleteOutreachTemplate } = await import("../api/outreachTemplates.js");
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const SEARCH = { name: "Keto creators", niche: "keto recipes", targetAudience: "home cooks" };
+
+test("saved searches must reference an existing outreach template and scoring profile", async () => {
+  await assert.rejects(createSavedSearch({ ...SEARCH, outreachTemplateId: "no-such-template" }), /Outreach template not found/);
+  await assert.rejects(createSavedSearch({ ...SEARCH, scoringProfileId: "no-such-profile" }), /Scoring profile not found/);
+
+  const savedSearch = await createSavedSearch(SEARCH);
+  assert.equal(savedSearch.params.outreachTemplateId, "default");
+  assert.equal(savedSearch.params.scoringProfileId, "default");
+
+  await assert.rejects(updateSavedSearch(savedSearch.id, { scoringProfileId: "no-such-profile" }), /Scoring profile not found/);
+  assert.equal(savedSearch.params.scoringProfileId, "default");
+});
+
+test("updates re-check a template that was deleted after the search was saved", async () => {
+  const template = await createOutreachTemplate({ name: "Short pitch" });
+  const savedSearch = await createSavedSearch({ ...SEARCH, outreachTemplateId: template.id });
+  assert.equal(savedSearch.params.outreachTemplateId, template.id);
+
+  await deleteOutreachTemplate(template.id);
+  await assert.rejects(updateSavedSearch(savedSearch.id, { name: "Renamed" }), /Outreach template not found/);
+  assert.equal(savedSearch.name, "Keto creators");
+
+  const updated = await updateSavedSearch(savedSearch.id, { name: "Renamed", outreachTemplateId: "default" });
+  assert.equal(updated.name, "Renamed");
+  assert.equal(updated.params.outreachTemplateId, "default");
+});
+
+test("diffSearchResults reports added, removed and channels past the change thresholds", () => {
+  const previous = [
+    { id: "UC_keto", name: "Keto Chef", subscribers: "10000", engagementRate: 3.2 },
+    { id: "UC_vegan", name: "Vegan Bites", subscribers: 50000, engagementRate: 2 },
+    { id: "UC_paleo", name: "Paleo Pantry", subscribers: 8000, engagementRate: 5 },
+    { id: "UC_quiet", name: "Quiet Creator", subscribers: 0, engagementRate: 1 }
+  ];
+  const current = [
+    { id: "UC_keto", name: "Keto Chef", url: "https://www.youtube.com/channel/UC_keto", subscribers: 11500, engagementRate: 3.5, email: "hi@ketochef.com" },
+    { id: "UC_vegan", name: "Vegan Bites", subscribers: 52000, engagementRate: 0.9 },
+    { id: "UC_quiet", name: "Quiet Creator", subscribers: 400, engagementRate: 1.5 },
+    { id: "UC_lowcarb", name: "Low Carb Lab", subscribers: 30000, engagementRate: 4 }
+  ];
+
+  const diff = diffSearchResults(previous, current);
+
+  assert.deepEqual(diff.added.map(c => c.channelId), ["UC_lowcarb"]);
+  assert.deepEqual(diff.removed.map(c => c.channelId), ["UC_paleo"]);
+  // +15% subscribers, and -1.1 engagement points; 0 -> 400 subscribers is not a percentage change
+  assert.deepEqual(diff.changed, [
+    {
+      channelId: "UC_keto",
+      name: "Keto Chef",
+      url: "https://www.youtube.com/channel/UC_keto",
+      subscribers: 11500,
+      engagementRate: 3.5,
+      email: "hi@ketochef.com",
+      subscribersBefore: 10000,
+      subscribersChangePct: 15,
+      engagementRateBefore: 3.2,
+      engagementRateChange: 0.3
+    },
+    {
+      channelId: "UC_vegan",
+      name: "Vegan Bites",
+      url: undefined,
+      subscribers: 52000,
+      engagementRate: 0.9,
+      email: null,
+      subscribersBefore: 50000,
+      subscribersChangePct: 4,
+      engagementRateBefore: 2,
+      engagementRateChange: -1.1
+    }
+  ]);
+  assert.equal(diff.unchangedCount, 1);
+  assert.deepEqual(diff.thresholds, { subscriberChangePct: 10, engagementChangePoints: 1 });
+});
+
+test("the first run of a saved search diffs against nothing", () => {
+  const diff = diffSearchResults([], [{ id: "UC_keto", name: "Keto Chef", subscribers: 10000 }]);
+
+  assert.deepEqual(diff.added.map(c => c.channelId), ["UC_keto"]);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.changed, []);
+  assert.equal(diff.unchangedCount, 0);
+});
@@ -0,0 +1,73 @@
+// sponsorDetection.test.js
+// Fixture-based tests for sponsor phrases, promo codes and affiliate / tracking links
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { classifySponsorLink, detectSponsors, findSponsorMentions } from "../api/sponsorDetection.js";
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+const OWN_HOSTS = new Set(["ketochefkitchen.com"]);
+
+test("sponsor phrases, codes and links in a sponsored description", () => {
+  const { mentions } = findSponsorMentions(fixture("descriptions/sponsored.txt"), OWN_HOSTS);
+  const summary = mentions.map(m => [m.signal, m.brand, m.linkType || m.code || null]);
+
+  assert.deepEqual(summary, [
+    ["sponsorPhrase", "NordVPN", null],
+    ["trackingLink", "nordvpn", "tracking"],
+    ["promoCode", "nordvpn", "KETOCHEF"],
+    ["affiliateLink", "Amazon", "amazon"],
+    ["affiliateLink", "Amazon", "amazon"],
+    ["promoCode", "Thrive Market", "THRIVE20"],
+    ["shortLink", "Escali", "shortlink"],
+    ["affiliateLink", "butcherbox", "impact"],
+    ["affiliateLink", "madeincookware", "awin"]
+  ]);
+});
+
+test("the creator's own shop is never a sponsor", () => {
+  const { mentions } = findSponsorMentions(fixture("descriptions/sponsored.txt"), OWN_HOSTS);
+  assert.ok(!mentions.some(m => m.code === "MERCH10" || m.url?.includes("ketochefkitchen.com")));
+});
+
+test("analytics parameters, prose before \"code\" and social links are not sponsors", () => {
+  const { mentions } = findSponsorMentions(fixture("descriptions/sponsor-false-positives.txt"), OWN_HOSTS);
+
+  // "Full code ABC123" is a code without a brand, not a brand called "Full"
+  assert.deepEqual(mentions, [{ brand: null, signal: "promoCode", code: "ABC123" }]);
+});
+
+test("classifySponsorLink tells affiliate parameters from analytics parameters", () => {
+  assert.equal(classifySponsorLink("https://www.seriouseats.com/bread?utm_source=youtube"), null);
+  assert.equal(classifySponsorLink("https://en.wikipedia.org/wiki/Keto?ref=yt"), null);
+  assert.equal(classifySponsorLink("https://www.amazon.com/dp/B000123"), null);
+  assert.deepEqual(classifySponsorLink("https://athleticgreens.com/?aff_id=123"), { linkType: "tracking", brand: "athleticgreens" });
+  assert.deepEqual(classifySponsorLink("https://bit.ly/abc"), { linkType: "shortlink", brand: null });
+});
+
+test("a code with no brand on its line takes the one sponsor named in the same text", () => {
+  const { mentions } = findSponsorMentions("Thanks to Athletic Greens for sponsoring this video!\n\nUse code KETO10");
+  assert.deepEqual(mentions.map(m => m.brand), ["Athletic Greens", "Athletic Greens"]);
+});
+
+test("detectSponsors merges a brand across videos and pinned comments", () => {
+  const videos = [
+    { id: "v1", title: "Almond flour bread", url: "https://youtu.be/v1", publishedAt: "2024-05-01T00:00:00Z", description: fixture("descriptions/sponsored.txt") },
+    { id: "v2", title: "Keto pizza", url: "https://youtu.be/v2", publishedAt: "2024-06-01T00:00:00Z", description: "No sponsor this week." },
+    { id: "v3", title: "Recipe sources", url: "https://youtu.be/v3", publishedAt: "2024-04-01T00:00:00Z", description: fixture("descriptions/sponsor-false-positives.txt") }
+  ];
+  const comments = [{ videoId: "v2", text: "Thanks to NordVPN for sponsoring! Code KETOCHEF still works" }];
+
+  const result = detectSponsors(videos, comments, { ownUrls: ["https://www.ketochefkitchen.com/shop"] });
+  const nord = result.brands.find(b => b.brand === "NordVPN");
+
+  assert.equal(nord.firstSeen, "2024-05-01T00:00:00Z");
+  assert.equal(nord.lastSeen, "2024-06-01T00:00:00Z");
+  assert.deepEqual(nord.promoCodes, ["KETOCHEF"]);
+  assert.deepEqual(nord.videos.map(v => [v.id, v.source]), [["v1", "description"], ["v2", "pinnedComment"]]);
+  assert.equal(result.brands[0], nord);
+  assert.equal(result.sponsoredVideoCount, 2);
+  assert.equal(result.lastSponsoredAt, "2024-06-01T00:00:00Z");
+  assert.ok(!result.brands.some(b => ["Full", "seriouseats", "wikipedia"].includes(b.brand)));
+  assert.deepEqual(result.unattributed.map(u => u.value), ["ABC123"]);
+});
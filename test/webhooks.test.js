@@ -0,0 +1,128 @@
+// webhooks.test.js
+// Deliveries to a local HTTP receiver: signatures, retries and the lead.qualified rule
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+
+// Status codes to answer with, in order; an empty queue answers 200
+let responses = [];
+let received = [];
+
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(responses.shift() || 200);
+    res.end("ok");
+  });
+});
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "webhooks-test-"));
+
+// Stores and retry timing are configured when the modules load
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  WEBHOOK_RETRY_BASE_MS: "10",
+  WEBHOOK_MAX_ATTEMPTS: "3"
+});
+const { createWebhook, emitWebhookEvent, listDeliveries, notifySearchCompleted, signPayload } = await import("../api/webhooks.js");
+const { upsertLeads } = await import("../api/leadStore.js");
+
+let webhook;
+
+async function waitForDeliveries(count) {
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    const deliveries = await listDeliveries({ webhookId: webhook.id, limit: 500 });
+    const finished = deliveries.filter(d => d.status === "delivered" || d.status === "failed");
+    if (finished.length >= count && finished.length === deliveries.length) return deliveries;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${count} deliveries`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+  webhook = await createWebhook({ url: `http://127.0.0.1:${receiver.address().port}/hook` });
+});
+
+after(async () => {
+  receiver.close();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  responses = [];
+  received = [];
+});
+
+test("deliveries are signed with the webhook secret over timestamp and body", async () => {
+  const [queued] = await emitWebhookEvent("ping", { hello: "world" }, { webhookId: webhook.id });
+  await waitForDeliveries(1);
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.equal(headers["x-webhook-event"], "ping");
+  assert.equal(headers["x-webhook-delivery"], queued.id);
+  assert.equal(headers["x-webhook-signature"], `sha256=${signPayload(webhook.secret, headers["x-webhook-timestamp"], body)}`);
+  assert.notEqual(headers["x-webhook-signature"], `sha256=${signPayload("wrong-secret-value", headers["x-webhook-timestamp"], body)}`);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, queued.id);
+  assert.equal(payload.event, "ping");
+  assert.equal(payload.version, 1);
+  assert.deepEqual(payload.data, { hello: "world" });
+});
+
+test("a failing receiver is retried and every attempt is logged", async () => {
+  responses = [500, 503];
+  const [queued] = await emitWebhookEvent("ping", { retry: true }, { webhookId: webhook.id });
+  await waitForDeliveries(2);
+
+  const delivery = (await listDeliveries({ webhookId: webhook.id })).find(d => d.id === queued.id);
+  assert.equal(delivery.status, "delivered");
+  assert.deepEqual(delivery.attempts.map(a => a.statusCode), [500, 503, 200]);
+  assert.deepEqual(delivery.attempts.map(a => a.error), ["HTTP 500", "HTTP 503", undefined]);
+  assert.equal(received.length, 3);
+  assert.equal(new Set(received.map(r => r.headers["x-webhook-delivery"])).size, 1);
+});
+
+test("deliveries give up after the configured number of attempts", async () => {
+  responses = [500, 500, 500];
+  const [queued] = await emitWebhookEvent("ping", {}, { webhookId: webhook.id });
+  await waitForDeliveries(3);
+
+  const delivery = (await listDeliveries({ webhookId: webhook.id, status: "failed" })).find(d => d.id === queued.id);
+  assert.equal(delivery.attempts.length, 3);
+  assert.equal(delivery.nextAttemptAt, null);
+});
+
+test("lead.qualified fires on a lead's first qualifying search only", async () => {
+  const channel = { id: "UC_keto", name: "Keto Chef Kitchen", url: "https://www.youtube.com/channel/UC_keto", subscribers: 12000 };
+  const eventsFor = () => received.map(r => r.headers["x-webhook-event"]).sort();
+  const before = (await listDeliveries({ webhookId: webhook.id, limit: 500 })).length;
+
+  // Seen but filtered out in an earlier search: not qualified yet
+  await upsertLeads([channel], "search-0");
+
+  await upsertLeads([channel], "search-1", { qualified: true });
+  await notifySearchCompleted("search-1", { niche: "keto" }, [channel]);
+  await waitForDeliveries(before + 2);
+  assert.deepEqual(eventsFor(), ["lead.qualified", "search.completed"]);
+
+  const qualified = JSON.parse(received.find(r => r.headers["x-webhook-event"] === "lead.qualified").body);
+  assert.equal(qualified.data.searchId, "search-1");
+  assert.equal(qualified.data.lead.channelId, "UC_keto");
+  assert.equal(qualified.data.lead.subscribers, 12000);
+
+  received = [];
+  await upsertLeads([channel], "search-2", { qualified: true });
+  await notifySearchCompleted("search-2", { niche: "keto" }, [channel]);
+  await waitForDeliveries(before + 3);
+  assert.deepEqual(eventsFor(), ["search.completed"]);
+});
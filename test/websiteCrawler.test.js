@@ -0,0 +1,144 @@
+// websiteCrawler.test.js
+// Crawls local stub sites: hostnames resolve through a stub lookup to 127.0.0.1,
+// which CRAWLER_ALLOWED_ADDRESSES exempts from the private-network block
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+const BIG_PAGE_BYTES = 2.5 * 1024 * 1024;
+
+let port;
+let requests = [];
+
+function page(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", ...headers });
+  res.end(body);
+}
+
+const SITES = {
+  "creator.test": {
+    "/robots.txt": res => page(res, 200, "User-agent: *\nDisallow: /private\n", { "Content-Type": "text/plain" }),
+    "/": res => page(res, 200, '<a href="/private/contact">Team</a> <a href="mailto:hello@creatorsite.com">Mail me</a>'),
+    "/contact": res => page(res, 200, "<p>Brand deals: business@creatorsite.com</p>"),
+    "/private/contact": res => page(res, 200, "<p>secret@creatorsite.com</p>"),
+    "/about": res => page(res, 302, "", { Location: `http://partner.test:${port}/about` })
+  },
+  "partner.test": {
+    "/robots.txt": res => page(res, 200, "User-agent: *\nDisallow: /\n", { "Content-Type": "text/plain" }),
+    "/about": res => page(res, 200, "<p>leak@partnersite.com</p>")
+  },
+  "redirector.test": {
+    "/": res => page(res, 302, "", { Location: "http://169.254.169.254/latest/meta-data/" }),
+    "/contact": res => page(res, 301, "", { Location: `http://internal.test:${port}/` })
+  },
+  "big.test": {
+    "/": res => {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.write("<p>early@bigsite.com</p>");
+      const filler = "<p>Hello there, this is filler text.</p>\n".repeat(1024);
+      for (let sent = 0; sent < BIG_PAGE_BYTES; sent += filler.length) res.write(filler);
+      res.end("<p>late@bigsite.com</p>");
+    },
+    "/contact": res => {
+      res.writeHead(200, { "Content-Type": "text/html", "Content-Length": 3 * 1024 * 1024 });
+      res.end();
+    }
+  }
+};
+
+const server = http.createServer((req, res) => {
+  const host = req.headers.host.replace(/:\d+$/, "");
+  const path = new URL(req.url, "http://stub").pathname;
+  requests.push(`${host}${path}`);
+  const handler = SITES[host]?.[path];
+  if (handler) return handler(res);
+  page(res, 404, "Not found");
+});
+
+const HOSTS = {
+  "creator.test": "127.0.0.1",
+  "partner.test": "127.0.0.1",
+  "redirector.test": "127.0.0.1",
+  "big.test": "127.0.0.1",
+  "internal.test": "10.0.0.7"
+};
+let lookups = [];
+
+let crawler;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+
+  // Limits and the address allowlist are read when the module loads
+  Object.assign(process.env, { CRAWLER_ALLOWED_ADDRESSES: "127.0.0.1", CRAWLER_TIMEOUT_MS: "5000" });
+  crawler = await import("../api/websiteCrawler.js");
+  crawler.setHostLookup(async hostname => {
+    lookups.push(hostname);
+    if (!HOSTS[hostname]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" });
+    return [{ address: HOSTS[hostname], family: 4 }];
+  });
+});
+
+after(() => {
+  crawler.setHostLookup(null);
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+  lookups = [];
+});
+
+// Crawl results use normalized URLs, without the trailing slash
+const site = host => `http://${host}:${port}`;
+
+test("isPrivateAddress covers loopback, private, link-local, CGNAT and mapped addresses", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "not an ip"]) {
+    assert.equal(crawler.isPrivateAddress(address), true, address);
+  }
+  for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111", "::ffff:93.184.216.34"]) {
+    assert.equal(crawler.isPrivateAddress(address), false, address);
+  }
+});
+
+test("a site is crawled over the vetted address, and robots.txt keeps disallowed pages out", async () => {
+  const result = await crawler.crawlContactSources({ websites: [site("creator.test")] });
+
+  assert.deepEqual(result.emails.map(e => e.email).sort(), ["business@creatorsite.com", "hello@creatorsite.com"]);
+  assert.ok(result.blockedByRobots.includes(`${site("creator.test")}/private/contact`));
+  assert.ok(!requests.includes("creator.test/private/contact"));
+  // The stub lookup is the only resolver: .test names do not exist in real DNS
+  assert.ok(lookups.includes("creator.test"));
+});
+
+test("robots.txt of a cross-origin redirect target is checked before following it", async () => {
+  const result = await crawler.crawlContactSources({ websites: [site("creator.test")] });
+
+  assert.ok(!requests.includes("partner.test/about"));
+  assert.ok(result.blockedByRobots.includes(`${site("creator.test")}/about`));
+  assert.ok(!result.emails.some(e => e.email === "leak@partnersite.com"));
+});
+
+test("private hosts and redirects into private networks are refused", async () => {
+  const result = await crawler.crawlContactSources({
+    websites: [site("internal.test"), site("redirector.test"), `${site("redirector.test")}/contact`]
+  });
+  const errors = Object.fromEntries(result.errors.map(e => [e.url, e.error]));
+
+  assert.match(errors[site("internal.test")], /not a public address/);
+  assert.match(errors[site("redirector.test")], /Refusing to fetch 169\.254\.169\.254/);
+  assert.match(errors[`${site("redirector.test")}/contact`], /Refusing to fetch internal\.test/);
+  assert.deepEqual(result.pagesCrawled, []);
+  assert.ok(!requests.some(r => r.startsWith("internal.test")));
+});
+
+test("pages are read up to the size cap, and declared oversized pages are skipped", async () => {
+  const result = await crawler.crawlContactSources({ websites: [site("big.test")] });
+  const emails = result.emails.map(e => e.email);
+
+  assert.ok(result.pagesCrawled.includes(site("big.test")));
+  assert.ok(emails.includes("early@bigsite.com"));
+  assert.ok(!emails.includes("late@bigsite.com"));
+  assert.equal(result.errors.find(e => e.url === `${site("big.test")}/contact`).error, `Page too large (${3 * 1024 * 1024} bytes)`);
+});